@@ -0,0 +1,222 @@
+const SunCalc = require('suncalc');
+const { zonedParts, zoneOffsetMinutes, zonedTime } = require('./time_zone.js');
+const { principalPhases } = require('./moon_phases.js');
+const { formatClockTime } = require('./units.js');
+
+const DEG = Math.PI / 180;
+
+// SunCalc's moonrise/moonset altitude: the moon's upper limb at the horizon,
+// allowing for refraction and parallax.
+const MOON_HORIZON = 0.133 * DEG;
+
+// Moon altitude sampling step when searching for rise and set.
+const MOON_STEP_MS = 10 * 60000;
+
+// Spring and neap tides lag the syzygies and quarters by a day or two (the
+// "age of the tide"), so a period runs from the day before its moon phase to
+// two days after.
+const TIDE_PERIOD_DAYS = { before: 1, after: 2 };
+
+/**
+ * Formats an instant as "HH:MM" in a time zone, or "--:--" when the event
+ * does not happen that day (SunCalc returns an invalid Date).
+ * @param {Date|null} date
+ * @param {string} timeZone
+ * @param {string} [clock] - "24" (default) or "12" for "1:05 PM" (see units.js).
+ * @returns {string}
+ */
+function formatClock(date, timeZone, clock = '24') {
+    if (!date || Number.isNaN(date.getTime())) return '--:--';
+    const { hour, minute } = zonedParts(date, timeZone);
+    return formatClockTime(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, clock);
+}
+
+/**
+ * Formats a duration in minutes as "9h05m".
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+    if (!Number.isFinite(minutes)) return '--';
+    const rounded = Math.round(minutes);
+    return `${Math.floor(rounded / 60)}h${String(rounded % 60).padStart(2, '0')}m`;
+}
+
+// Start and end instants of a calendar day in a zone; 23 or 25 hours apart on DST days.
+function dayBounds(day, timeZone) {
+    const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    return {
+        start: zonedTime(day.getFullYear(), day.getMonth() + 1, day.getDate(), 0, 0, timeZone),
+        end: zonedTime(next.getFullYear(), next.getMonth() + 1, next.getDate(), 0, 0, timeZone),
+    };
+}
+
+/**
+ * Moonrise and moonset within [start, end), found by sampling the moon's
+ * altitude and interpolating the horizon crossings. Either can be null: the
+ * moon skips one rise or set roughly once a month.
+ * @returns {{rise: Date|null, set: Date|null}}
+ */
+function moonTimes(start, end, latitude, longitude) {
+    const altitude = t => SunCalc.getMoonPosition(new Date(t), latitude, longitude).altitude - MOON_HORIZON;
+    let rise = null;
+    let set = null;
+    let t0 = start.getTime();
+    let h0 = altitude(t0);
+    while (t0 < end.getTime()) {
+        const t1 = Math.min(t0 + MOON_STEP_MS, end.getTime());
+        const h1 = altitude(t1);
+        if (h0 < 0 && h1 >= 0 && !rise) rise = new Date(t0 + (t1 - t0) * (-h0 / (h1 - h0)));
+        if (h0 >= 0 && h1 < 0 && !set) set = new Date(t0 + (t1 - t0) * (h0 / (h0 - h1)));
+        t0 = t1;
+        h0 = h1;
+    }
+    return { rise, set };
+}
+
+/**
+ * The sun's apparent ecliptic longitude in degrees (Meeus, "Astronomical
+ * Algorithms", ch. 25, low accuracy: about 0.01 degrees, or 15 minutes of
+ * time at the equinoxes and solstices).
+ * @param {Date} date
+ * @returns {number}
+ */
+function solarLongitude(date) {
+    const T = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+        + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+        + 0.000289 * Math.sin(3 * M);
+    const omega = (125.04 - 1934.136 * T) * DEG;
+    const longitude = L0 + C - 0.00569 - 0.00478 * Math.sin(omega);
+    return ((longitude % 360) + 360) % 360;
+}
+
+const SEASONS_NORTH = ['Vernal Equinox', 'Summer Solstice', 'Autumnal Equinox', 'Winter Solstice'];
+const SEASONS_SOUTH = ['Autumnal Equinox', 'Winter Solstice', 'Vernal Equinox', 'Summer Solstice'];
+
+/**
+ * The equinox or solstice falling within [start, end), if any.
+ * @returns {{name: string, time: Date}|null}
+ */
+function seasonEvent(start, end, latitude) {
+    // Quadrant index of the sun's longitude: 0 from the March equinox, 1 from June, ...
+    const quadrant = t => Math.floor(solarLongitude(new Date(t)) / 90);
+    let lo = start.getTime();
+    let hi = end.getTime();
+    const first = quadrant(lo);
+    if (quadrant(hi) === first) return null;
+    while (hi - lo > 30000) {
+        const mid = (lo + hi) / 2;
+        if (quadrant(mid) === first) lo = mid;
+        else hi = mid;
+    }
+    const names = latitude >= 0 ? SEASONS_NORTH : SEASONS_SOUTH;
+    return { name: names[quadrant(hi)], time: new Date(hi) };
+}
+
+/**
+ * The principal moon phase on a day, if any, and whether the day falls in a
+ * spring tide period (around new and full moon) or a neap tide period (around
+ * the quarters).
+ * @returns {{phase: {name: string, time: Date}|null, tidePeriod: 'spring'|'neap'|null}}
+ */
+function lunarDay(start, end) {
+    const dayMs = 86400000;
+    const nearby = principalPhases(
+        new Date(start.getTime() - TIDE_PERIOD_DAYS.after * dayMs),
+        new Date(end.getTime() + TIDE_PERIOD_DAYS.before * dayMs));
+    const phase = nearby.find(p => p.time >= start && p.time < end) || null;
+    const governing = nearby.find(p =>
+        p.time.getTime() + TIDE_PERIOD_DAYS.after * dayMs >= start.getTime()
+        && p.time.getTime() - TIDE_PERIOD_DAYS.before * dayMs < end.getTime());
+    let tidePeriod = null;
+    if (governing) tidePeriod = /Quarter/.test(governing.name) ? 'neap' : 'spring';
+    return { phase, tidePeriod };
+}
+
+/**
+ * The daylight saving change within [start, end), if any.
+ * @returns {{kind: 'begins'|'ends', time: Date, clock: string}|null} - `clock`
+ *   is the wall time at which the change happens, e.g. "02:00".
+ */
+function dstChange(start, end, timeZone) {
+    const before = zoneOffsetMinutes(start, timeZone);
+    const after = zoneOffsetMinutes(new Date(end.getTime() - 1), timeZone);
+    if (before === after) return null;
+    let lo = start.getTime();
+    let hi = end.getTime() - 1;
+    while (hi - lo > 1000) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (zoneOffsetMinutes(new Date(mid), timeZone) === before) lo = mid;
+        else hi = mid;
+    }
+    const time = new Date(Math.round(hi / 60000) * 60000);
+    // The wall time just before the change, read on the old clock.
+    const clock = new Date(time.getTime() + before * 60000);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        kind: after > before ? 'begins' : 'ends',
+        time,
+        clock: `${pad(clock.getUTCHours())}:${pad(clock.getUTCMinutes())}`,
+    };
+}
+
+/**
+ * Sunrise, sunset and civil twilight (dawn, dusk) for a local day; invalid
+ * Dates when the sun does not rise or set.
+ * @param {Date} day - Calendar day (only year, month and day are used).
+ * @param {{latitude: number, longitude: number}} location
+ * @param {string} timeZone
+ * @returns {{sunrise: Date, sunset: Date, dawn: Date, dusk: Date}}
+ */
+function sunTimes(day, location, timeZone) {
+    // SunCalc picks the solar day nearest the instant given, so ask at local noon.
+    const noon = zonedTime(day.getFullYear(), day.getMonth() + 1, day.getDate(), 12, 0, timeZone);
+    const { sunrise, sunset, dawn, dusk } = SunCalc.getTimes(noon, location.latitude, location.longitude);
+    return { sunrise, sunset, dawn, dusk };
+}
+
+/**
+ * Everything the page header needs about the sun and moon for one day, with
+ * the day taken as a calendar day in `timeZone` regardless of the host's zone.
+ * @param {Date} day - Calendar day (only year, month and day are used).
+ * @param {{latitude: number, longitude: number}} location
+ * @param {string} timeZone - IANA zone, e.g. "America/Los_Angeles".
+ * @returns {object} - sunrise, sunset, dawn and dusk (civil twilight),
+ *   dayLengthMinutes, moonrise, moonset, moonIllumination (at local noon),
+ *   moonPhase and tidePeriod (see lunarDay), dst (see dstChange) and season
+ *   (see seasonEvent).
+ */
+function dayAstronomy(day, location, timeZone) {
+    const { latitude, longitude } = location;
+    const { start, end } = dayBounds(day, timeZone);
+    const noon = zonedTime(day.getFullYear(), day.getMonth() + 1, day.getDate(), 12, 0, timeZone);
+    const sun = sunTimes(day, location, timeZone);
+    const moon = moonTimes(start, end, latitude, longitude);
+    const lunar = lunarDay(start, end);
+    return {
+        sunrise: sun.sunrise,
+        sunset: sun.sunset,
+        dawn: sun.dawn,
+        dusk: sun.dusk,
+        dayLengthMinutes: (sun.sunset - sun.sunrise) / 60000,
+        moonrise: moon.rise,
+        moonset: moon.set,
+        moonIllumination: SunCalc.getMoonIllumination(noon),
+        moonPhase: lunar.phase,
+        tidePeriod: lunar.tidePeriod,
+        dst: dstChange(start, end, timeZone),
+        season: seasonEvent(start, end, latitude),
+    };
+}
+
+module.exports = {
+    dayAstronomy,
+    dayBounds,
+    sunTimes,
+    formatClock,
+    formatDuration,
+    solarLongitude
+};
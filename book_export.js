@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fetchBook, selectStations } = require('./generate_pdf.js');
+const { dateRangeFromCli, fetchFromCli, DATE_RANGE_CLI_OPTIONS, DATE_RANGE_USAGE, FETCH_CLI_OPTIONS, FETCH_USAGE } = require('./cli_options.js');
+const { writeSite } = require('./html_site.js');
+const { loadRegion, stationFileName } = require('./region_config.js');
+const { formatDay } = require('./time_zone.js');
+const { sourceCredit } = require('./book_matter.js');
+const { convertHeight, convertSpeed, unitsFromCli, UNIT_CLI_OPTIONS, UNIT_USAGE } = require('./units.js');
+
+const FORMATS = ['html', 'csv', 'json'];
+const DEFAULT_OUT_DIR = 'site';
+
+/**
+ * Normalizes a fetched book into the data model of section VI of
+ * tide_and_current_book_formatting.md, which every output but the PDF is
+ * built from: per location a list of events with a `time` (local, as
+ * "YYYY-MM-DD HH:MM"), a `type` and a `height` or signed `speed` (flood
+ * positive, ebb negative, as NOAA gives them). Heights, depths, speeds and
+ * slack thresholds are in the book's units, which the model records, as it
+ * does the source of the predictions and its credit line.
+ * @param {object} book - From fetchBook.
+ * @returns {object} - {region, startDate, endDate, source, credit, units, tides, currents}.
+ */
+function bookModel(book) {
+    const { region, startDate, endDate, source, allTideData, allHourlyTideData, allCurrentData, allSlackWindows, units } = book;
+    return {
+        region: { title: region.title, timeZone: region.timeZone, astronomyLocation: region.astronomyLocation },
+        startDate: formatDay(startDate),
+        endDate: formatDay(endDate),
+        source: source || 'noaa',
+        credit: sourceCredit(source),
+        units: { ...units, time: 'lst_ldt' },
+        tides: region.tideStations.map(station => ({
+            name: station.name,
+            id: station.id,
+            latitude: station.latitude,
+            longitude: station.longitude,
+            reference: station.reference ?? null,
+            events: (allTideData[station.name]?.predictions || [])
+                .map(p => ({ time: p.t, type: p.type === 'H' ? 'high' : 'low', height: parseFloat(p.v) })),
+            // The sampled curve behind the graphs, for graphed stations only.
+            series: (allHourlyTideData[station.name]?.predictions || [])
+                .map(p => ({ time: p.t, height: parseFloat(p.v) })),
+        })),
+        currents: region.currentStations.map(station => {
+            const records = allCurrentData[station.name]?.current_predictions?.cp || [];
+            const sample = records.find(p => p.meanFloodDir !== undefined || p.Depth !== undefined) || {};
+            const depth = parseFloat(sample.Depth);
+            return {
+                name: station.name,
+                id: station.id,
+                latitude: station.latitude,
+                longitude: station.longitude,
+                // Region files give depths in feet and thresholds in knots.
+                depth: Number.isFinite(depth) ? depth
+                    : station.depth !== undefined ? Number(convertHeight(station.depth, 'ft', units.height).toFixed(1)) : null,
+                floodDirection: Number.isFinite(sample.meanFloodDir) ? sample.meanFloodDir : null,
+                ebbDirection: Number.isFinite(sample.meanEbbDir) ? sample.meanEbbDir : null,
+                slackThreshold: station.slackThreshold !== undefined
+                    ? Number(convertSpeed(station.slackThreshold, 'kn', units.speed).toFixed(2)) : null,
+                events: records.map(p => ({
+                    time: p.Time,
+                    type: p.Type,
+                    speed: p.Type === 'slack' ? 0 : parseFloat(p.Velocity_Major),
+                })),
+                slackWindows: (allSlackWindows[station.name] || []).map(({ start, end, minutes }) => ({ start, end, minutes })),
+            };
+        }),
+    };
+}
+
+// Quotes a CSV field when it needs it (RFC 4180).
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvText(header, rows) {
+    return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Writes one CSV file per station under `dir`: every tide or current event,
+ * one per row, with the station's name and ID and the predictions' source on
+ * each row so that files can be concatenated.
+ * @param {object} model - From bookModel.
+ * @param {string} dir
+ * @returns {string[]} - The files written.
+ */
+function writeCsv(model, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = [];
+    // "height_ft", "speed_kn", "speed_m_s".
+    const column = (quantity, unit) => `${quantity}_${unit.replace('/', '_')}`;
+    for (const station of model.tides) {
+        const file = path.join(dir, stationFileName(station, 'csv'));
+        fs.writeFileSync(file, csvText(['station', 'id', 'time', 'type', column('height', model.units.height), 'source'],
+            station.events.map(e => [station.name, station.id, e.time, e.type, e.height, model.source])));
+        files.push(file);
+    }
+    for (const station of model.currents) {
+        const file = path.join(dir, stationFileName(station, 'csv'));
+        fs.writeFileSync(file, csvText(['station', 'id', 'time', 'type', column('speed', model.units.speed), 'source'],
+            station.events.map(e => [station.name, station.id, e.time, e.type, e.speed, model.source])));
+        files.push(file);
+    }
+    return files;
+}
+
+/**
+ * Writes the model as JSON under `dir`: book.json with everything, and one
+ * file per station with the station and the region, range and units it
+ * belongs to.
+ * @param {object} model - From bookModel.
+ * @param {string} dir
+ * @returns {string[]} - The files written.
+ */
+function writeJson(model, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const { tides, currents, ...context } = model;
+    const files = [path.join(dir, 'book.json')];
+    fs.writeFileSync(files[0], `${JSON.stringify(model, null, 2)}\n`);
+    for (const [kind, stations] of [['tide', tides], ['current', currents]]) {
+        for (const station of stations) {
+            const file = path.join(dir, stationFileName(station, 'json'));
+            fs.writeFileSync(file, `${JSON.stringify({ ...context, kind, station }, null, 2)}\n`);
+            files.push(file);
+        }
+    }
+    return files;
+}
+
+/**
+ * Fetches the book's data for a date range and writes it in the requested
+ * formats: a static HTML site at the top of `outDir`, CSV files in
+ * `outDir`/csv and JSON files in `outDir`/json.
+ * @param {object} [options]
+ * @param {Date} [options.startDate] - First day (defaults to Jan 1 of next year).
+ * @param {Date} [options.endDate] - Last day (defaults to Dec 31 of the start year).
+ * @param {object} [options.region] - Validated region (see region_config.js); defaults to Puget Sound.
+ * @param {string[]} [options.formats] - Any of FORMATS (default: all).
+ * @param {string} [options.outDir] - Default: site.
+ * @param {object} [options.fetch] - Cache, offline and concurrency settings (see fetch_data.js).
+ * @param {object} [options.units] - Units, datum and clock (see units.js).
+ * @param {boolean} [options.strict] - Refuse to export incomplete data.
+ * @returns {Promise<{html: number, csv: number, json: number}>} - Files written per format.
+ */
+async function exportBook(options = {}) {
+    const startDate = options.startDate || new Date(new Date().getFullYear() + 1, 0, 1);
+    const endDate = options.endDate || new Date(startDate.getFullYear(), 11, 31);
+    if (endDate < startDate) throw new Error(`End date ${formatDay(endDate)} is before start date ${formatDay(startDate)}.`);
+    const formats = options.formats || FORMATS;
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const region = options.region || loadRegion();
+    // Only the site draws graphs, so only it needs the hourly tide series.
+    const { book } = await fetchBook({
+        region: formats.includes('html') ? region : { ...region, tideStations: region.tideStations.map(s => ({ ...s, graph: false })) },
+        startDate,
+        endDate,
+        fetch: options.fetch,
+        manifest: path.join(outDir, 'export.manifest.json'),
+        strict: Boolean(options.strict),
+        units: options.units,
+    });
+    const model = bookModel(book);
+    return {
+        html: formats.includes('html') ? writeSite(model, outDir).length : 0,
+        csv: formats.includes('csv') ? writeCsv(model, path.join(outDir, 'csv')).length : 0,
+        json: formats.includes('json') ? writeJson(model, path.join(outDir, 'json')).length : 0,
+    };
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node book_export.js [options]
+
+Writes the book as a static HTML site with a page per day, and its tide and
+current events as CSV and JSON files per station.
+
+Options:
+  --format <formats>          Comma-separated ${FORMATS.join(', ')} (default: all)
+  --out-dir <dir>             Where to write; CSV and JSON go in csv/ and json/ below it (default: ${DEFAULT_OUT_DIR})
+  --region <name|file>        Region file, or the name of one in regions/ (default: puget_sound)
+${DATE_RANGE_USAGE}
+  --tide-station <name|id>    Tide station to include; repeat to set the list and order
+  --current-station <name|id> Current station to include; repeat to set the list and order
+  --strict                    Refuse to export if any request failed or any day is incomplete
+${FETCH_USAGE}
+${UNIT_USAGE}
+  -h, --help                  Show this help`;
+
+function parseCliOptions(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            format: { type: 'string' },
+            'out-dir': { type: 'string' },
+            region: { type: 'string' },
+            ...DATE_RANGE_CLI_OPTIONS,
+            'tide-station': { type: 'string', multiple: true },
+            'current-station': { type: 'string', multiple: true },
+            strict: { type: 'boolean' },
+            ...FETCH_CLI_OPTIONS,
+            ...UNIT_CLI_OPTIONS,
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) return null;
+
+    const options = { strict: Boolean(values.strict), units: unitsFromCli(values) };
+    if (values.format !== undefined) {
+        options.formats = values.format.split(',').map(format => format.trim());
+        for (const format of options.formats) {
+            if (!FORMATS.includes(format)) throw new Error(`Unknown format "${format}". Known formats: ${FORMATS.join(', ')}.`);
+        }
+    }
+    if (values['out-dir'] !== undefined) options.outDir = values['out-dir'];
+    Object.assign(options, dateRangeFromCli(values));
+
+    options.fetch = fetchFromCli(values);
+
+    const region = loadRegion(values.region);
+    if (values['tide-station']) region.tideStations = selectStations(values['tide-station'], region.tideStations, 'tide');
+    if (values['current-station']) region.currentStations = selectStations(values['current-station'], region.currentStations, 'current');
+    options.region = region;
+    return options;
+}
+
+async function main() {
+    const options = parseCliOptions(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    const written = await exportBook(options);
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    if (written.html > 0) console.log(`HTML site: ${written.html} pages in ${outDir} (start at ${path.join(outDir, 'index.html')})`);
+    if (written.csv > 0) console.log(`CSV: ${written.csv} files in ${path.join(outDir, 'csv')}`);
+    if (written.json > 0) console.log(`JSON: ${written.json} files in ${path.join(outDir, 'json')}`);
+}
+
+module.exports = {
+    bookModel,
+    csvField,
+    writeCsv,
+    writeJson,
+    exportBook,
+    FORMATS
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
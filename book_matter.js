@@ -0,0 +1,454 @@
+const { layoutDay, drawBlocks } = require('./page_layout.js');
+const { principalPhases, drawMoonIcon } = require('./moon_phases.js');
+const { formatZoned, formatDay } = require('./time_zone.js');
+const { DEFAULT_SLACK_THRESHOLD } = require('./fetch_data.js');
+const { minusTides, monthlyExtremes, kingTides, daylightTest, formatEvent, KING_TIDE_FRACTION } = require('./tide_extremes.js');
+const { formatKnots, formatClockTime, unitsSummary, datumName, unitName } = require('./units.js');
+
+const WEEKDAY_INITIALS = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
+
+// How each principal phase looks, for drawMoonIcon.
+const PHASE_ILLUMINATION = {
+    'New Moon': { fraction: 0, phase: 0 },
+    'First Quarter': { fraction: 0.5, phase: 0.25 },
+    'Full Moon': { fraction: 1, phase: 0.5 },
+    'Last Quarter': { fraction: 0.5, phase: 0.75 },
+};
+
+/**
+ * Where a book's predictions come from, as the title page credits it.
+ * @param {string} [source] - "noaa" (default) or "harmonic" (see fetch_data.js).
+ * @returns {string}
+ */
+function sourceCredit(source) {
+    return source === 'harmonic'
+        ? 'Tide predictions computed from NOAA harmonic constants'
+        : 'Predictions from NOAA CO-OPS, tidesandcurrents.noaa.gov';
+}
+
+/**
+ * Name of the PDF destination for a day's page, which calendar links jump to.
+ * @param {string} day - YYYY-MM-DD.
+ * @returns {string}
+ */
+function dayDestination(day) {
+    return `day-${day}`;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - e.g. "March 2025", as used in the outline.
+ */
+function monthTitle(date) {
+    return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+// "2025" for a calendar year, otherwise e.g. "March 1 – 31, 2025".
+function rangeTitle(startDate, endDate) {
+    const full = date => date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    if (startDate.getMonth() === 0 && startDate.getDate() === 1 && endDate.getMonth() === 11 && endDate.getDate() === 31
+        && startDate.getFullYear() === endDate.getFullYear()) {
+        return String(startDate.getFullYear());
+    }
+    if (startDate.getFullYear() !== endDate.getFullYear()) return `${full(startDate)} – ${full(endDate)}`;
+    const monthDay = date => date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    const end = startDate.getMonth() === endDate.getMonth() ? endDate.getDate() : monthDay(endDate);
+    return `${monthDay(startDate)} – ${end}, ${endDate.getFullYear()}`;
+}
+
+function formatCoordinate(value, positive, negative) {
+    return `${Math.abs(value).toFixed(3)}° ${value >= 0 ? positive : negative}`;
+}
+
+function formatMinutes(minutes) {
+    return `${minutes >= 0 ? '+' : '-'}${Math.abs(minutes)} min`;
+}
+
+// Subordinate offsets as printed in the index, e.g. "high -6 min ×0.97".
+function formatOffsets(offsets) {
+    const height = value => (offsets.heightType === 'ratio' ? `×${value}` : `${value >= 0 ? '+' : '-'}${Math.abs(value)} ft`);
+    return `high ${formatMinutes(offsets.highTime)} ${height(offsets.highHeight)}, low ${formatMinutes(offsets.lowTime)} ${height(offsets.lowHeight)}`;
+}
+
+/*
+ * Blocks for the index and the legend, in the form page_layout.js lays out:
+ * `(doc, y, style, draw) => height`.
+ */
+
+function headingBlock(text, x, width) {
+    return (doc, y, { sizes }, draw) => {
+        doc.fontSize(sizes.title).font('bold');
+        if (draw) {
+            doc.text(text, x, y + 2, { width, lineBreak: false });
+            doc.lineWidth(0.5).moveTo(x, y + sizes.title + 3).lineTo(x + width, y + sizes.title + 3).stroke();
+        }
+        return sizes.title + 6;
+    };
+}
+
+function paragraphBlock(text, x, width, font = 'regular') {
+    return (doc, y, { sizes }, draw) => {
+        doc.fontSize(sizes.data).font(font);
+        if (draw) doc.text(text, x, y, { width, lineGap: sizes.lineSpacing });
+        return doc.heightOfString(text, { width, lineGap: sizes.lineSpacing }) + sizes.data / 2;
+    };
+}
+
+// One table row; `columns` are [fraction of width, align] and `detail` an
+// optional second line under the row.
+function rowBlock(cells, columns, x, width, { font = 'regular', detail = null } = {}) {
+    return (doc, y, { sizes }, draw) => {
+        const rowHeight = sizes.data + sizes.lineSpacing + 1;
+        if (draw) {
+            let cellX = x;
+            cells.forEach((cell, index) => {
+                const [fraction, align] = columns[index];
+                doc.fontSize(sizes.data).font(font)
+                   .text(cell, cellX, y, { width: width * fraction - 2, height: sizes.data, align, ellipsis: true, lineBreak: false });
+                cellX += width * fraction;
+            });
+            if (detail) {
+                doc.fontSize(sizes.data - 1).font('italic')
+                   .text(detail, x + width * columns[0][0] * 0.1, y + rowHeight, { width: width * 0.95, lineBreak: false, ellipsis: true, height: sizes.data });
+            }
+        }
+        return rowHeight + (detail ? sizes.data : 0);
+    };
+}
+
+// Spreads blocks over as many pages as they need under a page heading.
+function flowPages(doc, template, heading, blocks, bookmark) {
+    const { width, height, margin } = template.page;
+    const style = { sizes: template.sizes, graphs: false };
+    const top = margin + template.sizes.headerLg + 8;
+    const layout = layoutDay(doc, [blocks], style, { firstHeight: height - margin - top, nextHeight: height - margin - top }, ['continue']);
+    return layout.pages.map(([pageBlocks], index) => ({
+        ...(index === 0 ? { bookmark } : {}),
+        draw: () => {
+            doc.fontSize(template.sizes.headerLg).font('bold').fillColor('black')
+               .text(index === 0 ? heading : `${heading} (CONTINUED)`, margin, margin, { width: width - margin * 2, align: 'center', lineBreak: false });
+            drawBlocks(doc, pageBlocks, top, layout.style);
+        },
+    }));
+}
+
+function titlePage(doc, book, template) {
+    const { region, startDate, endDate, units } = book;
+    const { width, height, margin } = template.page;
+    const { sizes } = template;
+    const textWidth = width - margin * 2;
+    const kinds = region.currentStations.length > 0 ? 'TIDE AND CURRENT TABLES' : 'TIDE TABLES';
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    const details = [
+        [count(region.tideStations.length, 'tide station'), count(region.currentStations.length, 'current station')]
+            .filter(text => !text.startsWith('0 ')).join(' · '),
+        `Local time (${region.timeZone}), daylight saving time observed`,
+        unitsSummary(units, { speed: region.currentStations.length > 0 }),
+        `Sun and moon for ${region.astronomyLocation.name}`,
+    ];
+    const source = sourceCredit(book.source);
+    return {
+        side: 'right',
+        bookmark: ['Title page'],
+        draw: () => {
+            let y = height * 0.28;
+            doc.fillColor('black').font('bold').fontSize(sizes.headerLg * 2);
+            doc.text(region.title.toUpperCase(), margin, y, { width: textWidth, align: 'center' });
+            y += doc.heightOfString(region.title.toUpperCase(), { width: textWidth }) + sizes.headerLg / 2;
+            doc.fontSize(sizes.title * 1.25).text(kinds, margin, y, { width: textWidth, align: 'center' });
+            y += sizes.title * 1.25 + sizes.headerLg;
+            doc.fontSize(sizes.headerLg).font('regular').text(rangeTitle(startDate, endDate), margin, y, { width: textWidth, align: 'center' });
+            y += sizes.headerLg * 2;
+            doc.lineWidth(1).moveTo(width * 0.3, y).lineTo(width * 0.7, y).stroke();
+            y += sizes.headerLg;
+            doc.fontSize(sizes.data + 1).font('regular');
+            for (const line of details) {
+                doc.text(line, margin, y, { width: textWidth, align: 'center' });
+                y += (sizes.data + 1) * 1.6;
+            }
+            doc.fontSize(sizes.data).font('italic')
+               .text(source, margin, height - margin - sizes.data * 2, { width: textWidth, align: 'center' });
+        },
+    };
+}
+
+function stationIndexPages(doc, book, template) {
+    const { region, units } = book;
+    const { width, margin } = template.page;
+    const x = margin;
+    const tableWidth = width - margin * 2;
+    const columns = [[0.36, 'left'], [0.14, 'left'], [0.13, 'right'], [0.15, 'right'], [0.22, 'left']];
+    const header = ['Station', 'NOAA ID', 'Latitude', 'Longitude', 'Datum / notes'];
+    const coordinates = s => [formatCoordinate(s.latitude, 'N', 'S'), formatCoordinate(s.longitude, 'E', 'W')];
+    const blocks = [];
+
+    if (region.tideStations.length > 0) {
+        blocks.push(headingBlock('TIDE STATIONS', x, tableWidth), rowBlock(header, columns, x, tableWidth, { font: 'bold' }));
+        for (const s of region.tideStations) {
+            const reference = s.reference && region.tideStations.find(r => r.id === s.reference);
+            blocks.push(rowBlock(
+                [s.reference ? `${s.name} *` : s.name, s.id, ...coordinates(s), s.reference ? `${units.datum}, subordinate` : units.datum],
+                columns, x, tableWidth,
+                { detail: s.reference ? `from ${reference ? reference.name : s.reference}: ${formatOffsets(s.offsets)}` : null }));
+        }
+    }
+    if (region.currentStations.length > 0) {
+        blocks.push(headingBlock('CURRENT STATIONS', x, tableWidth), rowBlock(header, columns, x, tableWidth, { font: 'bold' }));
+        for (const s of region.currentStations) {
+            const notes = [];
+            if (s.depth !== undefined) notes.push(`depth ${s.depth} ft`);
+            else if (s.bin !== undefined) notes.push(`bin ${s.bin}`);
+            if (s.slackThreshold !== undefined && s.slackThreshold !== DEFAULT_SLACK_THRESHOLD) notes.push(`slack < ${s.slackThreshold} kn`);
+            blocks.push(rowBlock([s.name, s.id, ...coordinates(s), notes.join('; ')], columns, x, tableWidth));
+        }
+    }
+    // Offsets, depths and thresholds are printed as the region file gives them.
+    blocks.push(paragraphBlock(
+        `Tide heights are in ${unitName(units.height)} above ${datumName(units.datum)} (${units.datum}) at each station. `
+        + 'Stations marked * are subordinate: their times and heights are derived from the reference station named '
+        + 'under them by NOAA\'s published time differences and height ratios or offsets in feet. Current predictions '
+        + 'are for the depth (in feet) or bin noted, or NOAA\'s default bin near the surface.',
+        x, tableWidth, 'italic'));
+    return flowPages(doc, template, 'STATION INDEX', blocks, ['Station index']);
+}
+
+// The principal moon phase on each day, by YYYY-MM-DD in the region's zone.
+function phasesByDay(startDate, endDate, timeZone) {
+    const byDay = new Map();
+    const from = new Date(startDate.getFullYear(), startDate.getMonth(), 0);
+    const to = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 2);
+    for (const phase of principalPhases(from, to)) {
+        const local = formatZoned(phase.time, timeZone);
+        byDay.set(local.slice(0, 10), { name: phase.name, clock: local.slice(11) });
+    }
+    return byDay;
+}
+
+function calendarPages(doc, book, template) {
+    const { region, startDate, endDate, allTideData, units } = book;
+    const { width, height, margin } = template.page;
+    const { sizes } = template;
+    const station = region.tideStations.find(s => !s.reference) || region.tideStations[0];
+    const phases = phasesByDay(startDate, endDate, region.timeZone);
+    const cellWidth = (width - margin * 2) / 7;
+    const gridTop = margin + sizes.headerLg + sizes.headerSm + 6 + sizes.title + 4;
+
+    // The day's highest high and lowest low water at the calendar station.
+    const extremes = day => {
+        const events = (allTideData[station?.name]?.predictions || []).filter(p => p.t.startsWith(day));
+        const heights = type => events.filter(p => p.type === type).map(p => parseFloat(p.v));
+        const highs = heights('H');
+        const lows = heights('L');
+        return { high: highs.length > 0 ? Math.max(...highs) : null, low: lows.length > 0 ? Math.min(...lows) : null };
+    };
+
+    const drawCell = (date, x, y, cellHeight) => {
+        const day = formatDay(date);
+        const inBook = date >= startDate && date <= endDate;
+        doc.fontSize(sizes.title).font('bold').fillColor(inBook ? 'black' : '#9a9a9a')
+           .text(String(date.getDate()), x + 2, y + 2, { lineBreak: false });
+        doc.fillColor('black');
+        const phase = phases.get(day);
+        const radius = sizes.data * 0.6;
+        if (phase) {
+            drawMoonIcon(doc, x + cellWidth - radius - 2, y + radius + 2, PHASE_ILLUMINATION[phase.name], radius, region.astronomyLocation.latitude);
+        }
+        if (!inBook) return;
+        let lineY = y + sizes.title + 4;
+        doc.fontSize(sizes.data);
+        if (phase) {
+            doc.font('regular').text(`${phase.name.split(' ')[0].toLowerCase()} ${formatClockTime(phase.clock, units.clock)}`, x + 2, lineY, { width: cellWidth - 4, lineBreak: false });
+            lineY += sizes.data + 1;
+        }
+        const { high, low } = extremes(day);
+        if (high !== null) {
+            doc.font('regular').text(`H ${high.toFixed(1)}`, x + 2, lineY, { width: cellWidth - 4, lineBreak: false });
+            lineY += sizes.data + 1;
+        }
+        if (low !== null) {
+            // Minus tides stand out: they are the days to go tidepooling or to mind the depth.
+            doc.font(low < 0 ? 'bold' : 'regular').text(`L ${low.toFixed(1)}`, x + 2, lineY, { width: cellWidth - 4, lineBreak: false });
+        }
+        doc.goTo(x, y, cellWidth, cellHeight, dayDestination(day));
+    };
+
+    const pages = [];
+    for (let month = new Date(startDate.getFullYear(), startDate.getMonth(), 1); month <= endDate;
+        month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        const first = new Date(month);
+        const lead = (first.getDay() + 6) % 7;
+        const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+        const weeks = Math.ceil((lead + daysInMonth) / 7);
+        const cellHeight = (height - margin - gridTop) / weeks;
+        pages.push({
+            bookmark: ['Calendars', monthTitle(first)],
+            draw: () => {
+                doc.fontSize(sizes.headerLg).font('bold').fillColor('black')
+                   .text(monthTitle(first).toUpperCase(), margin, margin, { width: width - margin * 2, align: 'center', lineBreak: false });
+                const subtitle = station
+                    ? `Moon phases, and the day's highest high and lowest low water at ${station.name} (${units.height}, ${units.datum})`
+                    : 'Moon phases';
+                doc.fontSize(sizes.headerSm).font('regular')
+                   .text(subtitle, margin, margin + sizes.headerLg + 2, { width: width - margin * 2, align: 'center', lineBreak: false });
+                WEEKDAY_INITIALS.forEach((initial, column) => {
+                    doc.fontSize(sizes.title).font('bold')
+                       .text(initial, margin + column * cellWidth, gridTop - sizes.title - 3, { width: cellWidth, align: 'center', lineBreak: false });
+                });
+                doc.lineWidth(0.5).strokeColor('#808080');
+                for (let row = 0; row <= weeks; row++) {
+                    doc.moveTo(margin, gridTop + row * cellHeight).lineTo(width - margin, gridTop + row * cellHeight).stroke();
+                }
+                for (let column = 0; column <= 7; column++) {
+                    doc.moveTo(margin + column * cellWidth, gridTop).lineTo(margin + column * cellWidth, gridTop + weeks * cellHeight).stroke();
+                }
+                doc.strokeColor('black');
+                for (let date = 1; date <= daysInMonth; date++) {
+                    const cell = lead + date - 1;
+                    drawCell(new Date(first.getFullYear(), first.getMonth(), date),
+                        margin + (cell % 7) * cellWidth, gridTop + Math.floor(cell / 7) * cellHeight, cellHeight);
+                }
+            },
+        });
+    }
+    return pages;
+}
+
+/**
+ * The pages before the daily pages: a title page, the station index and a
+ * calendar for each month with links to the days.
+ * @param {PDFDocument} doc - With the template fonts registered.
+ * @param {object} book - The fetched data (see generatePdf).
+ * @param {object} template
+ * @returns {Array<object>} - Pages (see imposition.js).
+ */
+function frontMatterPages(doc, book, template) {
+    return [titlePage(doc, book, template), ...stationIndexPages(doc, book, template), ...calendarPages(doc, book, template)];
+}
+
+// The appendix of tide extremes: for each tide station its daylight minus
+// tides, the lowest and highest tide of each month, and its king tides.
+// King tides rank against whole years, as tide_extremes.js ranks them, so a
+// book that does not cover whole calendar years leaves them out rather than
+// crown the top few highs of a shorter range.
+function extremesPages(doc, book, template) {
+    const { region, startDate, endDate, allTideData, units } = book;
+    const wholeYears = startDate.getMonth() === 0 && startDate.getDate() === 1
+        && endDate.getMonth() === 11 && endDate.getDate() === 31;
+    const years = startDate.getFullYear() === endDate.getFullYear() ? 'the year' : "the book's years";
+    if (region.tideStations.length === 0) return [];
+    const { width, margin } = template.page;
+    const x = margin;
+    const textWidth = width - margin * 2;
+    const label = text => rowBlock([text], [[1, 'left']], x, textWidth, { font: 'bold' });
+    // Three events to a row.
+    const eventRows = events => Array.from({ length: Math.ceil(events.length / 3) }, (_, row) => {
+        const cells = events.slice(row * 3, row * 3 + 3).map(event => formatEvent(event, { clock: units.clock }));
+        return rowBlock(cells, cells.map(() => [1 / 3, 'left']), x, textWidth);
+    });
+
+    const blocks = [paragraphBlock(
+        `Minus tides are low waters below 0.0 ${units.height}, the level of ${datumName(units.datum)}; only those between `
+        + 'sunrise and sunset at the station are listed. '
+        + (wholeYears
+            ? `King tides are the highest ${KING_TIDE_FRACTION * 100}% of the station's high waters in ${years}. `
+            : 'King tides rank against a whole year of high waters, so they are listed only in books of whole years. ')
+        + `Heights in ${unitName(units.height)}, times local.`,
+        x, textWidth, 'italic')];
+    for (const station of region.tideStations) {
+        const predictions = allTideData[station.name]?.predictions || [];
+        if (predictions.length === 0) continue;
+        const minus = minusTides(predictions, { filter: daylightTest(station, region.timeZone) });
+        const kings = wholeYears ? kingTides(predictions) : null;
+        blocks.push(
+            headingBlock(station.reference ? `${station.name} *` : station.name, x, textWidth),
+            label(minus.length > 0 ? 'Daylight minus tides' : 'Daylight minus tides: none'),
+            ...eventRows(minus),
+            label('Lowest and highest tide of each month'),
+            ...monthlyExtremes(predictions).map(({ lowest, highest }) => rowBlock(
+                [lowest ? `low  ${formatEvent(lowest, { clock: units.clock })}` : '', highest ? `high  ${formatEvent(highest, { clock: units.clock })}` : ''],
+                [[0.5, 'left'], [0.5, 'left']], x, textWidth)),
+        );
+        if (kings && kings.threshold !== null) {
+            blocks.push(label(`King tides, ${kings.threshold.toFixed(1)} ${units.height} and above`), ...eventRows(kings.events));
+        }
+    }
+    return flowPages(doc, template, 'TIDE EXTREMES', blocks, ['Tide extremes']);
+}
+
+// The legend of the book's units, datum, time convention and current signs.
+function legendPages(doc, book, template) {
+    const { region, units } = book;
+    const { width, margin } = template.page;
+    const x = margin;
+    const textWidth = width - margin * 2;
+    const graphs = [...region.tideStations, ...region.currentStations].some(s => s.graph);
+    const clock = time => formatClockTime(time, units.clock);
+    // Only MLLW is the datum of the charts, which is what makes a minus tide mean less water than charted.
+    const heights = units.datum === 'MLLW'
+        ? `Heights are in ${unitName(units.height)} above mean lower low water (MLLW), the average of the lower of each `
+            + 'day\'s two low waters over NOAA\'s 19-year National Tidal Datum Epoch. Charted depths use the same datum, '
+            + 'so the depth of water is the charted depth plus the height of the tide. A negative height, a minus tide, '
+            + 'means less water than charted; the calendars print the lowest lows of minus-tide days in bold, and the '
+            + 'tide extremes appendix lists the minus tides that come in daylight.'
+        : `Heights are in ${unitName(units.height)} above ${datumName(units.datum)} (${units.datum}). Charted depths are `
+            + 'referred to mean lower low water (MLLW), so add these heights to a charted depth only after converting '
+            + `them with the station's datums. A negative height is a tide below ${units.datum}; the calendars print `
+            + 'such lows in bold, and the tide extremes appendix lists those that come in daylight.';
+    const sections = [
+        ['TIMES', `All times are local clock time (NOAA's lst_ldt convention): standard time in winter and daylight `
+            + `saving time in summer, in the ${region.timeZone} zone, on the ${units.clock}-hour clock. The header of the `
+            + `day the clocks change says so; on that day the hour between ${clock('01:00')} and ${clock('03:00')} is `
+            + 'either skipped or repeated.'],
+        ['TIDE HEIGHTS', heights],
+        ['HIGH AND LOW WATER', 'Each tide station lists the day\'s high and low waters in time order. Stations marked * '
+            + 'are subordinate stations, predicted from a reference station with NOAA\'s time and height offsets (see '
+            + 'the station index).'],
+    ];
+    if (region.currentStations.length > 0) {
+        sections.push(
+            ['CURRENTS', `Speeds are in ${unitName(units.speed)}. Flood is the current setting in from the sea and ebb `
+                + 'the current setting out. Following NOAA, flood speeds are positive and ebb speeds negative, so a max '
+                + `ebb of -2.1 is an ebb of 2.1 ${units.speed}. Directions are the way the current flows, in degrees true `
+                + 'or compass points, and the arrows point the same way with north up the page.'],
+            ['SLACK WATER', `A slack window is the time the current runs under `
+                + `${formatKnots(DEFAULT_SLACK_THRESHOLD, units)} around a `
+                + 'predicted slack, or under the station\'s own threshold where its name says so. It comes from NOAA\'s '
+                + 'continuous current series, and is wider on neap days than on spring days.'],
+        );
+    }
+    sections.push(['SUN, MOON AND TIDE PERIODS', `Sunrise, sunset, civil twilight, moonrise and moonset are for `
+        + `${region.astronomyLocation.name}. Principal moon phases are given with their time on their day. SPRING `
+        + 'TIDES marks the day before to two days after a new or full moon, when the range is largest; NEAP TIDES '
+        + 'the same around the quarters, when it is smallest.']);
+    if (graphs) {
+        sections.push(['GRAPHS', 'Graphs run from midnight to midnight with the night shaded, on one scale per station '
+            + 'for the whole book so that days compare. Tide graphs mark the high and low waters with their heights; '
+            + 'current graphs plot flood above and ebb below the zero line and mark slacks with open circles.'
+            + (region.tideStations.some(s => s.graph && s.reference)
+                ? ' Curves for subordinate stations are drawn by cosine interpolation between their high and low waters.'
+                : '')]);
+    }
+    const blocks = sections.flatMap(([heading, text]) => [headingBlock(heading, x, textWidth), paragraphBlock(text, x, textWidth)]);
+    return flowPages(doc, template, 'HOW TO READ THIS BOOK', blocks, ['Legend']);
+}
+
+/**
+ * The pages after the daily pages: an appendix of minus tides, monthly
+ * extremes and king tides, and a legend of the book's units, datum, time
+ * convention and current signs.
+ * @param {PDFDocument} doc - With the template fonts registered.
+ * @param {object} book - The fetched data (see generatePdf).
+ * @param {object} template
+ * @returns {Array<object>} - Pages (see imposition.js).
+ */
+function backMatterPages(doc, book, template) {
+    return [...extremesPages(doc, book, template), ...legendPages(doc, book, template)];
+}
+
+module.exports = {
+    frontMatterPages,
+    backMatterPages,
+    dayDestination,
+    monthTitle,
+    sourceCredit
+};
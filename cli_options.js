@@ -0,0 +1,97 @@
+// Command-line options shared by the commands that fetch predictions: the
+// date range and where the predictions come from. Each command spreads the
+// option tables into its parseArgs options and the usage lines into its help.
+const path = require('path');
+const { ResponseCache } = require('./noaa_cache.js');
+
+const DATE_RANGE_CLI_OPTIONS = {
+    year: { type: 'string' },
+    start: { type: 'string' },
+    end: { type: 'string' },
+};
+
+const DATE_RANGE_USAGE = `  --year <yyyy>               Jan 1 to Dec 31 of a year (default: next year)
+  --start <yyyy-mm-dd>        First day of an arbitrary date range
+  --end <yyyy-mm-dd>          Last day of the range (default: Dec 31 of the start year)`;
+
+const FETCH_CLI_OPTIONS = {
+    offline: { type: 'boolean' },
+    'no-cache': { type: 'boolean' },
+    'cache-dir': { type: 'string' },
+    source: { type: 'string' },
+};
+
+const FETCH_USAGE = `  --offline                   Use only cached NOAA responses; fail on a cache miss
+  --no-cache                  Neither read nor write the response cache
+  --cache-dir <dir>           Response cache directory (default: .noaa_cache)
+  --source <noaa|harmonic>    Tide predictions from NOAA (default) or the local harmonic engine`;
+
+/**
+ * Parses a YYYY-MM-DD string into a local-midnight Date.
+ * @param {string} value
+ * @param {string} flag - The option it came from, for the error message.
+ * @returns {Date}
+ */
+function parseDay(value, flag) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+        throw new Error(`${flag} expects a date as YYYY-MM-DD, got "${value}".`);
+    }
+    return date;
+}
+
+/**
+ * The date range from parsed --year, --start and --end values (see
+ * DATE_RANGE_CLI_OPTIONS). Days that were not given are left out, for the
+ * command to default.
+ * @param {object} values - From parseArgs.
+ * @returns {{startDate?: Date, endDate?: Date}}
+ */
+function dateRangeFromCli(values) {
+    if (values.year !== undefined) {
+        if (values.start !== undefined || values.end !== undefined) {
+            throw new Error('--year cannot be combined with --start/--end.');
+        }
+        if (!/^\d{4}$/.test(values.year)) throw new Error(`--year expects a four-digit year, got "${values.year}".`);
+        return { startDate: new Date(Number(values.year), 0, 1), endDate: new Date(Number(values.year), 11, 31) };
+    }
+    const range = {};
+    if (values.start !== undefined) range.startDate = parseDay(values.start, '--start');
+    if (values.end !== undefined) {
+        if (values.start === undefined) throw new Error('--end requires --start.');
+        range.endDate = parseDay(values.end, '--end');
+        if (range.endDate < range.startDate) throw new Error(`--end ${values.end} is before --start ${values.start}.`);
+    }
+    return range;
+}
+
+/**
+ * Fetch settings (see fetch_data.js) from parsed --offline, --no-cache,
+ * --cache-dir and --source values (see FETCH_CLI_OPTIONS).
+ * @param {object} values - From parseArgs.
+ * @returns {{offline: boolean, source?: string, cache?: ResponseCache|null}}
+ */
+function fetchFromCli(values) {
+    if (values['no-cache'] && (values.offline || values['cache-dir'])) {
+        throw new Error('--no-cache cannot be combined with --offline or --cache-dir.');
+    }
+    const fetch = { offline: Boolean(values.offline) };
+    if (values.source !== undefined) {
+        if (!['noaa', 'harmonic'].includes(values.source)) throw new Error(`--source must be "noaa" or "harmonic", got "${values.source}".`);
+        fetch.source = values.source;
+    }
+    if (values['no-cache']) fetch.cache = null;
+    else if (values['cache-dir']) fetch.cache = new ResponseCache(path.resolve(values['cache-dir']));
+    return fetch;
+}
+
+module.exports = {
+    parseDay,
+    dateRangeFromCli,
+    fetchFromCli,
+    DATE_RANGE_CLI_OPTIONS,
+    DATE_RANGE_USAGE,
+    FETCH_CLI_OPTIONS,
+    FETCH_USAGE
+};
@@ -1,36 +1,8 @@
 const axios = require('axios');
-
-// Station IDs for Puget Sound locations, in the desired display order.
-const tideStations = {
-    "Port Townsend": "9444900",
-    "Blaine, Drayton Harbor": "9449679",
-    "Bellingham": "9449211",
-    "Rosario": "9449771",
-    "Friday Harbor": "9449880",
-    "Anacortes": "9448794",
-    "Sequim Bay": "9444555",
-    "Port Angeles": "9444090",
-    "Neah Bay": "9443090",
-    "Seattle": "9447130",
-    "LaConner": "9448558",
-    "Kayak Point": "9448094",
-    "Everett": "9447659",
-    "Port Ludlow": "9445017",
-    "Pleasant Harbor": "9445293",
-    "Bremerton": "9445958",
-    "Tacoma, Sequin Waterway": "9446484",
-    "Olympia": "9446807"
-};
-
-const currentStations = {
-    "Lawrence Point": "PUG1708",
-    "San Juan Channel": "PUG1703",
-    "Rosario Strait": "PUG1702",
-    "Deception Pass": "PUG1701",
-    "Point Wilson": "PUG1623",
-    "The Narrows": "PUG1524",
-    "Dana Passage": "PUG1539"
-};
+const { ResponseCache, CacheMissError } = require('./noaa_cache.js');
+const { WorkQueue, RateLimiter } = require('./fetch_queue.js');
+const { loadHarmonics, predictHiLo, predictSeries, stationOnDatum } = require('./harmonics.js');
+const { resolveUnits, heightParams, currentUnitsParam, noaaSpeedUnit, convertHeight, convertSpeed } = require('./units.js');
 
 // Formats a Date as the YYYYMMDD string the NOAA API expects.
 function formatYmd(date) {
@@ -68,23 +40,40 @@ function chunkDateRange(start, end, maxDays) {
 // Base URL for NOAA Tides and Currents API
 const API_BASE_URL = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
 
+// NOAA's station metadata API, which lists a current station's depth bins.
+const METADATA_BASE_URL = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+
 // Chunk sizes (in days) per product. The hourly product is capped at 31 days by
 // NOAA; hilo/currents have larger limits but still time out on year-long spans.
-const CHUNK_DAYS = { hilo: 90, hourly: 30, currents: 90 };
+const CHUNK_DAYS = { hilo: 90, hourly: 30, currents: 90, currentSeries: 30 };
+
+// Responses are cached on disk by default so layout-only re-runs do not hit
+// NOAA again. Pass `cache: null` in the fetch options to bypass it.
+const defaultCache = new ResponseCache();
+
+// Every fetch shares one work queue and one rate limiter unless the caller
+// passes its own, so parallel station fetches stay within NOAA's limits.
+const defaultQueue = new WorkQueue(4);
+const defaultLimiter = new RateLimiter(3);
 
 /**
  * Performs a GET request against the NOAA API with retries and exponential
  * backoff. NOAA frequently returns transient 504 (gateway timeout) responses
- * for large full-year requests, so we retry before giving up.
+ * for large full-year requests, so we retry before giving up. The backoff is
+ * jittered so parallel requests that failed together do not retry together,
+ * and every attempt waits for a slot from the rate limiter.
  * @param {object} params - Query parameters for the request.
  * @param {number} retries - Number of attempts before failing.
+ * @param {RateLimiter} [limiter] - Global request-rate cap.
+ * @param {string} [url] - Endpoint; the prediction datagetter unless given.
  * @returns {Promise<object>} - The response data.
  */
-async function noaaGet(params, retries = 4) {
+async function noaaGet(params, retries = 4, limiter = defaultLimiter, url = API_BASE_URL) {
     let lastError;
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            const response = await axios.get(API_BASE_URL, { params, timeout: 60000 });
+            await limiter.wait();
+            const response = await axios.get(url, { params, timeout: 60000 });
             if (response.data && response.data.error) {
                 throw new Error(response.data.error.message || 'NOAA API error');
             }
@@ -92,7 +81,8 @@ async function noaaGet(params, retries = 4) {
         } catch (error) {
             lastError = error;
             if (attempt < retries) {
-                const delay = 1000 * Math.pow(2, attempt - 1); // 1s, 2s, 4s, ...
+                const base = 1000 * Math.pow(2, attempt - 1); // 1s, 2s, 4s, ...
+                const delay = base / 2 + Math.random() * base; // +/- 50% jitter
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
@@ -100,30 +90,127 @@ async function noaaGet(params, retries = 4) {
     throw lastError;
 }
 
+/**
+ * Fills in defaults for the options accepted by every fetch function.
+ * @param {object} [options]
+ * @param {ResponseCache|null} [options.cache] - Response cache; null disables caching.
+ * @param {boolean} [options.offline] - Serve only from the cache and fail on a miss.
+ * @param {boolean} [options.refresh] - Ignore cached responses but store new ones.
+ * @param {WorkQueue} [options.queue] - Bounds how many requests run at once.
+ * @param {RateLimiter} [options.limiter] - Caps the global request rate.
+ * @param {FetchProgress} [options.progress] - Receives per-chunk progress.
+ * @param {FetchManifest} [options.manifest] - Records every chunk's outcome.
+ * @param {'noaa'|'harmonic'} [options.source] - Where tide predictions come from:
+ *   NOAA's API, or the local harmonic engine (see harmonics.js). Currents always come from NOAA.
+ * @param {string} [options.harmonicsDir] - Directory of harmonic constants files.
+ * @param {string} [options.timeZone] - Local zone the harmonic engine writes times in.
+ * @param {object} [options.units] - Height unit, speed unit and datum to predict in
+ *   (see units.js); feet above MLLW and knots by default.
+ * @returns {object}
+ */
+function fetchOptions(options = {}) {
+    const cache = options.cache === undefined ? defaultCache : options.cache;
+    if (options.offline && !cache) throw new Error('Offline mode needs the response cache.');
+    if (options.offline && options.refresh) throw new Error('Offline mode cannot refresh the cache.');
+    return {
+        cache,
+        offline: Boolean(options.offline),
+        refresh: Boolean(options.refresh),
+        queue: options.queue || defaultQueue,
+        limiter: options.limiter || defaultLimiter,
+        progress: options.progress || null,
+        manifest: options.manifest || null,
+        source: options.source || 'noaa',
+        harmonicsDir: options.harmonicsDir,
+        timeZone: options.timeZone,
+        units: resolveUnits(options.units),
+    };
+}
+
+/**
+ * Computes tide predictions with the local harmonic engine instead of asking
+ * NOAA, and records the span in the manifest like a fetched chunk.
+ * @param {object} baseParams - The NOAA params the request would have used.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} label - Human-readable product name for the manifest.
+ * @param {object} [options] - Fetch options (see fetchOptions).
+ * @returns {Array} - Predictions in NOAA's format.
+ * @throws {HarmonicDataError} - When the station has no usable constants file.
+ */
+function predictLocally(baseParams, startDate, endDate, label, options = {}) {
+    const { manifest, harmonicsDir, timeZone, units } = fetchOptions(options);
+    const station = stationOnDatum(loadHarmonics(baseParams.station, harmonicsDir), units);
+    const predictions = baseParams.interval === 'hilo'
+        ? predictHiLo(station, startDate, endDate, { timeZone })
+        : predictSeries(station, startDate, endDate, { timeZone, intervalMinutes: baseParams.interval === 'h' ? 60 : Number(baseParams.interval) });
+    if (manifest) {
+        manifest.recordChunk({
+            label, status: 'computed', events: predictions.length,
+            params: { ...baseParams, begin_date: formatYmd(startDate), end_date: formatYmd(endDate) },
+            firstEvent: predictions.length ? predictions[0].t : null,
+            lastEvent: predictions.length ? predictions[predictions.length - 1].t : null,
+        });
+    }
+    return predictions;
+}
+
 /**
  * Fetches a date range in chunks and concatenates the extracted prediction
  * arrays. A failure on one chunk is logged but does not discard the others.
+ * Chunks are served from the response cache when present, and successful
+ * downloads are written back, so a re-run only requests the chunks that
+ * failed last time. Uncached chunks run in parallel on the work queue; the
+ * results are merged in chunk order regardless of which finishes first.
  * @param {object} baseParams - Query params excluding begin_date/end_date.
  * @param {Date} startDate
  * @param {Date} endDate
  * @param {number} maxDays - Chunk size in days.
  * @param {(data: object) => Array} extract - Pulls the array out of a response.
  * @param {string} label - Human-readable product name for error messages.
+ * @param {object} [options] - Fetch options (see fetchOptions).
  * @returns {Promise<Array>} - The merged, in-order list of predictions.
+ * @throws {CacheMissError} - In offline mode, when a chunk is not cached.
  */
-async function fetchInChunks(baseParams, startDate, endDate, maxDays, extract, label) {
-    const merged = [];
-    for (const { begin, end } of chunkDateRange(startDate, endDate, maxDays)) {
+async function fetchInChunks(baseParams, startDate, endDate, maxDays, extract, label, options = {}) {
+    const { cache, offline, refresh, queue, limiter, progress, manifest } = fetchOptions(options);
+    const chunks = chunkDateRange(startDate, endDate, maxDays).map(({ begin, end }) => {
         const params = { ...baseParams, begin_date: formatYmd(begin), end_date: formatYmd(end) };
+        return { params, data: cache && !refresh ? cache.get(params) : undefined };
+    });
+    // Check the whole series before fetching anything, so offline mode fails fast.
+    const miss = offline && chunks.find(chunk => chunk.data === undefined);
+    if (miss) throw new CacheMissError(miss.params);
+
+    if (progress) progress.datasetStarted(baseParams.station, chunks.length);
+    const results = await Promise.all(chunks.map(async ({ params, data }) => {
+        const cached = data !== undefined;
         try {
-            const data = await noaaGet(params);
-            const arr = extract(data);
-            if (Array.isArray(arr)) merged.push(...arr);
+            if (!cached) {
+                data = await queue.push(() => noaaGet(params, 4, limiter));
+                if (cache) cache.set(params, data);
+            }
+            const extracted = extract(data);
+            const arr = Array.isArray(extracted) ? extracted : [];
+            if (progress) progress.chunkFinished({ label, params, cached });
+            if (manifest) {
+                const time = record => record.t || record.Time;
+                manifest.recordChunk({
+                    label, params, status: cached ? 'cached' : 'ok', events: arr.length,
+                    firstEvent: arr.length ? time(arr[0]) : null,
+                    lastEvent: arr.length ? time(arr[arr.length - 1]) : null,
+                });
+            }
+            return arr;
         } catch (error) {
-            console.error(`Error fetching ${label} for station ${baseParams.station} (${formatYmd(begin)} to ${formatYmd(end)}):`, error.message);
+            if (progress) progress.chunkFinished({ label, params, cached, error });
+            if (manifest) manifest.recordChunk({ label, params, status: 'failed', events: 0, error });
+            else console.error(`Error fetching ${label} for station ${params.station} (${params.begin_date} to ${params.end_date}):`, error.message);
+            return [];
         }
-    }
-    return merged;
+    }));
+    if (progress) progress.datasetFinished(baseParams.station);
+    return results.flat();
 }
 
 // --- Fetch Functions ---
@@ -133,22 +220,25 @@ async function fetchInChunks(baseParams, startDate, endDate, maxDays, extract, l
  * @param {string} stationId - The ID of the tide station.
  * @param {Date} startDate - The start date for which to fetch data.
  * @param {Date} endDate - The end date for which to fetch data.
+ * @param {object} [options] - Cache, concurrency and progress settings (see fetchOptions).
  * @returns {Promise<object>} - A promise that resolves with the tide data.
  */
-async function fetchTideData(stationId, startDate, endDate) {
+async function fetchTideData(stationId, startDate, endDate, options = {}) {
     const baseParams = {
         application: 'Puget_Sound_Tide_Book',
         format: 'json',
         product: 'predictions',
-        datum: 'MLLW',
+        ...heightParams(fetchOptions(options).units),
         time_zone: 'lst_ldt',
-        units: 'english',
         interval: 'hilo',
         station: stationId,
     };
+    if (fetchOptions(options).source === 'harmonic') {
+        return { predictions: predictLocally(baseParams, startDate, endDate, 'tide data', options) };
+    }
     const predictions = await fetchInChunks(
         baseParams, startDate, endDate, CHUNK_DAYS.hilo,
-        data => data.predictions, 'tide data'
+        data => data.predictions, 'tide data', options
     );
     return { predictions };
 }
@@ -158,86 +248,314 @@ async function fetchTideData(stationId, startDate, endDate) {
   * @param {string} stationId - The ID of the tide station.
   * @param {Date} startDate - The start date for which to fetch data.
   * @param {Date} endDate - The end date for which to fetch data.
+  * @param {object} [options] - Cache, concurrency and progress settings (see fetchOptions).
+  * @param {number} [options.intervalMinutes] - 60 (the default) or 6 for NOAA's six-minute series.
   * @returns {Promise<object>} - A promise that resolves with the hourly tide data.
   */
- async function fetchHourlyTideData(stationId, startDate, endDate) {
+ async function fetchHourlyTideData(stationId, startDate, endDate, options = {}) {
     const baseParams = {
         application: 'Puget_Sound_Tide_Book',
         format: 'json',
         product: 'predictions',
-        datum: 'MLLW',
+        ...heightParams(fetchOptions(options).units),
         time_zone: 'lst_ldt',
-        units: 'english',
-        interval: 'h', // Hourly interval
+        interval: options.intervalMinutes === 6 ? '6' : 'h', // Hourly unless six-minute is asked for
         station: stationId,
     };
+    if (fetchOptions(options).source === 'harmonic') {
+        return { predictions: predictLocally(baseParams, startDate, endDate, 'hourly tide data', options) };
+    }
     const predictions = await fetchInChunks(
         baseParams, startDate, endDate, CHUNK_DAYS.hourly,
-        data => data.predictions, 'hourly tide data'
+        data => data.predictions, 'hourly tide data', options
     );
     return { predictions };
  }
  
+// Clock minutes since the epoch for a NOAA "YYYY-MM-DD HH:MM" clock time, and back.
+function clockToMinutes(time) {
+    const [y, mo, d, h, mi] = time.split(/[- :]/).map(Number);
+    return Date.UTC(y, mo - 1, d, h, mi) / 60000;
+}
+
+function minutesToClock(minutes) {
+    return new Date(Math.round(minutes) * 60000).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+// Adds minutes to a NOAA "YYYY-MM-DD HH:MM" clock time.
+function shiftClockTime(time, minutes) {
+    return minutesToClock(clockToMinutes(time) + minutes);
+}
+
+/**
+ * Applies subordinate-station offsets to a reference station's high and low
+ * waters. Offsets work on clock time, as NOAA's tables do.
+ * @param {Array<{t: string, v: string, type: string}>} referenceEvents
+ * @param {object} offsets - highTime/lowTime in minutes, highHeight/lowHeight
+ *   as ratios or feet depending on heightType ("ratio" or "offset").
+ * @param {string} [heightUnit] - Unit of the reference heights, "ft" (default) or "m";
+ *   height offsets are converted to it.
+ * @returns {Array<{t: string, v: string, type: string}>} - Derived events, in time order.
+ */
+function deriveSubordinateEvents(referenceEvents, offsets, heightUnit = 'ft') {
+    return referenceEvents
+        .map(event => {
+            const high = event.type === 'H';
+            const given = high ? offsets.highHeight : offsets.lowHeight;
+            const height = offsets.heightType === 'ratio' ? given : convertHeight(given, 'ft', heightUnit);
+            const v = parseFloat(event.v);
+            return {
+                t: shiftClockTime(event.t, high ? offsets.highTime : offsets.lowTime),
+                v: (offsets.heightType === 'ratio' ? v * height : v + height).toFixed(3),
+                type: event.type,
+            };
+        })
+        .sort((a, b) => a.t.localeCompare(b.t));
+}
+
+/**
+ * Predicts high and low tides for a subordinate station from its reference
+ * station's data. The reference is fetched a day either side of the range so
+ * events shifted across midnight are not lost.
+ * @param {object} station - Region tide station with `reference` and `offsets`.
+ * @param {Date} startDate - The start date for which to fetch data.
+ * @param {Date} endDate - The end date for which to fetch data.
+ * @param {object} [options] - Cache, concurrency and progress settings (see fetchOptions).
+ * @returns {Promise<object>} - Tide data shaped like fetchTideData's, plus the reference ID.
+ * @throws {Error} - For a datum other than MLLW, which NOAA's offsets are not published for.
+ */
+async function fetchSubordinateTideData(station, startDate, endDate, options = {}) {
+    const { units } = fetchOptions(options);
+    if (units.datum !== 'MLLW') {
+        throw new Error(`Subordinate station ${station.name} (${station.id}) is only predicted on MLLW, not ${units.datum}.`);
+    }
+    const before = new Date(startDate);
+    before.setDate(before.getDate() - 1);
+    const after = new Date(endDate);
+    after.setDate(after.getDate() + 1);
+    const reference = await fetchTideData(station.reference, before, after, options);
+    const isoDay = date => formatYmd(date).replace(/^(\d{4})(\d{2})/, '$1-$2-');
+    const first = `${isoDay(startDate)} 00:00`;
+    const last = `${isoDay(endDate)} 23:59`;
+    const predictions = deriveSubordinateEvents(reference.predictions, station.offsets, units.height)
+        .filter(event => event.t >= first && event.t <= last);
+    return { predictions, derivedFrom: station.reference };
+}
+
+// Converts NOAA current records from the speed unit of their request's units
+// parameter to the book's. Depths stay in the height unit they were requested in.
+function inSpeedUnit(records, noaaUnits, speed) {
+    const from = noaaSpeedUnit(noaaUnits);
+    if (from === speed) return records;
+    return records.map(p => ({ ...p, Velocity_Major: Number(convertSpeed(parseFloat(p.Velocity_Major), from, speed).toFixed(3)) }));
+}
+
  /**
   * Fetches current predictions for a given station.
   * @param {string} stationId - The ID of the current station.
   * @param {Date} startDate - The start date for which to fetch data.
   * @param {Date} endDate - The end date for which to fetch data.
-  * @returns {Promise<object>} - A promise that resolves with the current data.
+  * @param {object} [options]
+  * @param {number} [options.bin] - Depth bin to predict for; NOAA's default bin when omitted.
+  *   Cache, concurrency, progress and unit settings are accepted as well (see fetchOptions).
+  * @returns {Promise<object>} - A promise that resolves with the current data, speeds in the
+  *   settings' speed unit and depths in their height unit.
   */
- async function fetchCurrentData(stationId, startDate, endDate) {
+ async function fetchCurrentData(stationId, startDate, endDate, options = {}) {
     const baseParams = {
         application: 'Puget_Sound_Tide_Book',
         format: 'json',
         product: 'currents_predictions',
         time_zone: 'lst_ldt',
-        units: 'english',
+        units: currentUnitsParam(fetchOptions(options).units),
         interval: 'max_slack',
         station: stationId,
     };
+    if (options.bin !== undefined) baseParams.bin = options.bin;
     const cp = await fetchInChunks(
         baseParams, startDate, endDate, CHUNK_DAYS.currents,
-        data => data.current_predictions && data.current_predictions.cp, 'current data'
+        data => data.current_predictions && data.current_predictions.cp, 'current data', options
     );
-    return { current_predictions: { cp } };
+    return { current_predictions: { cp: inSpeedUnit(cp, baseParams.units, fetchOptions(options).units.speed) } };
+}
+
+/**
+ * Finds the depth bin of a current station nearest a depth, from NOAA's
+ * station metadata. The bin list goes through the response cache like
+ * predictions do, so offline runs can still resolve depths.
+ * @param {string} stationId - The ID of the current station.
+ * @param {number} depth - Wanted depth below the surface, in feet.
+ * @param {object} [options] - Cache and rate settings (see fetchOptions).
+ * @returns {Promise<{bin: number, depth: number}>} - The chosen bin and its actual depth.
+ * @throws {CacheMissError} - Offline, when the bin list was never fetched.
+ */
+async function currentBinForDepth(stationId, depth, options = {}) {
+    const { cache, offline, refresh, limiter } = fetchOptions(options);
+    const params = { station: stationId, product: 'bins', units: 'english' };
+    let data = cache && !refresh ? cache.get(params) : undefined;
+    if (data === undefined) {
+        if (offline) throw new CacheMissError(params);
+        data = await noaaGet({ units: 'english' }, 4, limiter, `${METADATA_BASE_URL}/${stationId}/bins.json`);
+        if (cache) cache.set(params, data);
+    }
+    const bins = (data.bins || []).filter(b => Number.isFinite(b.num) && Number.isFinite(b.depth));
+    if (bins.length === 0) throw new Error(`NOAA lists no depth bins for current station ${stationId}.`);
+    const nearest = bins.reduce((best, b) => (Math.abs(b.depth - depth) < Math.abs(best.depth - depth) ? b : best));
+    return { bin: nearest.num, depth: nearest.depth };
 }
 
-// --- Main Execution ---
+/**
+ * Lists the datums NOAA has established at a tide station, from its station
+ * metadata. Like bin lists, datum lists go through the response cache.
+ * @param {string} stationId - The ID of the tide station.
+ * @param {object} [options] - Cache and rate settings (see fetchOptions).
+ * @returns {Promise<string[]>} - Datum names as NOAA lists them, e.g. "MLLW", "NAVD88".
+ * @throws {CacheMissError} - Offline, when the datum list was never fetched.
+ */
+async function stationDatums(stationId, options = {}) {
+    const { cache, offline, refresh, limiter } = fetchOptions(options);
+    const params = { station: stationId, product: 'datums', units: 'english' };
+    let data = cache && !refresh ? cache.get(params) : undefined;
+    if (data === undefined) {
+        if (offline) throw new CacheMissError(params);
+        data = await noaaGet({ units: 'english' }, 4, limiter, `${METADATA_BASE_URL}/${stationId}/datums.json`);
+        if (cache) cache.set(params, data);
+    }
+    return (data.datums || []).filter(d => Number.isFinite(d.value)).map(d => d.name);
+}
 
-async function main() {
-    console.log("--- Fetching Tide Data ---");
-    for (const [name, id] of Object.entries(tideStations)) {
-        const data = await fetchTideData(id);
-        console.log(`\n${name} (Station: ${id})`);
-        if (data && data.predictions) {
-            data.predictions.forEach(p => {
-                console.log(`  ${p.type === 'H' ? 'High' : 'Low'}: ${p.v} ft at ${p.t}`);
+/**
+ * Checks that every tide station of a region can be predicted on a datum
+ * before anything is fetched: subordinate stations only on MLLW, and NOAA
+ * stations only on datums established there. MLLW needs no request, and
+ * offline a station whose datums were never cached is not checked: its cached
+ * predictions, if any, were fetched on the datum.
+ * @param {object} region - Validated region (see region_config.js).
+ * @param {object} [options] - Fetch options (see fetchOptions); their units give the datum.
+ * @returns {Promise<void>}
+ * @throws {Error} - Naming every station that lacks the datum.
+ */
+async function checkDatum(region, options = {}) {
+    const { units, source, offline } = fetchOptions(options);
+    if (units.datum === 'MLLW') return;
+    const problems = [];
+    for (const station of region.tideStations.filter(s => s.reference)) {
+        problems.push(`${station.name} (${station.id}) is subordinate and only predicted on MLLW`);
+    }
+    // The harmonic engine checks its own constants files when it predicts.
+    if (source === 'noaa') {
+        await Promise.all(region.tideStations.filter(s => !s.reference).map(async station => {
+            const datums = await stationDatums(station.id, options).catch(error => {
+                if (offline && error instanceof CacheMissError) return null;
+                throw error;
             });
-        } else {
-            console.log("  No data found.");
-        }
+            if (datums && !datums.includes(units.datum)) {
+                problems.push(`${station.name} (${station.id}) has no ${units.datum}; NOAA lists ${datums.join(', ') || 'no datums'}`);
+            }
+        }));
+    }
+    if (problems.length > 0) {
+        throw new Error(`Cannot predict on ${units.datum}:\n${problems.map(p => `    - ${p}`).join('\n')}`);
     }
+}
+
+/**
+ * Fetches a current station's continuous velocity series, for graphs. Velocities
+ * are signed along the principal axis: flood positive, ebb negative.
+ * @param {string} stationId - The ID of the current station.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {object} [options]
+ * @param {number} [options.bin] - Depth bin to predict for; NOAA's default bin when omitted.
+ * @param {number} [options.intervalMinutes] - 30 (the default) or 6.
+ *   Cache, concurrency, progress and unit settings are accepted as well (see fetchOptions).
+ * @returns {Promise<object>} - Same shape as fetchCurrentData's result, one record per sample.
+ */
+async function fetchCurrentSeries(stationId, startDate, endDate, options = {}) {
+    const baseParams = {
+        application: 'Puget_Sound_Tide_Book',
+        format: 'json',
+        product: 'currents_predictions',
+        time_zone: 'lst_ldt',
+        units: currentUnitsParam(fetchOptions(options).units),
+        interval: String(options.intervalMinutes || 30),
+        station: stationId,
+    };
+    if (options.bin !== undefined) baseParams.bin = options.bin;
+    const cp = await fetchInChunks(
+        baseParams, startDate, endDate, CHUNK_DAYS.currentSeries,
+        data => data.current_predictions && data.current_predictions.cp, 'current series', options
+    );
+    return { current_predictions: { cp: inSpeedUnit(cp, baseParams.units, fetchOptions(options).units.speed) } };
+}
 
-    console.log("\n--- Fetching Current Data ---");
-    for (const [name, id] of Object.entries(currentStations)) {
-        const data = await fetchCurrentData(id);
-        console.log(`\n${name} (Station: ${id})`);
-        // The response for currents has a 'current_predictions' key
-        if (data && data.current_predictions && data.current_predictions.cp) {
-            data.current_predictions.cp.forEach(p => {
-                // Map the event type to the book's terminology
-                let eventType = '';
-                if (p.Type === 'slack') eventType = 'Slack';
-                else if (p.Type === 'ebb') eventType = 'Max Ebb';
-                else if (p.Type === 'flood') eventType = 'Max Flood';
-                else eventType = p.Type; // Fallback
+// Speed under which a current counts as slack when a station sets no threshold.
+const DEFAULT_SLACK_THRESHOLD = 0.5;
 
-                console.log(`  ${eventType}: ${p.Velocity_Major} knots at ${p.Time}`);
-            });
+/**
+ * Finds the slack-water windows in a current series: the spans during which
+ * the speed stays under `threshold`. The series is treated as straight lines
+ * between samples, so window edges fall between samples and a slack shorter
+ * than the sampling interval is still found.
+ * @param {Array<{Time: string, Velocity_Major: number}>} series - Signed velocities
+ *   in time order, as from fetchCurrentSeries.
+ * @param {number} [threshold] - Speed in the series' speed unit (default 0.5 kn).
+ * @returns {Array<{start: string, end: string, minutes: number, slack: string|null}>} -
+ *   Clock times like NOAA's; `slack` is when the current turns, or null when it
+ *   only weakens under the threshold without reversing. Windows at the ends of
+ *   the series are cut off there.
+ */
+function slackWindows(series, threshold = DEFAULT_SLACK_THRESHOLD) {
+    // Clock time repeats an hour when DST ends; keep the first pass only.
+    const points = [];
+    for (const p of series) {
+        const minutes = clockToMinutes(p.Time);
+        const velocity = parseFloat(p.Velocity_Major);
+        if (!Number.isFinite(velocity)) continue;
+        if (points.length > 0 && minutes <= points[points.length - 1].minutes) continue;
+        points.push({ minutes, velocity });
+    }
+
+    const windows = [];
+    let open = null;
+    const close = end => {
+        windows.push({
+            start: minutesToClock(open.start),
+            end: minutesToClock(end),
+            minutes: Math.round(end - open.start),
+            slack: open.slack === null ? null : minutesToClock(open.slack),
+        });
+        open = null;
+    };
+    for (let i = 0; i + 1 < points.length; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const dv = b.velocity - a.velocity;
+        // Fraction of the segment at which the line reaches a velocity.
+        const at = v => (v - a.velocity) / dv;
+        let from = 0;
+        let to = 1;
+        if (dv === 0) {
+            if (Math.abs(a.velocity) >= threshold) from = to = NaN;
         } else {
-            console.log("  No data found or error in response.");
+            const [lo, hi] = [at(-threshold), at(threshold)].sort((x, y) => x - y);
+            from = Math.max(0, lo);
+            to = Math.min(1, hi);
+        }
+        if (!(from < to)) {
+            if (open) close(a.minutes);
+            continue;
+        }
+        const time = f => a.minutes + f * (b.minutes - a.minutes);
+        if (open && from > 0) close(a.minutes);
+        if (!open) open = { start: time(from), slack: null };
+        if (dv !== 0 && Math.sign(a.velocity) !== Math.sign(b.velocity) && open.slack === null) {
+            open.slack = time(at(0));
         }
+        if (to < 1) close(time(to));
     }
+    if (open) close(points[points.length - 1].minutes);
+    return windows;
 }
 
 // --- Exports and Main Execution ---
@@ -247,11 +565,23 @@ module.exports = {
     fetchTideData,
     fetchHourlyTideData,
     fetchCurrentData,
-    tideStations,
-    currentStations
+    fetchCurrentSeries,
+    currentBinForDepth,
+    stationDatums,
+    checkDatum,
+    fetchSubordinateTideData,
+    deriveSubordinateEvents,
+    slackWindows,
+    clockToMinutes,
+    minutesToClock,
+    DEFAULT_SLACK_THRESHOLD,
+    CacheMissError
 };
 
-// Run the main function only when the script is executed directly
+// Run directly, this file answers station queries (see tide_query.js).
 if (require.main === module) {
-    main();
+    require('./tide_query.js').main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
 }
@@ -0,0 +1,161 @@
+/**
+ * Runs async tasks with at most `concurrency` of them in flight. Tasks start in
+ * the order they were pushed.
+ */
+class WorkQueue {
+    /**
+     * @param {number} [concurrency] - Maximum number of tasks running at once.
+     */
+    constructor(concurrency = 4) {
+        if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+            throw new Error(`Concurrency must be a positive integer, got ${concurrency}.`);
+        }
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.pending = [];
+    }
+
+    /**
+     * Schedules a task.
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>} - Settles with the task's result.
+     * @template T
+     */
+    push(task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { task, resolve, reject } = this.pending.shift();
+            this.running++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+}
+
+/**
+ * Spaces request starts at least 1/requestsPerSecond apart, across every
+ * caller that shares the limiter. Retries go through it too, so a burst of
+ * failures cannot hammer NOAA.
+ */
+class RateLimiter {
+    /**
+     * @param {number} [requestsPerSecond] - Global cap; Infinity disables the limit.
+     */
+    constructor(requestsPerSecond = 3) {
+        if (!(requestsPerSecond > 0)) {
+            throw new Error(`Request rate must be a positive number, got ${requestsPerSecond}.`);
+        }
+        this.interval = 1000 / requestsPerSecond;
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Resolves when the caller may start its request.
+     * @returns {Promise<void>}
+     */
+    wait() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.interval;
+        if (slot <= now) return Promise.resolve();
+        return new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+}
+
+// Formats milliseconds as m:ss for ETA display.
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Tracks fetch progress across every station and product and prints one line
+ * per finished request: chunks done, stations done, failures and an ETA based
+ * on the throughput so far. Cached chunks count as done but are not printed.
+ */
+class FetchProgress {
+    /**
+     * @param {object} [options]
+     * @param {(line: string) => void} [options.log] - Where progress lines go (default: console.log).
+     */
+    constructor(options = {}) {
+        this.log = options.log || (line => console.log(line));
+        this.startedAt = Date.now();
+        this.chunksTotal = 0;
+        this.chunksDone = 0;
+        this.chunksFailed = 0;
+        this.chunksCached = 0;
+        this.openDatasets = new Map(); // station ID -> datasets still fetching
+        this.stations = new Set();
+        this.stationsDone = new Set(); // stations with no dataset still fetching
+    }
+
+    /**
+     * Registers a station/product series about to be fetched.
+     * @param {string} station - NOAA station ID.
+     * @param {number} chunkCount - Number of chunks the series was split into.
+     */
+    datasetStarted(station, chunkCount) {
+        this.stations.add(station);
+        this.stationsDone.delete(station);
+        this.openDatasets.set(station, (this.openDatasets.get(station) || 0) + 1);
+        this.chunksTotal += chunkCount;
+    }
+
+    /**
+     * @param {string} station - NOAA station ID.
+     */
+    datasetFinished(station) {
+        const open = this.openDatasets.get(station) - 1;
+        this.openDatasets.set(station, open);
+        if (open === 0) this.stationsDone.add(station);
+    }
+
+    /**
+     * Records a finished chunk.
+     * @param {object} chunk
+     * @param {string} chunk.label - Product name, e.g. "tide data".
+     * @param {object} chunk.params - The request parameters.
+     * @param {boolean} [chunk.cached] - Served from the response cache.
+     * @param {Error} [chunk.error] - Set when the chunk failed.
+     */
+    chunkFinished({ label, params, cached, error }) {
+        this.chunksDone++;
+        if (error) this.chunksFailed++;
+        if (cached) {
+            this.chunksCached++;
+            return;
+        }
+        const fetched = this.chunksDone - this.chunksCached;
+        const remaining = this.chunksTotal - this.chunksDone;
+        const eta = formatDuration((Date.now() - this.startedAt) / fetched * remaining);
+        const status = error ? `FAILED: ${error.message}` : 'ok';
+        this.log(`[${this.chunksDone}/${this.chunksTotal} chunks, ${this.stationsDone.size}/${this.stations.size} stations, ${this.chunksFailed} failed, ETA ${eta}] ` +
+            `${label} ${params.station} ${params.begin_date}-${params.end_date} ${status}`);
+    }
+
+    /**
+     * @returns {string} - A one-line summary for the end of the run.
+     */
+    summary() {
+        return `Fetched ${this.chunksDone} chunks for ${this.stations.size} stations in ${formatDuration(Date.now() - this.startedAt)} ` +
+            `(${this.chunksCached} from cache, ${this.chunksFailed} failed).`;
+    }
+}
+
+module.exports = {
+    WorkQueue,
+    RateLimiter,
+    FetchProgress
+};
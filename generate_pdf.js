@@ -1,304 +1,1116 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
-const { fetchTideData, fetchHourlyTideData, fetchCurrentData, tideStations, currentStations } = require('./fetch_data.js');
-const SunCalc = require('suncalc');
-const moonPhases = require('./moon_phases.js');
+const { parseArgs } = require('util');
+const path = require('path');
+const {
+    fetchTideData, fetchHourlyTideData, fetchCurrentData, fetchCurrentSeries, fetchSubordinateTideData,
+    currentBinForDepth, checkDatum, slackWindows, DEFAULT_SLACK_THRESHOLD,
+} = require('./fetch_data.js');
+const { WorkQueue, RateLimiter, FetchProgress } = require('./fetch_queue.js');
+const { FetchManifest, DataIntegrityError } = require('./validate_data.js');
+const { loadRegion } = require('./region_config.js');
+const { dayAstronomy, formatClock, formatDuration } = require('./astronomy.js');
+const { zonedParts, formatDay } = require('./time_zone.js');
+const { dateRangeFromCli, fetchFromCli, DATE_RANGE_CLI_OPTIONS, DATE_RANGE_USAGE, FETCH_CLI_OPTIONS, FETCH_USAGE } = require('./cli_options.js');
+const { resolveUnits, convertSpeed, formatKnots, formatClockTime, unitsSummary, unitsFromCli, UNIT_CLI_OPTIONS, UNIT_USAGE } = require('./units.js');
+const { tideSeriesFromEvents } = require('./tide_query.js');
+const { layoutDay, drawBlocks, parseOverflowPolicy, LayoutReport, DEFAULT_OVERFLOW_POLICY } = require('./page_layout.js');
+const { intermediatePhaseName, drawMoonIcon } = require('./moon_phases.js');
+const { loadTemplate, registerTemplateFonts, bundledTemplates, DEFAULT_TEMPLATE } = require('./page_templates.js');
+const { weeklySpreadPages } = require('./weekly_spread.js');
+const { frontMatterPages, backMatterPages, dayDestination, monthTitle } = require('./book_matter.js');
+const {
+    alignPages, writeSequential, writeImposed, imposedSheetSize, parseSheetSize, parseMarks,
+    BINDINGS, SHEET_SIZES, DEFAULT_SIGNATURE_SHEETS, SADDLE_STITCH_MAX_PAGES,
+} = require('./imposition.js');
 
-function formatTime(dateTimeString) {
+function formatTime(dateTimeString, clock) {
     if (!dateTimeString || typeof dateTimeString !== 'string') return '';
     const parts = dateTimeString.split(' ');
-    return parts.length === 2 ? parts[1] : '';
+    return parts.length === 2 ? formatClockTime(parts[1], clock) : '';
+}
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Formats a direction in degrees true as "242°" or as a 16-point compass
+ * point ("WSW").
+ * @param {number} degrees
+ * @param {'compass'|'degrees'} style
+ * @returns {string}
+ */
+function formatDirection(degrees, style) {
+    const normalized = ((Math.round(degrees) % 360) + 360) % 360;
+    if (style === 'degrees') return `${String(normalized).padStart(3, '0')}°`;
+    return COMPASS_POINTS[Math.round(normalized / 22.5) % 16];
 }
 
 /**
- * Draws a moon phase icon directly onto the PDF using SVG paths.
- * @param {PDFDocument} doc - The PDF document instance.
- * @param {number} x - The x-coordinate for the center of the icon.
- * @param {number} y - The y-coordinate for the center of the icon.
- * @param {number} phase - The moon illumination phase (0 to 1).
- * @param {number} radius - The radius of the moon icon.
+ * Draws a small arrow pointing the way the current sets.
+ * @param {PDFDocument} doc
+ * @param {number} x - Center of the arrow.
+ * @param {number} y - Center of the arrow.
+ * @param {number} bearing - Degrees true; 0 points up the page.
+ * @param {number} length
  */
-function drawMoonIcon(doc, x, y, phase, radius) {
+function drawDirectionArrow(doc, x, y, bearing, length) {
+    const half = length / 2;
     doc.save();
+    doc.translate(x, y).rotate(bearing);
+    doc.lineWidth(0.5).strokeColor('black').moveTo(0, half).lineTo(0, -half + 1).stroke();
+    doc.moveTo(0, -half).lineTo(-1.2, -half + 1.8).lineTo(1.2, -half + 1.8).closePath().fill('black');
+    doc.restore();
+}
+
+// Minutes past midnight of `day` (YYYY-MM-DD) for a NOAA "YYYY-MM-DD HH:MM"
+// clock time; the next day's midnight is 1440.
+function clockMinutesOfDay(time, day) {
+    const minutes = Number(time.slice(11, 13)) * 60 + Number(time.slice(14, 16));
+    return time.startsWith(day) ? minutes : minutes + 1440;
+}
+
+// Turns a day's samples into {minutes, value} points on the 00:00-24:00 axis.
+// Clock time goes back an hour when DST ends; only the first pass is kept.
+function dayPoints(series, day, timeKey, valueKey) {
+    const points = [];
+    for (const p of series) {
+        const minutes = clockMinutesOfDay(p[timeKey], day);
+        const value = parseFloat(p[valueKey]);
+        if (!Number.isFinite(value) || minutes > 1440) continue;
+        if (points.length > 0 && minutes <= points[points.length - 1].minutes) continue;
+        points.push({ minutes, value });
+    }
+    return points;
+}
 
-    const light = '#E0E0E0';
-    const dark = '#201F24';
+/**
+ * Vertical range for a station's graphs, taken over the whole book so that
+ * every page shares the same scale.
+ * @param {Array<{v: string}>} series - The station's hourly (or six-minute) series.
+ * @param {Array<{v: string}>} events - Its high and low waters, which can peak between samples.
+ * @returns {{min: number, max: number}|null} - In the series' unit, padded and rounded out to whole units.
+ */
+function tideGraphScale(series, events) {
+    const values = [...series, ...events].map(p => parseFloat(p.v)).filter(Number.isFinite);
+    if (values.length === 0) return null;
+    return { min: Math.floor(Math.min(...values) - 0.5), max: Math.ceil(Math.max(...values) + 0.5) };
+}
 
-    // Always draw the dark circle background
-    doc.circle(x, y, radius).fill(dark);
+/**
+ * Vertical range for a current station's graphs over the whole book,
+ * symmetric about slack so flood and ebb read at the same scale.
+ * @param {Array<{Velocity_Major: number}>} series - The station's velocity series.
+ * @param {Array<{Velocity_Major: number}>} events - Its max flood and ebb events.
+ * @returns {{min: number, max: number}|null} - In the series' unit, rounded out to whole units.
+ */
+function currentGraphScale(series, events) {
+    const speeds = [...series, ...events].map(p => Math.abs(parseFloat(p.Velocity_Major))).filter(Number.isFinite);
+    if (speeds.length === 0) return null;
+    const limit = Math.max(1, Math.ceil(Math.max(...speeds) + 0.25));
+    return { min: -limit, max: limit };
+}
 
-    const phaseName = getMoonPhaseName(phase).toLowerCase().replace(' ', '_');
-    let path;
+// Shades the hours before sunrise and after sunset.
+function shadeNight(doc, { sunrise, sunset, timeZone }, minuteToX, width, height) {
+    const eventMinutes = date => {
+        if (!date || Number.isNaN(date.getTime())) return null;
+        const { hour, minute } = zonedParts(date, timeZone);
+        return hour * 60 + minute;
+    };
+    const rise = eventMinutes(sunrise);
+    const set = eventMinutes(sunset);
+    if (rise === null || set === null) return;
+    doc.fillColor('#e6e6e6');
+    if (rise > 0) doc.rect(0, 0, minuteToX(rise), height).fill();
+    if (set < 1440) doc.rect(minuteToX(set), 0, width - minuteToX(set), height).fill();
+}
 
-    if (phaseName === 'new_moon') {
-        // Already dark, do nothing
-    } else if (phaseName === 'full_moon') {
-        doc.circle(x, y, radius).fill(light);
-    } else {
-        path = moonPhases[phaseName];
-        if (path) {
-            // The paths are for a 100x100 box. We need to scale and translate.
-            const scale = radius / 50;
-            doc.translate(x - radius, y - radius).scale(scale);
-            doc.path(path).fill(light);
-        }
+// Whole-unit grid lines (at most five, zero drawn darker) labelled in the left
+// margin, the 06/12/18 hour lines labelled below on the book's clock, and a frame.
+function drawGraphGrid(doc, scale, valueToY, minuteToX, width, height, clock) {
+    const step = Math.max(1, Math.ceil((scale.max - scale.min) / 5));
+    doc.fontSize(4).font('regular');
+    for (let value = Math.ceil(scale.min / step) * step; value <= scale.max; value += step) {
+        const lineY = valueToY(value);
+        doc.lineWidth(0.5).strokeColor(value === 0 ? '#808080' : '#d0d0d0').moveTo(0, lineY).lineTo(width, lineY).stroke();
+        doc.fillColor('black').text(String(value), -9, lineY - 1.5, { width: 8, align: 'right', lineBreak: false });
+    }
+    for (const hour of [6, 12, 18]) {
+        const lineX = minuteToX(hour * 60);
+        doc.lineWidth(0.5).strokeColor('#d0d0d0').moveTo(lineX, 0).lineTo(lineX, height).stroke();
+        doc.fontSize(7).fillColor('black').font('bold')
+           .text(formatClockTime(`${String(hour).padStart(2, '0')}:00`, clock), lineX - 15, height + 2, { width: 30, align: 'center' });
+    }
+    doc.lineWidth(0.5).strokeColor('black').rect(0, 0, width, height).stroke();
+}
+
+/**
+ * Draws one day's tide curve on a fixed midnight-to-midnight axis: night hours
+ * shaded from sunset to sunrise, whole-unit grid lines, the predicted series
+ * as a line and the day's high and low waters as labelled markers.
+ * @param {PDFDocument} doc - The PDF document instance, with the template fonts registered
+ *   (see registerTemplateFonts).
+ * @param {object} graph
+ * @param {string} graph.day - The page's day, YYYY-MM-DD.
+ * @param {Array<{t: string, v: string}>} graph.series - Samples for the day, ideally
+ *   including the next day's 00:00 so the curve reaches the right edge.
+ * @param {Array<{t: string, v: string, type: string}>} graph.events - The day's high and low waters.
+ * @param {{min: number, max: number}} graph.scale - See tideGraphScale.
+ * @param {Date} [graph.sunrise]
+ * @param {Date} [graph.sunset]
+ * @param {string} graph.timeZone - Zone of the sunrise and sunset clock times.
+ * @param {string} [graph.clock] - "24" (default) or "12", for the hour labels.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function drawTideGraph(doc, graph, x, y, width, height) {
+    const { day, series, events, scale } = graph;
+    const points = dayPoints(series, day, 't', 'v');
+    if (points.length < 2) return;
+
+    doc.save();
+    doc.translate(x, y);
+
+    const minuteToX = minutes => (minutes / 1440) * width;
+    const valueToY = value => height - ((value - scale.min) / (scale.max - scale.min)) * height;
+
+    shadeNight(doc, graph, minuteToX, width, height);
+    drawGraphGrid(doc, scale, valueToY, minuteToX, width, height, graph.clock);
+
+    // Curve
+    doc.lineWidth(1).strokeColor('black');
+    doc.moveTo(minuteToX(points[0].minutes), valueToY(points[0].value));
+    for (const p of points.slice(1)) doc.lineTo(minuteToX(p.minutes), valueToY(p.value));
+    doc.stroke();
+
+    // High and low water markers
+    for (const e of events) {
+        const px = minuteToX(clockMinutesOfDay(e.t, day));
+        const py = valueToY(parseFloat(e.v));
+        doc.circle(px, py, 1.5).fill('black');
+        const labelY = e.type === 'H' ? py + 3 : py - 8;
+        doc.fontSize(5).fillColor('black').font('bold')
+           .text(parseFloat(e.v).toFixed(1), px - 10, labelY, { width: 20, align: 'center' });
     }
 
     doc.restore();
 }
 
-function drawTideGraph(doc, hiloData, x, y, width, height) {
-    if (!hiloData || hiloData.length < 2) return;
+/**
+ * Draws one day's tidal current on the same fixed axis as drawTideGraph:
+ * signed velocity with flood above and ebb below zero, the flood and ebb
+ * areas shaded, slacks marked on the zero line and the maxima labelled.
+ * @param {PDFDocument} doc - The PDF document instance, with the template fonts registered.
+ * @param {object} graph
+ * @param {string} graph.day - The page's day, YYYY-MM-DD.
+ * @param {Array<{Time: string, Velocity_Major: number}>} graph.series - Velocity samples
+ *   for the day, ideally including the next day's 00:00.
+ * @param {Array<{Time: string, Velocity_Major: number, Type: string}>} graph.events - The
+ *   day's slack, max flood and max ebb events.
+ * @param {{min: number, max: number}} graph.scale - See currentGraphScale.
+ * @param {Date} [graph.sunrise]
+ * @param {Date} [graph.sunset]
+ * @param {string} graph.timeZone - Zone of the sunrise and sunset clock times.
+ * @param {string} [graph.clock] - "24" (default) or "12", for the hour labels.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function drawCurrentGraph(doc, graph, x, y, width, height) {
+    const { day, series, events, scale } = graph;
+    const points = dayPoints(series, day, 'Time', 'Velocity_Major');
+    if (points.length < 2) return;
 
     doc.save();
     doc.translate(x, y);
 
-    const points = hiloData.map(p => ({
-        time: new Date(p.t).getTime(),
-        value: parseFloat(p.v)
-    }));
+    const minuteToX = minutes => (minutes / 1440) * width;
+    const valueToY = value => height - ((value - scale.min) / (scale.max - scale.min)) * height;
+    const zeroY = valueToY(0);
+    const first = points[0];
+    const last = points[points.length - 1];
 
-    const minTime = points[0].time;
-    const maxTime = points[points.length - 1].time;
-    const timeRange = maxTime - minTime;
+    shadeNight(doc, graph, minuteToX, width, height);
 
-    const values = points.map(p => p.value);
-    const minValue = Math.min(...values);
-    const maxValue = Math.max(...values);
-    const valueRange = maxValue - minValue;
+    // Flood and ebb areas: the region between the curve and zero, clipped to
+    // each side of the zero line.
+    const area = () => {
+        doc.moveTo(minuteToX(first.minutes), zeroY);
+        for (const p of points) doc.lineTo(minuteToX(p.minutes), valueToY(p.value));
+        doc.lineTo(minuteToX(last.minutes), zeroY).closePath();
+    };
+    for (const [top, bottom, color] of [[0, zeroY, '#9a9a9a'], [zeroY, height, '#c8c8c8']]) {
+        doc.save();
+        doc.rect(0, top, width, bottom - top).clip();
+        area();
+        doc.fill(color);
+        doc.restore();
+    }
 
-    const timeToX = (time) => ((time - minTime) / timeRange) * width;
-    const valueToY = (value) => height - ((value - minValue) / valueRange) * (height * 0.8) - (height * 0.1);
+    drawGraphGrid(doc, scale, valueToY, minuteToX, width, height, graph.clock);
+    doc.fontSize(4).font('regular').fillColor('black')
+       .text('FLOOD', 1, 1, { lineBreak: false })
+       .text('EBB', 1, height - 5, { lineBreak: false });
 
-    // Draw grid lines
-    doc.lineWidth(0.5).strokeColor('#e0e0e0');
-    for (let i = 0; i <= 4; i++) {
-        const lineY = (height / 4) * i;
-        doc.moveTo(0, lineY).lineTo(width, lineY).stroke();
+    // Curve
+    doc.lineWidth(0.75).strokeColor('black');
+    doc.moveTo(minuteToX(first.minutes), valueToY(first.value));
+    for (const p of points.slice(1)) doc.lineTo(minuteToX(p.minutes), valueToY(p.value));
+    doc.stroke();
+
+    // Slack and max markers
+    for (const e of events) {
+        const px = minuteToX(clockMinutesOfDay(e.Time, day));
+        if (e.Type === 'slack') {
+            doc.lineWidth(0.5).circle(px, zeroY, 1.5).fillAndStroke('white', 'black');
+            continue;
+        }
+        const velocity = parseFloat(e.Velocity_Major);
+        const py = valueToY(velocity);
+        doc.circle(px, py, 1.5).fill('black');
+        const labelY = velocity >= 0 ? py + 3 : py - 8;
+        doc.fontSize(5).fillColor('black').font('bold')
+           .text(Math.abs(velocity).toFixed(1), px - 10, labelY, { width: 20, align: 'center' });
     }
-    const midY = valueToY(0);
-    doc.lineWidth(0.5).strokeColor('black').moveTo(0, midY).lineTo(width, midY).stroke();
 
+    doc.restore();
+}
 
-    // Draw curve
-    doc.lineWidth(1).strokeColor('black');
-    const firstPoint = points[0];
-    doc.moveTo(timeToX(firstPoint.time), valueToY(firstPoint.value));
-    for (let i = 0; i < points.length - 1; i++) {
-        const p1 = points[i];
-        const p2 = points[i + 1];
-        const x1 = timeToX(p1.time);
-        const y1 = valueToY(p1.value);
-        const x2 = timeToX(p2.time);
-        const y2 = valueToY(p2.value);
-        const cp1x = x1 + (x2 - x1) / 2;
-        const cp2x = x1 + (x2 - x1) / 2;
-        doc.bezierCurveTo(cp1x, y1, cp2x, y2, x2, y2);
-    }
-    doc.stroke();
+// Number of lines `text` wraps to at the current font in `width`.
+function textLines(doc, text, width) {
+    return Math.max(1, Math.round(doc.heightOfString(text, { width }) / doc.currentLineHeight(true)));
+}
 
-    // Draw points and labels
-    const avgValue = values.reduce((a, b) => a + b, 0) / values.length;
-    points.forEach((p, index) => {
-        const px = timeToX(p.time);
-        const py = valueToY(p.value);
-        doc.circle(px, py, 2).fill('black');
-
-        const label = parseFloat(p.value).toFixed(2);
-        const isVisuallyHigh = p.value > avgValue;
-        const labelY = isVisuallyHigh ? py + 4 : py - 10;
-        
-        doc.fontSize(5).fill('black').font('Helvetica-Bold').text(label, px - 10, labelY, { width: 20, align: 'center' });
-    });
+/**
+ * Block (see page_layout.js) for one current station on one day: its graph,
+ * name, depth and directions, then one row per slack or maximum.
+ * @param {object} content
+ * @param {string} content.label - Station name as printed.
+ * @param {Array<object>} content.events - The day's max_slack records.
+ * @param {Array<object>} content.windows - The station's slack windows (see slackWindows).
+ * @param {'compass'|'degrees'} content.directionFormat
+ * @param {object} content.units - The book's units (see units.js).
+ * @param {Function|null} content.graph - Draws the graph at (x, y, width, height).
+ * @param {{x: number, width: number, graphX: number, graphWidth: number}} column
+ * @returns {Function}
+ */
+function currentStationBlock({ label, events, windows, directionFormat, units, graph }, column) {
+    // Which layer the predictions describe, and which way flood and ebb set.
+    const sample = events.find(p => p.meanFloodDir !== undefined || p.Depth !== undefined);
+    const details = [];
+    if (sample && Number.isFinite(parseFloat(sample.Depth))) details.push(`depth ${parseFloat(sample.Depth)} ${units.height}`);
+    if (sample && Number.isFinite(sample.meanFloodDir)) details.push(`flood ${formatDirection(sample.meanFloodDir, directionFormat)}`);
+    if (sample && Number.isFinite(sample.meanEbbDir)) details.push(`ebb ${formatDirection(sample.meanEbbDir, directionFormat)}`);
 
-    // Draw X-axis labels (e.g., 06:00, 12:00, 18:00)
-    const hours = [6, 12, 18];
-    const dayStart = new Date(points[0].time);
-    dayStart.setHours(0, 0, 0, 0);
-
-    hours.forEach(hour => {
-        const labelTime = new Date(dayStart.getTime());
-        labelTime.setHours(hour);
-        if (labelTime.getTime() >= minTime && labelTime.getTime() <= maxTime) {
-            const labelX = timeToX(labelTime.getTime());
-            // Draw vertical line
-            doc.lineWidth(0.5).strokeColor('#e0e0e0').moveTo(labelX, 0).lineTo(labelX, height).stroke();
-            // Draw label
-            doc.fontSize(7).fill('black').font('Helvetica-Bold').text(`${String(hour).padStart(2, '0')}:00`, labelX - 15, height + 2, { width: 30, align: 'center' });
+    return (doc, y, { sizes, graphs }, draw) => {
+        const top = y;
+        const { x, width } = column;
+        if (graph && graphs) {
+            if (draw) graph(column.graphX, y, column.graphWidth, sizes.graphHeight);
+            y += sizes.graphHeight + sizes.graphBottomMargin + 8; // Add extra space for x-axis labels
         }
-    });
+        doc.fontSize(sizes.stationName).font('bold');
+        if (draw) doc.text(label, x, y, { width, align: 'center' });
+        y += sizes.stationName * textLines(doc, label, width);
+        if (details.length > 0) {
+            doc.fontSize(sizes.stationDetail).font('regular');
+            if (draw) doc.text(details.join('   '), x, y, { width, align: 'center' });
+            y += sizes.stationDetail + sizes.lineSpacing;
+        }
+        if (events.length === 0) {
+            if (draw) doc.fontSize(sizes.data).font('italic').text('Data not available.', x, y, { width, align: 'center' });
+            return y + sizes.data + sizes.stationSpacing - top;
+        }
+        const colWidth = width / 3;
+        for (const p of events) {
+            if (draw) {
+                const eventType = p.Type === 'ebb' ? 'max ebb' : (p.Type === 'flood' ? 'max flood' : 'slack');
+                const speed = eventType === 'slack' ? '' : parseFloat(p.Velocity_Major).toFixed(1);
+                const window = eventType === 'slack' && windows.find(w => w.start <= p.Time && p.Time <= w.end);
+                doc.fontSize(sizes.data).font('regular');
+                if (window) {
+                    // The slack window replaces the bare "slack" label, across the first two columns.
+                    doc.text(`slack ${formatTime(window.start, units.clock)}–${formatTime(window.end, units.clock)}`, x, y, { width: colWidth * 2, align: 'center' });
+                } else {
+                    doc.text(speed, x, y, { width: colWidth, align: 'center' });
+                    doc.text(eventType, x + colWidth, y, { width: colWidth, align: 'center' });
+                    const bearing = p.Type === 'flood' ? p.meanFloodDir : (p.Type === 'ebb' ? p.meanEbbDir : undefined);
+                    if (Number.isFinite(bearing)) drawDirectionArrow(doc, x + 6, y + sizes.data / 2 - 0.5, bearing, sizes.data - 1);
+                }
+                doc.fontSize(sizes.data).font('regular').text(formatTime(p.Time, units.clock), x + colWidth * 2, y, { width: colWidth, align: 'center' });
+            }
+            y += sizes.data + sizes.lineSpacing;
+        }
+        return y + sizes.stationSpacing - top;
+    };
+}
 
-    doc.restore();
+/**
+ * Block (see page_layout.js) for one tide station on one day: its graph, name
+ * and the day's high and low waters side by side.
+ * @param {object} content
+ * @param {string} content.label - Station name as printed.
+ * @param {Array<{t: string, v: string, type: string}>} content.events - The day's high and low waters.
+ * @param {string} content.clock - "24" or "12".
+ * @param {Function|null} content.graph - Draws the graph at (x, y, width, height).
+ * @param {{x: number, width: number, graphX: number, graphWidth: number}} column
+ * @returns {Function}
+ */
+function tideStationBlock({ label, events, clock, graph }, column) {
+    return (doc, y, { sizes, graphs }, draw) => {
+        const top = y;
+        const { x, width } = column;
+        if (graph && graphs) {
+            if (draw) graph(column.graphX, y, column.graphWidth, sizes.graphHeight);
+            y += sizes.graphHeight + sizes.graphBottomMargin + 8; // Add extra space for x-axis labels
+        }
+        doc.fontSize(sizes.stationName).font('bold');
+        if (draw) doc.text(label, x, y, { width, align: 'center' });
+        y += sizes.stationName * textLines(doc, label, width);
+        if (events.length === 0) {
+            if (draw) doc.fontSize(sizes.data).font('italic').text('Data not available.', x, y, { width, align: 'center' });
+            return y + sizes.data + sizes.stationSpacing - top;
+        }
+        if (draw) {
+            const colWidth = width / events.length;
+            events.forEach((p, index) => {
+                const height = parseFloat(p.v).toFixed(2);
+                const type = p.type === 'H' ? 'high' : 'low';
+                doc.fontSize(sizes.data).font('regular')
+                   .text(`${height} ${type}`, x + index * colWidth, y, { width: colWidth, align: 'center' })
+                   .text(formatTime(p.t, clock), x + index * colWidth, y + sizes.tideLineHeight, { width: colWidth, align: 'center' });
+            });
+        }
+        return y + sizes.tideLineHeight * 2 + sizes.stationSpacing - top;
+    };
+}
+
+/**
+ * Block (see page_layout.js) for a footnote at the end of a column.
+ * @param {string} text
+ * @param {{x: number, width: number}} column
+ * @returns {Function}
+ */
+function noteBlock(text, column) {
+    return (doc, y, { sizes }, draw) => {
+        doc.fontSize(sizes.data).font('italic');
+        if (draw) doc.text(text, column.x, y, { width: column.width, align: 'center' });
+        return sizes.data * textLines(doc, text, column.width);
+    };
 }
 
+// Room left of a graph for its value labels.
+const GRAPH_INSET = 10;
+
+/**
+ * Lays out one page per day, plus continuation pages when the layout engine
+ * spills a day over: the header with the sun and moon, current predictions
+ * on the left and tides on the right.
+ * @param {PDFDocument} doc - With the template fonts registered; used to measure
+ *   text now and to draw when the pages are output.
+ * @param {object} book - The fetched data and the scales and slack windows derived from it.
+ * @param {object} template - A daily template (see page_templates.js).
+ * @param {object} settings
+ * @param {'compass'|'degrees'} settings.directionFormat
+ * @param {string[]} settings.overflowPolicy
+ * @param {LayoutReport} settings.layoutReport - Receives every day that needed a fallback.
+ * @returns {Array<object>} - The pages, in book order (see imposition.js).
+ */
+function dailyPages(doc, book, template, { directionFormat, overflowPolicy, layoutReport }) {
+    const {
+        region, startDate, endDate, allTideData, allHourlyTideData, allCurrentData, allCurrentSeries,
+        allSlackWindows, graphScales, currentGraphScales, units,
+    } = book;
+    const { width: pageWidth, height: pageHeight, margin } = template.page;
+    const { sizes } = template;
+    const dividerX = pageWidth * template.columnSplit;
 
-async function generatePdf() {
-    const testMode = false;
-    const graphStations = { "Port Townsend": true, "Seattle": true };
-    
-    const pageWidth = 288;
-    const pageHeight = 576;
-    const margin = 10;
-    const dividerX = pageWidth * 0.45;
+    // The header's three parts sit side by side and the tallest sets its
+    // height: the date in two large lines, the moon over its phase name, and
+    // three small lines of sun and moon times.
+    const smallLine = sizes.headerSm + 1;
+    const headerHeight = Math.max(sizes.headerLg * 2, sizes.moonIconRadius * 2 + 2 + sizes.headerSm, smallLine * 3) + 3;
+    const phaseWidth = sizes.headerSm * 10;
+    const flagWidth = sizes.headerSm * 5;
 
-    const sizes = {
-        headerLg: 11, headerSm: 6, title: 8, stationName: 7, data: 6,
-        lineSpacing: 0.5, stationSpacing: 2, graphHeight: 30, graphBottomMargin: 2,
-        tideLineHeight: 7, moonIconRadius: 7
+    // Column geometry shared by the day's page and its continuation pages.
+    const currentColumn = {
+        x: margin, width: dividerX - margin,
+        graphX: margin + GRAPH_INSET, graphWidth: dividerX - margin * 2 - GRAPH_INSET,
+    };
+    const tideColumn = {
+        x: dividerX, width: pageWidth - dividerX - margin,
+        graphX: dividerX + GRAPH_INSET, graphWidth: pageWidth - dividerX - margin - GRAPH_INSET,
     };
+    // The columns start below their titles, which start at `y`.
+    const columnsTop = y => y + sizes.title + 5;
+    const drawColumnTitles = y => {
+        doc.font('bold').fontSize(sizes.title)
+           .text('CURRENT PREDICTIONS', margin, y, { width: dividerX - margin, align: 'center' })
+           .text('HIGH AND LOW TIDES', dividerX, y, { width: pageWidth - dividerX - margin, align: 'center' });
 
-    const year = 2027;
-    const startDate = new Date(year, 0, 1);
-    const endDate = testMode ? startDate : new Date(year, 11, 31);
+        const underlineY = y + sizes.title + 1;
+        doc.lineWidth(1).moveTo(margin, underlineY).lineTo(dividerX - margin, underlineY).stroke();
+        doc.lineWidth(1).moveTo(dividerX + margin, underlineY).lineTo(pageWidth - margin, underlineY).stroke();
 
-    const doc = new PDFDocument({ size: [pageWidth, pageHeight], margin: 0 });
-    doc.pipe(fs.createWriteStream('PugetSound_Tide_Book_Page.pdf'));
+        doc.moveTo(dividerX, columnsTop(y) - 2).lineTo(dividerX, pageHeight - margin).stroke();
+    };
+    const continuationTop = columnsTop(margin + sizes.headerSm + 4);
+    const pages = [];
 
-    console.log('Fetching data...');
-    const allCurrentData = {};
-    for (const [name, id] of Object.entries(currentStations)) {
-        allCurrentData[name] = await fetchCurrentData(id, startDate, endDate);
+    for (let day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+        const date = new Date(day);
+
+        // Astronomy is computed and printed in the region's zone, never the
+        // host's, so it agrees with NOAA's lst_ldt times on the same page.
+        const astro = dayAstronomy(date, region.astronomyLocation, region.timeZone);
+        const clock = time => formatClock(time, region.timeZone, units.clock);
+        const moonIllumination = astro.moonIllumination;
+        // Principal phases are named only on their day, with the exact time.
+        const moonPhaseName = astro.moonPhase
+            ? `${astro.moonPhase.name} ${clock(astro.moonPhase.time)}`
+            : `${intermediatePhaseName(moonIllumination)} ${Math.round(moonIllumination.fraction * 100)}%`;
+        const weekday = date.toLocaleDateString('en-US', { weekday: 'long' }).toUpperCase();
+        const monthDay = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' }).toUpperCase();
+
+        const notices = [];
+        if (astro.dst) {
+            notices.push(astro.dst.kind === 'begins'
+                ? `DAYLIGHT SAVING TIME BEGINS ${formatClockTime(astro.dst.clock, units.clock)} — CLOCKS FORWARD 1 HOUR`
+                : `DAYLIGHT SAVING TIME ENDS ${formatClockTime(astro.dst.clock, units.clock)} — CLOCKS BACK 1 HOUR`);
+        }
+        if (astro.season) notices.push(`${astro.season.name.toUpperCase()} ${clock(astro.season.time)}`);
+        const titlesY = margin + headerHeight + (notices.length > 0 ? sizes.headerSm + 3 : 0);
+        const currentY = columnsTop(titlesY);
+
+        const drawHeader = () => {
+            const dateX = margin + sizes.headerLg + 2;
+            doc.fontSize(sizes.headerLg).font('bold').text(weekday, dateX, margin);
+            doc.fontSize(sizes.headerLg).font('bold').text(monthDay, dateX, margin + sizes.headerLg);
+
+            drawMoonIcon(doc, pageWidth / 2, margin + sizes.moonIconRadius, moonIllumination, sizes.moonIconRadius, region.astronomyLocation.latitude);
+            doc.fontSize(sizes.headerSm).font('regular').text(moonPhaseName, pageWidth / 2 - phaseWidth / 2, margin + sizes.moonIconRadius * 2 + 2, { width: phaseWidth, align: 'center' });
+            if (astro.tidePeriod) {
+                const flagX = pageWidth / 2 - sizes.moonIconRadius - 3 - flagWidth;
+                doc.fontSize(sizes.headerSm).font('bold')
+                   .text(astro.tidePeriod === 'spring' ? 'SPRING' : 'NEAP', flagX, margin + 1, { width: flagWidth, align: 'right' })
+                   .text('TIDES', flagX, margin + 1 + smallLine, { width: flagWidth, align: 'right' });
+            }
+
+            doc.fontSize(sizes.headerSm).font('regular')
+               .text(`SUNRISE ${clock(astro.sunrise)}  SUNSET ${clock(astro.sunset)}`, 0, margin + 1, { align: 'right', width: pageWidth - margin })
+               .text(`TWILIGHT ${clock(astro.dawn)}–${clock(astro.dusk)}  DAY ${formatDuration(astro.dayLengthMinutes)}`, 0, margin + 1 + smallLine, { align: 'right', width: pageWidth - margin })
+               .text(`MOONRISE ${clock(astro.moonrise)}  MOONSET ${clock(astro.moonset)}`, 0, margin + 1 + smallLine * 2, { align: 'right', width: pageWidth - margin });
+            if (notices.length > 0) {
+                doc.fontSize(sizes.headerSm).font('bold')
+                   .text(notices.join('   '), margin, margin + headerHeight, { width: pageWidth - margin * 2, align: 'center' });
+            }
+            drawColumnTitles(titlesY);
+        };
+
+        const dayString = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+        const nextMidnight = `${formatDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1))} 00:00`;
+        const graphDay = { day: dayString, sunrise: astro.sunrise, sunset: astro.sunset, timeZone: region.timeZone, clock: units.clock };
+
+        const currentBlocks = region.currentStations.map(({ name, graph, slackThreshold }) => {
+            const events = (allCurrentData[name]?.current_predictions?.cp || []).filter(p => p.Time.startsWith(dayString));
+            const seriesForDay = graph
+                ? (allCurrentSeries[name]?.current_predictions?.cp || []).filter(p => p.Time.startsWith(dayString) || p.Time === nextMidnight)
+                : [];
+            // Stations with their own slack threshold say so next to the name.
+            const label = slackThreshold !== undefined && slackThreshold !== DEFAULT_SLACK_THRESHOLD
+                ? `${name} (slack < ${formatKnots(slackThreshold, units)})`
+                : name;
+            return currentStationBlock({
+                label, events, directionFormat, units,
+                windows: allSlackWindows[name],
+                graph: seriesForDay.length > 1 && currentGraphScales[name]
+                    ? (x, y, width, height) => drawCurrentGraph(doc, { ...graphDay, series: seriesForDay, events, scale: currentGraphScales[name] }, x, y, width, height)
+                    : null,
+            }, currentColumn);
+        });
+        if (region.currentStations.length > 0) {
+            currentBlocks.push(noteBlock(`slack: current under ${formatKnots(DEFAULT_SLACK_THRESHOLD, units)} unless noted`, currentColumn));
+        }
+
+        const tideBlocks = region.tideStations.map(({ name, graph, reference }) => {
+            const events = (allTideData[name]?.predictions || []).filter(p => p.t.startsWith(dayString));
+            const seriesForDay = graph
+                ? (allHourlyTideData[name]?.predictions || []).filter(p => p.t.startsWith(dayString) || p.t === nextMidnight)
+                : [];
+            return tideStationBlock({
+                // Subordinate stations are marked so readers know the times are derived.
+                label: reference ? `${name} *` : name,
+                events,
+                clock: units.clock,
+                graph: seriesForDay.length > 1 && graphScales[name]
+                    ? (x, y, width, height) => drawTideGraph(doc, { ...graphDay, series: seriesForDay, events, scale: graphScales[name] }, x, y, width, height)
+                    : null,
+            }, tideColumn);
+        });
+        if (region.tideStations.some(s => s.reference)) {
+            tideBlocks.push(noteBlock('* derived from a reference station by NOAA time and height offsets', tideColumn));
+        }
+        tideBlocks.push(noteBlock(unitsSummary(units, { speed: region.currentStations.length > 0 }), tideColumn));
+
+        // Measure before drawing: a long station list, a fifth tide or a graph
+        // can push a column past the bottom of the page.
+        const layout = layoutDay(doc, [currentBlocks, tideBlocks], { sizes, graphs: true }, {
+            firstHeight: pageHeight - margin - currentY,
+            nextHeight: pageHeight - margin - continuationTop,
+        }, overflowPolicy);
+        layoutReport.record(dayString, layout);
+        // The day's first page is the one the outline and the calendars point to.
+        const navigation = {
+            bookmark: [monthTitle(date), date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })],
+            destinations: [dayDestination(dayString)],
+        };
+        layout.pages.forEach(([currents, tides], index) => pages.push({
+            ...(index === 0 ? navigation : {}),
+            draw: () => {
+                if (index === 0) {
+                    drawHeader();
+                } else {
+                    doc.fontSize(sizes.headerSm).font('bold')
+                       .text(`${weekday}, ${monthDay} (CONTINUED)`, margin, margin, { width: pageWidth - margin * 2, align: 'center' });
+                    drawColumnTitles(margin + sizes.headerSm + 4);
+                }
+                const top = index === 0 ? currentY : continuationTop;
+                drawBlocks(doc, currents, top, layout.style);
+                drawBlocks(doc, tides, top, layout.style);
+            },
+        }));
     }
+    return pages;
+}
+
+const DEFAULT_OUTPUT = 'PugetSound_Tide_Book_Page.pdf';
+
+/**
+ * The region as a template prints it: the first `maxStations` of each kind,
+ * and no graphs when the template has none.
+ * @param {object} region
+ * @param {object} template
+ * @returns {object}
+ */
+function templateRegion(region, template) {
+    const trim = (stations, max) => (max === null ? stations : stations.slice(0, max))
+        .map(s => (template.graphs ? s : { ...s, graph: false }));
+    return {
+        ...region,
+        tideStations: trim(region.tideStations, template.maxStations.tide),
+        currentStations: trim(region.currentStations, template.maxStations.current),
+    };
+}
+
+/**
+ * Fetches and validates everything the book shows for a region and an
+ * inclusive date range, and works out the slack windows. Every chunk's outcome
+ * goes into the fetch manifest, which is written to `options.manifest`.
+ * @param {object} options
+ * @param {object} options.region - Validated region; hourly tide series are fetched for its graphed stations.
+ * @param {Date} options.startDate
+ * @param {Date} options.endDate
+ * @param {object} [options.fetch] - Cache, offline and concurrency settings passed to every fetch (see fetch_data.js).
+ * @param {string} options.manifest - Where to write the fetch manifest.
+ * @param {boolean} [options.strict] - Fail when any chunk failed or any series has gaps.
+ * @param {number} [options.graphIntervalMinutes] - Sampling of the hourly tide series: 60 (default) or 6.
+ * @param {number} [options.currentIntervalMinutes] - Sampling of the current series: 30 (default) or 6.
+ * @param {object} [options.units] - Units, datum and clock (see units.js); feet above MLLW,
+ *   knots and 24-hour times by default.
+ * @returns {Promise<{book: object, manifest: FetchManifest}>} - The book's data: region,
+ *   startDate, endDate, source, units and per station name allTideData, allHourlyTideData,
+ *   allCurrentData, allCurrentSeries and allSlackWindows.
+ * @throws {DataIntegrityError} - In strict mode, when the data is incomplete.
+ */
+async function fetchBook(options) {
+    const { region, startDate, endDate, strict = false } = options;
+    const fetchOptions = options.fetch || {};
+    const manifestPath = options.manifest;
+    const graphIntervalMinutes = options.graphIntervalMinutes || 60;
+    const currentIntervalMinutes = options.currentIntervalMinutes || 30;
+    const units = resolveUnits(options.units);
+
+    console.log(`Fetching data for ${formatDay(startDate)} to ${formatDay(endDate)}...`);
+    // All stations are requested at once; the shared work queue and rate
+    // limiter in fetchOptions decide how many requests actually run.
+    const progress = fetchOptions.progress || new FetchProgress();
+    const manifest = new FetchManifest({
+        region: region.title,
+        timeZone: region.timeZone,
+        startDate: formatDay(startDate),
+        endDate: formatDay(endDate),
+        units,
+        strict,
+    });
+    const fetchSettings = { timeZone: region.timeZone, ...fetchOptions, units, progress, manifest };
+    await checkDatum(region, fetchSettings);
+    const allCurrentData = {};
     const allTideData = {};
     const allHourlyTideData = {};
-    for (const [name, id] of Object.entries(tideStations)) {
-        allTideData[name] = await fetchTideData(id, startDate, endDate);
-        if (graphStations[name]) {
-            allHourlyTideData[name] = await fetchHourlyTideData(id, startDate, endDate);
-        }
-    }
+    const allCurrentSeries = {};
+    await Promise.all([
+        ...region.currentStations.map(async station => {
+            // A station configured by depth is predicted for the nearest bin.
+            const bin = station.depth !== undefined
+                ? (await currentBinForDepth(station.id, station.depth, fetchSettings)).bin
+                : station.bin;
+            const settings = { ...fetchSettings, bin };
+            [allCurrentData[station.name], allCurrentSeries[station.name]] = await Promise.all([
+                fetchCurrentData(station.id, startDate, endDate, settings),
+                fetchCurrentSeries(station.id, startDate, endDate, { ...settings, intervalMinutes: currentIntervalMinutes }),
+            ]);
+        }),
+        ...region.tideStations.filter(station => !station.reference).map(async station => {
+            allTideData[station.name] = await fetchTideData(station.id, startDate, endDate, fetchSettings);
+        }),
+        ...region.tideStations.filter(station => station.graph && !station.reference).map(async station => {
+            allHourlyTideData[station.name] = await fetchHourlyTideData(station.id, startDate, endDate, { ...fetchSettings, intervalMinutes: graphIntervalMinutes });
+        }),
+        // NOAA has no series for subordinate stations, so their curve is
+        // interpolated between their high and low waters. Their events are
+        // fetched once with a day either side, so that the curve reaches both
+        // ends of the range, and the tables keep the range's own.
+        ...region.tideStations.filter(station => station.reference).map(async station => {
+            const dayBefore = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - 1);
+            const dayAfter = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+            const events = await fetchSubordinateTideData(station, dayBefore, dayAfter, fetchSettings);
+            const first = `${formatDay(startDate)} 00:00`;
+            const last = `${formatDay(endDate)} 23:59`;
+            allTideData[station.name] = { ...events, predictions: events.predictions.filter(event => event.t >= first && event.t <= last) };
+            if (station.graph) {
+                allHourlyTideData[station.name] = { predictions: tideSeriesFromEvents(events.predictions, startDate, endDate, graphIntervalMinutes) };
+            }
+        }),
+    ]);
+    console.log(progress.summary());
 
     // Completeness check: NOAA chunks can fail transiently and leave silent
-    // gaps, so verify every station covers every day before declaring success.
-    let expectedDays = 0;
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) expectedDays++;
-    const distinctDays = list => new Set(list.map(s => s.slice(0, 10))).size;
-    const gaps = [];
-    for (const [name, data] of Object.entries(allCurrentData)) {
-        const days = distinctDays((data.current_predictions?.cp || []).map(p => p.Time));
-        if (days < expectedDays) gaps.push(`current "${name}": ${days}/${expectedDays} days`);
-    }
-    for (const [name, data] of Object.entries(allTideData)) {
-        const days = distinctDays((data.predictions || []).map(p => p.t));
-        if (days < expectedDays) gaps.push(`tide "${name}": ${days}/${expectedDays} days`);
-    }
-    if (gaps.length > 0) {
+    // gaps, so validate every merged series and record the outcome of every
+    // chunk in the manifest before declaring success.
+    for (const station of region.currentStations) {
+        manifest.validate(station, 'current', allCurrentData[station.name].current_predictions.cp, startDate, endDate);
+        manifest.validate(station, 'currentSeries', allCurrentSeries[station.name].current_predictions.cp, startDate, endDate);
+    }
+    for (const station of region.tideStations) {
+        manifest.validate(station, 'tide', allTideData[station.name].predictions, startDate, endDate);
+        if (station.graph) manifest.validate(station, 'hourly', allHourlyTideData[station.name].predictions, startDate, endDate);
+    }
+    manifest.write(manifestPath);
+    const problems = manifest.problems();
+    if (problems.length > 0) {
         console.warn(`\n⚠ WARNING: incomplete data — the book will have gaps:`);
-        gaps.forEach(g => console.warn(`    - ${g}`));
-        console.warn('  Re-run to retry the failed NOAA requests.\n');
+        problems.slice(0, 20).forEach(p => console.warn(`    - ${p}`));
+        if (problems.length > 20) console.warn(`    ... and ${problems.length - 20} more`);
+        console.warn(`  Details in ${manifestPath}.`);
+        console.warn('  Re-run to retry: downloaded chunks are cached, so only the failed NOAA requests are repeated.\n');
+        if (strict) throw new DataIntegrityError(`${manifest.failedChunks.length} failed chunks, ${manifest.issueCount} validation issues (see ${manifestPath}).`);
     } else {
-        console.log(`Data fetched successfully — all stations cover ${expectedDays} days.`);
+        console.log(`Data fetched and validated — all stations cover every day. Manifest: ${manifestPath}`);
     }
 
-    for (let day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
-        const date = new Date(day);
-        if (day > startDate) doc.addPage();
-
-        const sunTimes = SunCalc.getTimes(date, 47.6, -122.3);
-        const sunrise = sunTimes.sunrise.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-        const sunset = sunTimes.sunset.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-        const moonIllumination = SunCalc.getMoonIllumination(date);
-        const moonPhaseName = getMoonPhaseName(moonIllumination.phase);
-
-        doc.fontSize(sizes.headerLg).font('Helvetica-Bold').text(date.toLocaleDateString('en-US', { weekday: 'long' }).toUpperCase(), margin + 13, margin);
-        doc.fontSize(sizes.headerLg).font('Helvetica-Bold').text(date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' }).toUpperCase(), margin + 13, margin + sizes.headerLg);
-        
-        drawMoonIcon(doc, pageWidth / 2, margin + sizes.moonIconRadius, moonIllumination.phase, sizes.moonIconRadius);
-        doc.fontSize(sizes.headerSm).font('Helvetica').text(moonPhaseName, pageWidth / 2 - 30, margin + sizes.moonIconRadius * 2 + 2, { width: 60, align: 'center' });
-
-        doc.fontSize(sizes.headerSm).font('Helvetica')
-           .text(`SUNRISE ${sunrise}`, 0, margin + 3, { align: 'right', width: pageWidth - margin })
-           .text(`SUNSET ${sunset}`, 0, margin + 10, { align: 'right', width: pageWidth - margin });
-
-        let currentY = margin + 25;
-        doc.font('Helvetica-Bold').fontSize(sizes.title)
-           .text('CURRENT PREDICTIONS', margin, currentY, { width: dividerX - margin, align: 'center' })
-           .text('HIGH AND LOW TIDES', dividerX, currentY, { width: pageWidth - dividerX - margin, align: 'center' });
-        
-        const underlineY = currentY + sizes.title + 1;
-        doc.lineWidth(1).moveTo(margin, underlineY).lineTo(dividerX - margin, underlineY).stroke();
-        doc.lineWidth(1).moveTo(dividerX + margin, underlineY).lineTo(pageWidth - margin, underlineY).stroke();
+    // Slack windows come from the continuous series, which resolves how long
+    // the current stays weak around each slack.
+    const allSlackWindows = {};
+    for (const station of region.currentStations) {
+        // Thresholds are set in knots, whatever unit the speeds are in.
+        allSlackWindows[station.name] = slackWindows(allCurrentSeries[station.name].current_predictions.cp,
+            convertSpeed(station.slackThreshold ?? DEFAULT_SLACK_THRESHOLD, 'kn', units.speed));
+    }
+    const book = {
+        region, startDate, endDate, allTideData, allHourlyTideData, allCurrentData, allCurrentSeries, allSlackWindows,
+        source: fetchOptions.source || 'noaa',
+        units,
+    };
+    return { book, manifest };
+}
 
-        currentY += sizes.title + 5;
-        doc.moveTo(dividerX, currentY - 2).lineTo(dividerX, pageHeight - margin).stroke();
+/**
+ * Generates the tide book for an inclusive date range.
+ * @param {object} [options]
+ * @param {Date} [options.startDate] - First day of the book (defaults to Jan 1 of next year).
+ * @param {Date} [options.endDate] - Last day of the book (defaults to Dec 31 of the start year).
+ * @param {string} [options.output] - Path of the PDF to write.
+ * @param {object} [options.region] - Validated region (see region_config.js); defaults to Puget Sound.
+ * @param {string[]} [options.chosenStationKinds] - "tide" and/or "current" when the region's
+ *   stations of that kind were chosen with --tide-station or --current-station.
+ * @param {boolean} [options.dryRun] - Only fetch and report coverage; do not write a PDF.
+ * @param {object} [options.fetch] - Cache, offline and concurrency settings passed to every fetch (see fetch_data.js).
+ * @param {string} [options.manifest] - Where to write the fetch manifest (default: next to the PDF).
+ * @param {boolean} [options.strict] - Refuse to render when any chunk failed or any series has gaps.
+ * @param {'compass'|'degrees'} [options.directionFormat] - How current directions are printed (default compass points).
+ * @param {object} [options.units] - Height and speed units, datum and clock (see units.js); feet
+ *   above MLLW, knots and 24-hour times by default. They are printed on every day page.
+ * @param {number} [options.graphIntervalMinutes] - Sampling of the tide graph series: 60 (default) or 6.
+ * @param {number} [options.currentIntervalMinutes] - Sampling of the current series behind the
+ *   graphs and slack windows: 30 (default) or 6.
+ * @param {object} [options.template] - Validated page template (see page_templates.js); defaults to pocket.
+ * @param {string[]} [options.overflow] - Overflow steps to try when a page's columns
+ *   do not fit, in order (see page_layout.js; default: the template's, or all of them).
+ * @param {string} [options.layoutReport] - Where to write the list of days that needed a fallback.
+ * @param {boolean} [options.bookMatter] - Add the title page, station index, monthly calendars,
+ *   tide extremes appendix and legend around the day pages (default true).
+ * @param {object} [options.print] - Print settings (see imposition.js).
+ * @param {'saddle'|'perfect'} [options.print.binding] - Impose the pages on folding sheets
+ *   for this binding; without it the PDF has one page per book page.
+ * @param {[number, number]} [options.print.sheet] - Sheet size in points (default: just fits a spread).
+ * @param {number} [options.print.sheetsPerSignature] - For perfect binding (default 4).
+ * @param {number} [options.print.bleed] - Bleed around each imposed page, in points.
+ * @param {string[]} [options.print.marks] - Printer's marks on imposed sheets: crop, registration.
+ * @param {number} [options.print.gutter] - How far each page's content moves toward its outside
+ *   edge, in points; must be less than the template margin.
+ * @returns {Promise<{output: string|null, manifest: FetchManifest, layout?: LayoutReport}>}
+ * @throws {DataIntegrityError} - In strict mode, when the data is incomplete.
+ */
+async function generatePdf(options = {}) {
+    const startDate = options.startDate || new Date(new Date().getFullYear() + 1, 0, 1);
+    const endDate = options.endDate || new Date(startDate.getFullYear(), 11, 31);
+    const output = options.output || DEFAULT_OUTPUT;
+    const template = options.template || loadTemplate();
+    let region = options.region || loadRegion();
+    const dryRun = Boolean(options.dryRun);
+    const fetchOptions = options.fetch || {};
+    const strict = Boolean(options.strict);
+    const manifestPath = options.manifest || `${output.replace(/\.pdf$/i, '')}.manifest.json`;
+    const graphIntervalMinutes = options.graphIntervalMinutes || 60;
+    const directionFormat = options.directionFormat || 'compass';
+    const overflowPolicy = parseOverflowPolicy(options.overflow || template.overflow || DEFAULT_OVERFLOW_POLICY);
+    const currentIntervalMinutes = options.currentIntervalMinutes || 30;
+    const print = options.print || {};
+    const bookMatter = options.bookMatter ?? true;
+    if (endDate < startDate) {
+        throw new Error(`End date ${formatDay(endDate)} is before start date ${formatDay(startDate)}.`);
+    }
+    if ((print.gutter || 0) >= template.page.margin) {
+        throw new Error(`A gutter of ${print.gutter} pt would push the pages past their ${template.page.margin} pt margin.`);
+    }
+    const sheetSize = print.binding ? imposedSheetSize(template.page, print) : [template.page.width, template.page.height];
 
-        const dayString = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
-        
-        let currentsY = currentY;
-        for (const [name, id] of Object.entries(currentStations)) {
-            doc.fontSize(sizes.stationName).font('Helvetica-Bold').text(name, margin, currentsY, { width: dividerX - margin * 2, align: 'center' });
-            currentsY += sizes.stationName;
-            const currentsForDay = (allCurrentData[name]?.current_predictions?.cp || []).filter(p => p.Time.startsWith(dayString));
-            if (currentsForDay.length > 0) {
-                currentsForDay.forEach(p => {
-                    const eventType = p.Type === 'ebb' ? 'max ebb' : (p.Type === 'flood' ? 'max flood' : 'slack');
-                    let speed = parseFloat(p.Velocity_Major).toFixed(1);
-                    if (eventType === 'slack') speed = '';
-                    const time = formatTime(p.Time);
-                    
-                    const colWidth = (dividerX - margin) / 3;
-                    doc.fontSize(sizes.data).font('Helvetica').text(speed, margin, currentsY, { width: colWidth, align: 'center' });
-                    doc.fontSize(sizes.data).font('Helvetica').text(eventType, margin + colWidth, currentsY, { width: colWidth, align: 'center' });
-                    doc.fontSize(sizes.data).font('Helvetica').text(time, margin + colWidth * 2, currentsY, { width: colWidth, align: 'center' });
-                    currentsY += sizes.data + sizes.lineSpacing;
-                });
+    // The template decides how many stations make the page and whether they
+    // are graphed; trim the region first so nothing unprinted is fetched.
+    const { tideStations, currentStations } = region;
+    region = templateRegion(region, template);
+    for (const [kind, all, kept] of [['tide', tideStations, region.tideStations], ['current', currentStations, region.currentStations]]) {
+        if (kept.length < all.length) {
+            if ((options.chosenStationKinds || []).includes(kind)) {
+                const prints = kept.length > 0 ? `the first ${kept.length} of the ${all.length} ${kind} stations given` : `no ${kind} stations`;
+                console.log(`The ${template.layout} template prints ${prints}.`);
             } else {
-                doc.fontSize(sizes.data).font('Helvetica-Oblique').text('Data not available.', margin, currentsY, { width: dividerX - margin * 2, align: 'center' });
-                currentsY += sizes.data;
+                const choose = kept.length > 0 ? `; choose which with --${kind}-station` : '';
+                console.log(`The ${template.layout} template prints ${kept.length} of ${all.length} ${kind} stations${choose}.`);
             }
-            currentsY += sizes.stationSpacing;
         }
+    }
 
-        let tidesY = currentY;
-        for (const [name, id] of Object.entries(tideStations)) {
-            const tidesForDay = (allTideData[name]?.predictions || []).filter(p => p.t.startsWith(dayString));
-            
-            if (graphStations[name] && tidesForDay.length > 0) {
-                drawTideGraph(doc, tidesForDay, dividerX + margin, tidesY, pageWidth - dividerX - margin * 2, sizes.graphHeight);
-                tidesY += sizes.graphHeight + sizes.graphBottomMargin + 8; // Add extra space for x-axis labels
-            }
+    const { book, manifest } = await fetchBook({
+        region, startDate, endDate, fetch: fetchOptions, manifest: manifestPath, strict, graphIntervalMinutes, currentIntervalMinutes,
+        units: options.units,
+    });
+    const { allTideData, allHourlyTideData, allCurrentData, allCurrentSeries } = book;
 
-            doc.fontSize(sizes.stationName).font('Helvetica-Bold').text(name, dividerX, tidesY, { width: pageWidth - dividerX, align: 'center' });
-            tidesY += sizes.stationName;
-
-            if (tidesForDay.length > 0) {
-                const numEntries = tidesForDay.length;
-                const colWidth = (pageWidth - dividerX - margin) / numEntries;
-                const startOffset = (numEntries < 4) ? ((pageWidth - dividerX - margin) - (numEntries * colWidth)) / 2 : 0;
-
-                const heightTypeLineY = tidesY;
-                const timeLineY = tidesY + sizes.tideLineHeight;
-                tidesForDay.forEach((p, index) => {
-                    const time = formatTime(p.t);
-                    const height = parseFloat(p.v).toFixed(2);
-                    const type = p.type === 'H' ? 'high' : 'low';
-                    const colX = dividerX + startOffset + (index * colWidth);
-                    doc.fontSize(sizes.data).font('Helvetica')
-                       .text(`${height} ${type}`, colX, heightTypeLineY, { width: colWidth, align: 'center' })
-                       .text(time, colX, timeLineY, { width: colWidth, align: 'center' });
-                });
-                tidesY += sizes.tideLineHeight * 2;
-            } else {
-                doc.fontSize(sizes.data).font('Helvetica-Oblique').text('Data not available.', dividerX, tidesY, { width: pageWidth - dividerX, align: 'center' });
-                tidesY += sizes.data;
-            }
-            tidesY += sizes.stationSpacing;
+    // One vertical scale per graphed station for the whole book, so pages compare.
+    book.graphScales = {};
+    for (const station of region.tideStations.filter(s => s.graph)) {
+        book.graphScales[station.name] = tideGraphScale(allHourlyTideData[station.name].predictions, allTideData[station.name].predictions);
+    }
+    book.currentGraphScales = {};
+    for (const station of region.currentStations.filter(s => s.graph)) {
+        book.currentGraphScales[station.name] = currentGraphScale(
+            allCurrentSeries[station.name].current_predictions.cp, allCurrentData[station.name].current_predictions.cp);
+    }
+
+    if (dryRun) {
+        console.log('Dry run: no PDF written.');
+        return { output: null, manifest };
+    }
+
+    const doc = new PDFDocument({
+        size: sheetSize, margin: 0,
+        info: { Title: `${region.title} Tide and Current Book` }
+    });
+    const stream = fs.createWriteStream(output);
+    const finished = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+    doc.pipe(stream);
+    registerTemplateFonts(doc, template);
+
+    const layoutReport = new LayoutReport();
+    const body = template.layout === 'weekly'
+        ? weeklySpreadPages(doc, book, template)
+        : dailyPages(doc, book, template, { directionFormat, overflowPolicy, layoutReport });
+    const pages = alignPages(bookMatter
+        ? [...frontMatterPages(doc, book, template), ...body, ...backMatterPages(doc, book, template)]
+        : body);
+    if (print.binding) {
+        if (print.binding === 'saddle' && pages.length > SADDLE_STITCH_MAX_PAGES) {
+            console.warn(`The book has ${pages.length} pages; saddle stitching suits ${SADDLE_STITCH_MAX_PAGES} or fewer. Consider --impose perfect.`);
         }
+        const imposed = writeImposed(doc, pages, { ...print, page: template.page });
+        console.log(`Imposed ${pages.length} pages on ${imposed.sheets} sheets in ${imposed.signatures} signature${imposed.signatures === 1 ? '' : 's'} `
+            + `(${imposed.blanks} blank page${imposed.blanks === 1 ? '' : 's'}).`);
+    } else {
+        writeSequential(doc, pages, print);
     }
     doc.end();
-    console.log('\nPDF generated: PugetSound_Tide_Book_Page.pdf');
+    await finished;
+    const adjusted = layoutReport.lines();
+    if (adjusted.length > 0) {
+        console.warn(`\n${adjusted.length} day${adjusted.length === 1 ? '' : 's'} did not fit the page as designed:`);
+        adjusted.slice(0, 20).forEach(line => console.warn(`    - ${line}`));
+        if (adjusted.length > 20) console.warn(`    ... and ${adjusted.length - 20} more`);
+    }
+    if (options.layoutReport) {
+        layoutReport.write(options.layoutReport);
+        console.log(`Layout report: ${options.layoutReport}`);
+    }
+    console.log(`\nPDF generated: ${output}`);
+    return { output, manifest, layout: layoutReport };
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node generate_pdf.js [options]
+
+Options:
+  --region <name|file>        Region file, or the name of one in regions/ (default: puget_sound)
+  --template <name|file>      Page template file, or one in templates/: ${bundledTemplates().join(', ')}
+                              (default: ${DEFAULT_TEMPLATE})
+${DATE_RANGE_USAGE}
+  -o, --output <file>         PDF to write (default: ${DEFAULT_OUTPUT})
+  --tide-station <name|id>    Tide station to include; repeat to set the list and order
+  --current-station <name|id> Current station to include; repeat to set the list and order
+  --graph-station <name|id>   Tide station that gets a graph; repeat for several
+  --current-graph-station <name|id>
+                              Current station that gets a velocity graph; repeat for several
+  --no-graphs                 Draw no tide or current graphs
+  --overflow <steps>          What to try, in order, when a page's columns do not fit:
+                              comma-separated tighten, shrink, drop-graphs, continue,
+                              or "none" (default: all four)
+  --layout-report <file>      Write the days that needed an overflow step as JSON
+  --no-book-matter            Leave out the title page, station index, calendars, tide extremes
+                              appendix and legend
+  --impose saddle|perfect     Impose the pages two up on sheets that fold into signatures
+  --sheet <size>              Sheet for --impose: ${Object.keys(SHEET_SIZES).join(', ')} or WIDTHxHEIGHT in points
+                              (default: just large enough for a spread and its marks)
+  --signature-sheets <n>      Sheets folded together per signature for --impose perfect (default: ${DEFAULT_SIGNATURE_SHEETS})
+  --bleed <pt>                Bleed around each imposed page (default: 0)
+  --marks <marks>             Marks on imposed sheets: comma-separated crop, registration, or "none"
+                              (default: both)
+  --gutter <pt>               Move each page's content this far toward its outside edge, widening
+                              the inside margin (default: 0)
+  --directions compass|degrees
+                              How flood and ebb directions are printed (default: compass)
+${UNIT_USAGE}
+  --graph-interval <minutes>  Sampling of the tide graph curve: 60 (default) or 6
+  --current-interval <minutes>
+                              Sampling of the current series behind graphs and slack windows: 30 (default) or 6
+  --dry-run                   Fetch data and report coverage without writing a PDF
+  --manifest <file>           Fetch manifest to write (default: <output>.manifest.json)
+  --strict                    Refuse to render if any request failed or any day is incomplete
+${FETCH_USAGE}
+  --refresh                   Download everything again and overwrite the cache
+  --harmonics-dir <dir>       Harmonic constants for --source harmonic (default: harmonics)
+  --concurrency <n>           NOAA requests in flight at once (default: 4)
+  --rate <n>                  Maximum NOAA requests started per second (default: 3)
+  -h, --help                  Show this help`;
+
+/**
+ * Resolves station names or NOAA IDs given on the command line against one
+ * of the region's station lists, keeping the order in which they were given.
+ * @param {string[]} selection - Names or IDs from the command line.
+ * @param {object[]} available - The region's stations.
+ * @param {string} kind - "tide" or "current", for error messages.
+ * @returns {object[]} - The selected stations, in the selected order.
+ */
+function selectStations(selection, available, kind) {
+    return selection.map(wanted => {
+        const station = available.find(s => s.name.toLowerCase() === wanted.toLowerCase() || s.id === wanted);
+        if (!station) {
+            throw new Error(`Unknown ${kind} station "${wanted}". Known stations: ${available.map(s => s.name).join('; ')}`);
+        }
+        return station;
+    });
+}
+
+// Parses a non-negative length in points.
+function parsePoints(value, flag, max) {
+    const points = Number(value);
+    if (value.trim() === '' || !Number.isFinite(points) || points < 0 || points > max) {
+        throw new Error(`${flag} expects a length in points from 0 to ${max}, got "${value}".`);
+    }
+    return points;
+}
+
+// The imposition and gutter flags as generatePdf()'s `print` option.
+function parsePrintOptions(values) {
+    const print = {};
+    if (values.gutter !== undefined) print.gutter = parsePoints(values.gutter, '--gutter', 36);
+    if (values.impose === undefined) {
+        const misplaced = ['sheet', 'signature-sheets', 'bleed', 'marks'].find(flag => values[flag] !== undefined);
+        if (misplaced) throw new Error(`--${misplaced} requires --impose.`);
+        return print;
+    }
+    if (!BINDINGS.includes(values.impose)) {
+        throw new Error(`--impose must be ${BINDINGS.map(b => `"${b}"`).join(' or ')}, got "${values.impose}".`);
+    }
+    print.binding = values.impose;
+    if (values.sheet !== undefined) print.sheet = parseSheetSize(values.sheet);
+    if (values['signature-sheets'] !== undefined) {
+        if (values.impose !== 'perfect') {
+            throw new Error('--signature-sheets applies to --impose perfect; a saddle-stitched book is one signature.');
+        }
+        const sheets = Number(values['signature-sheets']);
+        if (!Number.isInteger(sheets) || sheets < 1 || sheets > 16) {
+            throw new Error(`--signature-sheets expects a whole number from 1 to 16, got "${values['signature-sheets']}".`);
+        }
+        print.sheetsPerSignature = sheets;
+    }
+    if (values.bleed !== undefined) print.bleed = parsePoints(values.bleed, '--bleed', 36);
+    if (values.marks !== undefined) {
+        print.marks = values.marks === 'none' ? [] : parseMarks(values.marks.split(',').map(mark => mark.trim()));
+    }
+    return print;
 }
 
-function getMoonPhaseName(phase) {
-    if (phase < 0.0625) return 'New Moon';
-    if (phase < 0.1875) return 'Waxing Crescent';
-    if (phase < 0.3125) return 'First Quarter';
-    if (phase < 0.4375) return 'Waxing Gibbous';
-    if (phase < 0.5625) return 'Full Moon';
-    if (phase < 0.6875) return 'Waning Gibbous';
-    if (phase < 0.8125) return 'Last Quarter';
-    if (phase < 0.9375) return 'Waning Crescent';
-    return 'New Moon';
+/**
+ * Turns command-line arguments into generatePdf() options. Station and graph
+ * selections are applied to the loaded region, so generatePdf() receives a
+ * region that already lists exactly the stations to print.
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {object|null} - The options, or null when help was requested.
+ */
+function parseCliOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            region: { type: 'string' },
+            template: { type: 'string' },
+            ...DATE_RANGE_CLI_OPTIONS,
+            output: { type: 'string', short: 'o' },
+            'tide-station': { type: 'string', multiple: true },
+            'current-station': { type: 'string', multiple: true },
+            'graph-station': { type: 'string', multiple: true },
+            'graph-interval': { type: 'string' },
+            directions: { type: 'string' },
+            overflow: { type: 'string' },
+            'layout-report': { type: 'string' },
+            'no-book-matter': { type: 'boolean' },
+            impose: { type: 'string' },
+            sheet: { type: 'string' },
+            'signature-sheets': { type: 'string' },
+            bleed: { type: 'string' },
+            marks: { type: 'string' },
+            gutter: { type: 'string' },
+            'current-graph-station': { type: 'string', multiple: true },
+            'current-interval': { type: 'string' },
+            'no-graphs': { type: 'boolean' },
+            'dry-run': { type: 'boolean' },
+            manifest: { type: 'string' },
+            strict: { type: 'boolean' },
+            ...FETCH_CLI_OPTIONS,
+            refresh: { type: 'boolean' },
+            'harmonics-dir': { type: 'string' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            ...UNIT_CLI_OPTIONS,
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) return null;
+
+    const options = {
+        dryRun: Boolean(values['dry-run']),
+        strict: Boolean(values.strict),
+        manifest: values.manifest,
+        units: unitsFromCli(values),
+    };
+    Object.assign(options, dateRangeFromCli(values));
+    if (values.output !== undefined) options.output = values.output;
+    if (values.overflow !== undefined) {
+        options.overflow = parseOverflowPolicy(values.overflow === 'none' ? [] : values.overflow.split(',').map(step => step.trim()));
+    }
+    if (values['layout-report'] !== undefined) options.layoutReport = values['layout-report'];
+    if (values['no-book-matter']) options.bookMatter = false;
+    options.print = parsePrintOptions(values);
+    if (values.directions !== undefined) {
+        if (!['compass', 'degrees'].includes(values.directions)) {
+            throw new Error(`--directions must be "compass" or "degrees", got "${values.directions}".`);
+        }
+        options.directionFormat = values.directions;
+    }
+    if (values['graph-interval'] !== undefined) {
+        if (!['60', '6'].includes(values['graph-interval'])) {
+            throw new Error(`--graph-interval must be 60 or 6 (minutes), got "${values['graph-interval']}".`);
+        }
+        options.graphIntervalMinutes = Number(values['graph-interval']);
+    }
+    if (values['current-interval'] !== undefined) {
+        if (!['30', '6'].includes(values['current-interval'])) {
+            throw new Error(`--current-interval must be 30 or 6 (minutes), got "${values['current-interval']}".`);
+        }
+        options.currentIntervalMinutes = Number(values['current-interval']);
+    }
+
+    if (values.offline && values.refresh) throw new Error('--offline cannot be combined with --refresh.');
+    options.fetch = { ...fetchFromCli(values), refresh: Boolean(values.refresh) };
+    if (values['harmonics-dir'] !== undefined) options.fetch.harmonicsDir = path.resolve(values['harmonics-dir']);
+    if (values.concurrency !== undefined) options.fetch.queue = new WorkQueue(Number(values.concurrency));
+    if (values.rate !== undefined) options.fetch.limiter = new RateLimiter(Number(values.rate));
+
+    options.template = loadTemplate(values.template);
+    const region = loadRegion(values.region);
+    if (values['tide-station']) region.tideStations = selectStations(values['tide-station'], region.tideStations, 'tide');
+    if (values['current-station']) region.currentStations = selectStations(values['current-station'], region.currentStations, 'current');
+    if (values['no-graphs'] && (values['graph-station'] || values['current-graph-station'])) {
+        throw new Error('--no-graphs cannot be combined with --graph-station or --current-graph-station.');
+    }
+    if (values['no-graphs'] || values['graph-station']) {
+        const graphs = selectStations(values['graph-station'] || [], region.tideStations, 'tide');
+        region.tideStations = region.tideStations.map(s => ({ ...s, graph: graphs.includes(s) }));
+    }
+    if (values['no-graphs'] || values['current-graph-station']) {
+        const graphs = selectStations(values['current-graph-station'] || [], region.currentStations, 'current');
+        region.currentStations = region.currentStations.map(s => ({ ...s, graph: graphs.includes(s) }));
+    }
+    options.region = region;
+    options.chosenStationKinds = ['tide', 'current'].filter(kind => values[`${kind}-station`]);
+    return options;
 }
 
-generatePdf();
+async function main() {
+    const options = parseCliOptions(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    const result = await generatePdf(options);
+    // A dry run exists to prove coverage, so gaps make it fail.
+    if (options.dryRun && !result.manifest.complete) process.exitCode = 1;
+}
+
+module.exports = {
+    generatePdf,
+    fetchBook,
+    parseCliOptions,
+    selectStations,
+    drawTideGraph,
+    drawCurrentGraph,
+    tideGraphScale,
+    currentGraphScale,
+    dayPoints,
+    clockMinutesOfDay,
+    formatDirection,
+    drawMoonIcon
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,485 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { DEFAULT_TIME_ZONE, formatZoned, startOfZonedDay } = require('./time_zone.js');
+const { convertHeight } = require('./units.js');
+const { parseDay } = require('./cli_options.js');
+
+// Local harmonic constants, one file per station: harmonics/<stationId>.json.
+const DEFAULT_HARMONICS_DIR = path.join(__dirname, 'harmonics');
+
+// NOAA metadata API, used only by the `import` command.
+const METADATA_BASE_URL = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Thrown when a station has no usable harmonic constants file.
+ */
+class HarmonicDataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HarmonicDataError';
+    }
+}
+
+// --- Astronomy ---
+
+/**
+ * Mean astronomical arguments at an instant, in degrees: the Doodson
+ * variables plus the longitude of the moon's node. From Meeus, "Astronomical
+ * Algorithms", ch. 22 and 47 (low-order terms).
+ * @param {Date} date
+ */
+function astronomicalArguments(date) {
+    const T = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    return {
+        T: 180 + 15 * utcHours,                   // hour angle of the mean sun
+        s: 218.3164477 + 481267.88123421 * T,     // mean longitude of the moon
+        h: 280.46646 + 36000.76983 * T,           // mean longitude of the sun
+        p: 83.3532465 + 4069.0137287 * T,         // longitude of the lunar perigee
+        N: 125.04452 - 1934.136261 * T,           // longitude of the moon's ascending node
+        p1: 282.93735 + 1.71946 * T,              // longitude of the solar perigee
+    };
+}
+
+/**
+ * Node factors (f) and corrections (u, degrees) that depend on the 18.6-year
+ * lunar nodal cycle, following Schureman's "Manual of Harmonic Analysis and
+ * Prediction of Tides" (1958), eqs. 73-79 and 227-235.
+ * @param {number} N - Longitude of the moon's node, degrees.
+ */
+function nodalTerms(N) {
+    const n = ((N % 360) + 540) % 360 - 180; // (-180, 180]
+    const I = Math.acos(0.91370 - 0.03569 * Math.cos(n * DEG));
+    const tanHalfN = Math.tan(n * DEG / 2);
+    const a = Math.atan(1.01883 * tanHalfN);
+    const b = Math.atan(0.64412 * tanHalfN);
+    const nu = a - b;
+    const xi = n * DEG - a - b;
+    const nuPrime = Math.atan2(Math.sin(2 * I) * Math.sin(nu), Math.sin(2 * I) * Math.cos(nu) + 0.3347);
+    const nu2Prime = Math.atan2(Math.sin(I) ** 2 * Math.sin(2 * nu), Math.sin(I) ** 2 * Math.cos(2 * nu) + 0.0727) / 2;
+    const sinI = Math.sin(I);
+    const cosHalfI = Math.cos(I / 2);
+    const sin2I = Math.sin(2 * I);
+    return {
+        nu: nu / DEG, xi: xi / DEG, nuPrime: nuPrime / DEG, nu2Prime: nu2Prime / DEG,
+        fM2: cosHalfI ** 4 / 0.9154,
+        fO1: sinI * cosHalfI ** 2 / 0.3800,
+        fK1: Math.sqrt(0.8965 * sin2I ** 2 + 0.6001 * sin2I * Math.cos(nu) + 0.1006),
+        fK2: Math.sqrt(19.0444 * sinI ** 4 + 2.7702 * sinI ** 2 * Math.cos(2 * nu) + 0.0981),
+        fJ1: sin2I / 0.7214,
+        fOO1: sinI * Math.sin(I / 2) ** 2 / 0.0164,
+        fMm: (2 / 3 - sinI ** 2) / 0.5021,
+        fMf: sinI ** 2 / 0.1578,
+    };
+}
+
+/**
+ * Equilibrium arguments for the constituents NOAA publishes. `V` gives the
+ * equilibrium argument from the astronomical arguments; `f`/`u` give the
+ * node factor and correction from nodalTerms(). L2 and M1 use their main
+ * lunar node terms only, which is within NOAA's rounding for their small
+ * amplitudes in Puget Sound.
+ */
+const CONSTITUENTS = {
+    M2:   { V: a => 2 * a.T - 2 * a.s + 2 * a.h, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    S2:   { V: a => 2 * a.T, f: () => 1, u: () => 0 },
+    N2:   { V: a => 2 * a.T - 3 * a.s + 2 * a.h + a.p, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    K1:   { V: a => a.T + a.h - 90, f: n => n.fK1, u: n => -n.nuPrime },
+    M4:   { V: a => 4 * a.T - 4 * a.s + 4 * a.h, f: n => n.fM2 ** 2, u: n => 4 * n.xi - 4 * n.nu },
+    O1:   { V: a => a.T - 2 * a.s + a.h + 90, f: n => n.fO1, u: n => 2 * n.xi - n.nu },
+    M6:   { V: a => 6 * a.T - 6 * a.s + 6 * a.h, f: n => n.fM2 ** 3, u: n => 6 * n.xi - 6 * n.nu },
+    MK3:  { V: a => 3 * a.T - 2 * a.s + 3 * a.h - 90, f: n => n.fM2 * n.fK1, u: n => 2 * n.xi - 2 * n.nu - n.nuPrime },
+    S4:   { V: a => 4 * a.T, f: () => 1, u: () => 0 },
+    MN4:  { V: a => 4 * a.T - 5 * a.s + 4 * a.h + a.p, f: n => n.fM2 ** 2, u: n => 4 * n.xi - 4 * n.nu },
+    NU2:  { V: a => 2 * a.T - 3 * a.s + 4 * a.h - a.p, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    S6:   { V: a => 6 * a.T, f: () => 1, u: () => 0 },
+    MU2:  { V: a => 2 * a.T - 4 * a.s + 4 * a.h, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    '2N2': { V: a => 2 * a.T - 4 * a.s + 2 * a.h + 2 * a.p, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    OO1:  { V: a => a.T + 2 * a.s + a.h - 90, f: n => n.fOO1, u: n => -2 * n.xi - n.nu },
+    LAM2: { V: a => 2 * a.T - a.s + a.p + 180, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    S1:   { V: a => a.T, f: () => 1, u: () => 0 },
+    M1:   { V: a => a.T - a.s + a.h + a.p - 90, f: n => n.fO1, u: n => n.xi - n.nu },
+    J1:   { V: a => a.T + a.s + a.h - a.p - 90, f: n => n.fJ1, u: n => -n.nu },
+    MM:   { V: a => a.s - a.p, f: n => n.fMm, u: () => 0 },
+    SSA:  { V: a => 2 * a.h, f: () => 1, u: () => 0 },
+    SA:   { V: a => a.h, f: () => 1, u: () => 0 },
+    MSF:  { V: a => 2 * a.s - 2 * a.h, f: n => n.fM2, u: n => 2 * n.nu - 2 * n.xi },
+    MF:   { V: a => 2 * a.s, f: n => n.fMf, u: n => -2 * n.xi },
+    RHO:  { V: a => a.T - 3 * a.s + 3 * a.h - a.p + 90, f: n => n.fO1, u: n => 2 * n.xi - n.nu },
+    Q1:   { V: a => a.T - 3 * a.s + a.h + a.p + 90, f: n => n.fO1, u: n => 2 * n.xi - n.nu },
+    T2:   { V: a => 2 * a.T - a.h + a.p1, f: () => 1, u: () => 0 },
+    R2:   { V: a => 2 * a.T + a.h - a.p1 + 180, f: () => 1, u: () => 0 },
+    '2Q1': { V: a => a.T - 4 * a.s + a.h + 2 * a.p + 90, f: n => n.fO1, u: n => 2 * n.xi - n.nu },
+    P1:   { V: a => a.T - a.h + 90, f: () => 1, u: () => 0 },
+    '2SM2': { V: a => 2 * a.T + 2 * a.s - 2 * a.h, f: n => n.fM2, u: n => 2 * n.nu - 2 * n.xi },
+    M3:   { V: a => 3 * a.T - 3 * a.s + 3 * a.h, f: n => n.fM2 ** 1.5, u: n => 3 * n.xi - 3 * n.nu },
+    L2:   { V: a => 2 * a.T - a.s + 2 * a.h - a.p + 180, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+    '2MK3': { V: a => 3 * a.T - 4 * a.s + 3 * a.h + 90, f: n => n.fM2 ** 2 * n.fK1, u: n => 4 * n.xi - 4 * n.nu + n.nuPrime },
+    K2:   { V: a => 2 * a.T + 2 * a.h, f: n => n.fK2, u: n => -2 * n.nu2Prime },
+    M8:   { V: a => 8 * a.T - 8 * a.s + 8 * a.h, f: n => n.fM2 ** 4, u: n => 8 * n.xi - 8 * n.nu },
+    MS4:  { V: a => 4 * a.T - 2 * a.s + 2 * a.h, f: n => n.fM2, u: n => 2 * n.xi - 2 * n.nu },
+};
+
+// --- Station Files ---
+
+/**
+ * Reads a station's harmonic constants. The file format is:
+ *
+ *   {
+ *     "station": "9447130",
+ *     "name": "Seattle",
+ *     "units": "feet",
+ *     "datum": "MLLW",
+ *     "datumOffset": 6.58,       // mean sea level above the datum
+ *     "datums": { "MLLW": 3.1, "MSL": 9.68, "NAVD88": 3.8, ... },   // optional, above station datum
+ *     "constituents": [
+ *       { "name": "M2", "amplitude": 3.49, "phase": 11.4, "speed": 28.984104 }, ...
+ *     ]
+ *   }
+ *
+ * Phases are NOAA's Greenwich epochs (phase_GMT) in degrees; speeds are in
+ * degrees per hour. `node harmonics.js import <id>` writes such a file from
+ * NOAA's published constants.
+ * @param {string} stationId
+ * @param {string} [dir] - Directory of station files.
+ * @returns {object}
+ * @throws {HarmonicDataError}
+ */
+function loadHarmonics(stationId, dir = DEFAULT_HARMONICS_DIR) {
+    const file = path.join(dir, `${stationId}.json`);
+    let station;
+    try {
+        station = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new HarmonicDataError(`No harmonic constants for station ${stationId} (${file}). Import them with: node harmonics.js import ${stationId}`);
+        }
+        throw new HarmonicDataError(`Cannot read ${file}: ${error.message}`);
+    }
+    const problems = [];
+    if (typeof station.datumOffset !== 'number') problems.push('"datumOffset" must be a number');
+    if (!Array.isArray(station.constituents) || station.constituents.length === 0) {
+        problems.push('"constituents" must be a non-empty array');
+    } else {
+        station.constituents.forEach((c, i) => {
+            if (!CONSTITUENTS[c.name]) problems.push(`constituents[${i}]: unknown constituent "${c.name}"`);
+            for (const field of ['amplitude', 'phase', 'speed']) {
+                if (typeof c[field] !== 'number' || !Number.isFinite(c[field])) problems.push(`constituents[${i}]: "${field}" must be a number`);
+            }
+        });
+    }
+    if (problems.length > 0) throw new HarmonicDataError(`Invalid harmonic constants in ${file}: ${problems.join('; ')}`);
+    return station;
+}
+
+/**
+ * A copy of a station's constants that predicts in other units or on another
+ * datum than its file's feet above MLLW. Mean sea level needs nothing more
+ * than `datumOffset`; other datums need the file's `datums` list, which
+ * `node harmonics.js import` writes.
+ * @param {object} station - From loadHarmonics().
+ * @param {{height: string, datum: string}} units - See units.js.
+ * @returns {object}
+ * @throws {HarmonicDataError} - When the file does not list the datum.
+ */
+function stationOnDatum(station, { height, datum }) {
+    let datumOffset = station.datumOffset;
+    if (datum === 'MSL') {
+        datumOffset = 0;
+    } else if (datum !== 'MLLW') {
+        const listed = station.datums || {};
+        if (typeof listed[datum] !== 'number' || typeof listed.MLLW !== 'number') {
+            throw new HarmonicDataError(`The harmonic constants for station ${station.station} list no ${datum} datum. `
+                + `Import them again with: node harmonics.js import ${station.station}`);
+        }
+        datumOffset += listed.MLLW - listed[datum];
+    }
+    const scale = convertHeight(1, 'ft', height);
+    return {
+        ...station,
+        units: height === 'm' ? 'meters' : 'feet',
+        datum,
+        datumOffset: datumOffset * scale,
+        constituents: station.constituents.map(c => ({ ...c, amplitude: c.amplitude * scale })),
+    };
+}
+
+// --- Prediction ---
+
+/**
+ * Builds a water-level function for a station. Equilibrium arguments are
+ * taken at `epoch` and advanced with each constituent's speed; node factors
+ * are taken mid-way through the prediction span, as NOAA does per year.
+ * @param {object} station - From loadHarmonics().
+ * @param {Date} epoch - Start of the prediction span.
+ * @param {Date} midpoint - Middle of the prediction span.
+ * @returns {{height: (date: Date) => number, rate: (date: Date) => number}}
+ *   Height above the datum, and its rate of change per hour.
+ */
+function tideModel(station, epoch, midpoint) {
+    const args = astronomicalArguments(epoch);
+    const nodal = nodalTerms(astronomicalArguments(midpoint).N);
+    const terms = station.constituents
+        .filter(c => c.amplitude !== 0)
+        .map(c => {
+            const def = CONSTITUENTS[c.name];
+            return {
+                amplitude: def.f(nodal) * c.amplitude,
+                phase: (def.V(args) + def.u(nodal) - c.phase) * DEG,
+                speed: c.speed * DEG,
+            };
+        });
+    const hours = date => (date.getTime() - epoch.getTime()) / 3600000;
+    return {
+        height(date) {
+            const t = hours(date);
+            let sum = station.datumOffset;
+            for (const term of terms) sum += term.amplitude * Math.cos(term.speed * t + term.phase);
+            return sum;
+        },
+        rate(date) {
+            const t = hours(date);
+            let sum = 0;
+            for (const term of terms) sum -= term.amplitude * term.speed * Math.sin(term.speed * t + term.phase);
+            return sum;
+        },
+    };
+}
+
+// Builds a model covering the local days [startDate, endDate] in `timeZone`.
+function modelForRange(station, startDate, endDate, timeZone) {
+    const start = startOfZonedDay(startDate, timeZone);
+    const afterEnd = new Date(endDate);
+    afterEnd.setDate(afterEnd.getDate() + 1);
+    const end = startOfZonedDay(afterEnd, timeZone);
+    return { start, end, model: tideModel(station, start, new Date((start.getTime() + end.getTime()) / 2)) };
+}
+
+/**
+ * Predicts water levels at a fixed interval, in NOAA's `predictions` format.
+ * @param {object} station - From loadHarmonics().
+ * @param {Date} startDate - First local day.
+ * @param {Date} endDate - Last local day.
+ * @param {object} [options]
+ * @param {number} [options.intervalMinutes] - Sampling interval (default 60).
+ * @param {string} [options.timeZone] - Zone the `t` strings are written in.
+ * @returns {Array<{t: string, v: string}>}
+ */
+function predictSeries(station, startDate, endDate, options = {}) {
+    const intervalMs = (options.intervalMinutes || 60) * 60000;
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const { start, end, model } = modelForRange(station, startDate, endDate, timeZone);
+    const series = [];
+    for (let t = start.getTime(); t < end.getTime(); t += intervalMs) {
+        const date = new Date(t);
+        series.push({ t: formatZoned(date, timeZone), v: model.height(date).toFixed(3) });
+    }
+    return series;
+}
+
+/**
+ * Predicts high and low waters, in NOAA's `hilo` format. Extremes are found
+ * where the rate of change crosses zero, sampled every 6 minutes and refined
+ * by bisection to well under a minute.
+ * @param {object} station - From loadHarmonics().
+ * @param {Date} startDate - First local day.
+ * @param {Date} endDate - Last local day.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - Zone the `t` strings are written in.
+ * @returns {Array<{t: string, v: string, type: 'H'|'L'}>}
+ */
+function predictHiLo(station, startDate, endDate, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const { start, end, model } = modelForRange(station, startDate, endDate, timeZone);
+    const step = 6 * 60000;
+    const events = [];
+    let previousRate = model.rate(start);
+    for (let t = start.getTime() + step; t <= end.getTime(); t += step) {
+        const rate = model.rate(new Date(t));
+        if (previousRate !== 0 && Math.sign(rate) !== Math.sign(previousRate)) {
+            let lo = t - step;
+            let hi = t;
+            while (hi - lo > 1000) {
+                const mid = (lo + hi) / 2;
+                if (Math.sign(model.rate(new Date(mid))) === Math.sign(previousRate)) lo = mid;
+                else hi = mid;
+            }
+            const when = new Date(Math.round((lo + hi) / 2 / 60000) * 60000);
+            if (when < end) {
+                events.push({
+                    t: formatZoned(when, timeZone),
+                    v: model.height(when).toFixed(3),
+                    type: previousRate > 0 ? 'H' : 'L',
+                });
+            }
+        }
+        previousRate = rate;
+    }
+    return events;
+}
+
+// --- Command-Line Interface ---
+
+/**
+ * Downloads NOAA's published harmonic constants and datums for a station and
+ * writes them in the local file format.
+ * @param {string} stationId
+ * @param {string} [dir]
+ * @returns {Promise<string>} - The file written.
+ */
+async function importHarmonics(stationId, dir = DEFAULT_HARMONICS_DIR) {
+    const get = async resource => (await axios.get(`${METADATA_BASE_URL}/${stationId}/${resource}.json`, {
+        params: { units: 'english' }, timeout: 60000,
+    })).data;
+    const [harcon, datums] = await Promise.all([get('harcon'), get('datums')]);
+    const datumValue = name => {
+        const datum = (datums.datums || []).find(d => d.name === name);
+        if (!datum) throw new HarmonicDataError(`NOAA lists no ${name} datum for station ${stationId}.`);
+        return datum.value;
+    };
+    const station = {
+        station: stationId,
+        units: 'feet',
+        datum: 'MLLW',
+        datumOffset: Number((datumValue('MSL') - datumValue('MLLW')).toFixed(3)),
+        // Every datum NOAA lists, so predictions can move off MLLW (see stationOnDatum).
+        datums: Object.fromEntries((datums.datums || []).filter(d => Number.isFinite(d.value)).map(d => [d.name, d.value])),
+        constituents: (harcon.HarmonicConstituents || [])
+            .filter(c => CONSTITUENTS[c.name])
+            .map(c => ({ name: c.name, amplitude: c.amplitude, phase: c.phase_GMT, speed: c.speed })),
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${stationId}.json`);
+    fs.writeFileSync(file, `${JSON.stringify(station, null, 2)}\n`);
+    return file;
+}
+
+/**
+ * Matches engine events against NOAA events of the same type within an hour
+ * and summarizes the time and height differences.
+ * @param {Array<object>} predicted - From predictHiLo().
+ * @param {Array<object>} reference - NOAA hilo predictions.
+ * @returns {{matched: number, unmatched: number, maxMinutes: number, meanMinutes: number, maxHeight: number, meanHeight: number}}
+ */
+function compareHiLo(predicted, reference) {
+    const minutes = t => Date.UTC(+t.slice(0, 4), +t.slice(5, 7) - 1, +t.slice(8, 10), +t.slice(11, 13), +t.slice(14, 16)) / 60000;
+    const timeErrors = [];
+    const heightErrors = [];
+    let unmatched = 0;
+    for (const ref of reference) {
+        const refMinutes = minutes(ref.t);
+        let best = null;
+        for (const p of predicted) {
+            if (p.type !== ref.type) continue;
+            const diff = Math.abs(minutes(p.t) - refMinutes);
+            if (diff <= 60 && (!best || diff < best.diff)) best = { diff, p };
+        }
+        if (!best) {
+            unmatched++;
+            continue;
+        }
+        timeErrors.push(best.diff);
+        heightErrors.push(Math.abs(parseFloat(best.p.v) - parseFloat(ref.v)));
+    }
+    const mean = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0;
+    return {
+        matched: timeErrors.length,
+        unmatched,
+        maxMinutes: Math.max(0, ...timeErrors),
+        meanMinutes: mean(timeErrors),
+        maxHeight: Math.max(0, ...heightErrors),
+        meanHeight: mean(heightErrors),
+    };
+}
+
+const USAGE = `Usage:
+  node harmonics.js import <stationId>
+      Download NOAA's harmonic constants and datums into harmonics/<stationId>.json
+  node harmonics.js compare <stationId> --start <yyyy-mm-dd> --end <yyyy-mm-dd>
+      Cross-check the engine against cached NOAA hilo predictions
+
+Options:
+  --harmonics-dir <dir>        Directory of station files (default: harmonics;
+                               test/fixtures/harmonics has Port Townsend, 9444900)
+  --cache-dir <dir>            NOAA response cache to compare against (default: .noaa_cache)
+  --time-tolerance <minutes>   Largest acceptable time error (default: 10)
+  --height-tolerance <feet>    Largest acceptable height error (default: 0.3)`;
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            start: { type: 'string' },
+            end: { type: 'string' },
+            'harmonics-dir': { type: 'string' },
+            'cache-dir': { type: 'string' },
+            'time-tolerance': { type: 'string', default: '10' },
+            'height-tolerance': { type: 'string', default: '0.3' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    const [command, stationId] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!stationId) throw new Error(`"${command}" needs a station ID.\n\n${USAGE}`);
+    const dir = values['harmonics-dir'] ? path.resolve(values['harmonics-dir']) : DEFAULT_HARMONICS_DIR;
+
+    if (command === 'import') {
+        console.log(`Wrote ${await importHarmonics(stationId, dir)}`);
+    } else if (command === 'compare') {
+        if (values.start === undefined || values.end === undefined) throw new Error('compare needs --start and --end.');
+        const startDate = parseDay(values.start, '--start');
+        const endDate = parseDay(values.end, '--end');
+        const timeTolerance = Number(values['time-tolerance']);
+        if (!(Number.isFinite(timeTolerance) && timeTolerance >= 0)) {
+            throw new Error(`--time-tolerance expects minutes of 0 or more, got "${values['time-tolerance']}".`);
+        }
+        const heightTolerance = Number(values['height-tolerance']);
+        if (!(Number.isFinite(heightTolerance) && heightTolerance >= 0)) {
+            throw new Error(`--height-tolerance expects feet of 0 or more, got "${values['height-tolerance']}".`);
+        }
+        // Required here to avoid a load-time cycle: fetch_data.js uses this module.
+        const { fetchTideData } = require('./fetch_data.js');
+        const { ResponseCache } = require('./noaa_cache.js');
+        const fetchOptions = { offline: true };
+        if (values['cache-dir']) fetchOptions.cache = new ResponseCache(path.resolve(values['cache-dir']));
+        const { predictions } = await fetchTideData(stationId, startDate, endDate, fetchOptions);
+        const report = compareHiLo(predictHiLo(loadHarmonics(stationId, dir), startDate, endDate), predictions);
+        console.log(`Station ${stationId}: ${report.matched} events matched, ${report.unmatched} unmatched`);
+        console.log(`  time error:   mean ${report.meanMinutes.toFixed(1)} min, max ${report.maxMinutes} min (tolerance ${timeTolerance} min)`);
+        console.log(`  height error: mean ${report.meanHeight.toFixed(3)} ft, max ${report.maxHeight.toFixed(3)} ft (tolerance ${heightTolerance} ft)`);
+        const pass = report.unmatched === 0 && report.maxMinutes <= timeTolerance && report.maxHeight <= heightTolerance;
+        console.log(pass ? 'PASS' : 'FAIL');
+        if (!pass) process.exitCode = 1;
+    } else {
+        throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+    }
+}
+
+module.exports = {
+    astronomicalArguments,
+    nodalTerms,
+    loadHarmonics,
+    stationOnDatum,
+    predictSeries,
+    predictHiLo,
+    compareHiLo,
+    importHarmonics,
+    tideModel,
+    HarmonicDataError,
+    CONSTITUENTS,
+    DEFAULT_HARMONICS_DIR
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
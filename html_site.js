@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const { dayAstronomy, formatClock, formatDuration } = require('./astronomy.js');
+const { intermediatePhaseName, litPath } = require('./moon_phases.js');
+const { zonedParts, formatDay, parseDayKey } = require('./time_zone.js');
+const { DEFAULT_SLACK_THRESHOLD } = require('./fetch_data.js');
+const { dayPoints, clockMinutesOfDay, formatDirection, tideGraphScale } = require('./generate_pdf.js');
+const { convertSpeed, formatKnots, formatClockTime, unitName } = require('./units.js');
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Size of the tide graph in SVG user units, and room for its labels.
+const GRAPH = { width: 480, height: 120, left: 22, top: 8, bottom: 16 };
+
+const STYLE = `body { font-family: Georgia, serif; max-width: 60em; margin: 1em auto; padding: 0 1em; color: #000; }
+nav { display: flex; justify-content: space-between; gap: 1em; margin: 0.5em 0; }
+h1, h2, h3 { font-family: Helvetica, Arial, sans-serif; }
+h1 { margin-bottom: 0.2em; }
+.astro { color: #333; }
+.notice { font-weight: bold; }
+.columns { display: flex; flex-wrap: wrap; gap: 2em; }
+.columns > section { flex: 1 1 24em; }
+table { border-collapse: collapse; }
+td, th { padding: 0.15em 0.6em; text-align: left; }
+.num { text-align: right; font-variant-numeric: tabular-nums; }
+.minus { font-weight: bold; }
+.calendar { width: 100%; table-layout: fixed; }
+.calendar td { border: 1px solid #808080; vertical-align: top; height: 5em; }
+.calendar .out { color: #9a9a9a; }
+.moon { float: right; }
+svg text { font-family: Helvetica, Arial, sans-serif; }
+footer { margin-top: 2em; font-size: 0.9em; color: #333; }
+`;
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const dayFile = day => `${day}.html`;
+const monthFile = day => `${day.slice(0, 7)}.html`;
+const monthTitle = date => date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const link = (href, text) => (href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : `<span>${escapeHtml(text)}</span>`);
+
+// The moon as the PDF draws it: a dark disk with the lit part over it.
+function moonSvg(illumination, radius, latitude) {
+    const size = radius * 2;
+    const waxing = illumination.phase < 0.5;
+    const lit = litPath(radius, radius, radius, illumination.fraction, waxing === (latitude >= 0));
+    return `<svg class="moon" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">`
+        + `<circle cx="${radius}" cy="${radius}" r="${radius}" fill="#201F24"/>`
+        + (lit ? `<path d="${lit}" fill="#E0E0E0"/>` : '')
+        + '</svg>';
+}
+
+/**
+ * One day's tide curve as SVG, drawn like drawTideGraph in the PDF: night
+ * shaded, whole-unit grid lines, the 06/12/18 hour lines, the series as a
+ * line and the high and low waters as labelled markers.
+ * @param {object} graph
+ * @param {string} graph.day - YYYY-MM-DD.
+ * @param {Array<{time: string, height: number}>} graph.series - The day's samples and the next midnight's.
+ * @param {Array<{time: string, type: string, height: number}>} graph.events - The day's high and low waters.
+ * @param {{min: number, max: number}} graph.scale - See tideGraphScale.
+ * @param {Date} [graph.sunrise]
+ * @param {Date} [graph.sunset]
+ * @param {string} graph.timeZone
+ * @param {string} [graph.clock] - "24" (default) or "12", for the hour labels.
+ * @returns {string} - Empty when there are too few samples to draw.
+ */
+function tideGraphSvg({ day, series, events, scale, sunrise, sunset, timeZone, clock = '24' }) {
+    const points = dayPoints(series, day, 'time', 'height');
+    if (points.length < 2) return '';
+    const { width, height, left, top, bottom } = GRAPH;
+    const minuteToX = minutes => left + (minutes / 1440) * width;
+    const valueToY = value => top + height - ((value - scale.min) / (scale.max - scale.min)) * height;
+    const n = value => Number(value.toFixed(2));
+    const parts = [];
+
+    const clockMinutes = date => {
+        if (!date || Number.isNaN(date.getTime())) return null;
+        const { hour, minute } = zonedParts(date, timeZone);
+        return hour * 60 + minute;
+    };
+    const rise = clockMinutes(sunrise);
+    const set = clockMinutes(sunset);
+    if (rise !== null && set !== null) {
+        if (rise > 0) parts.push(`<rect x="${left}" y="${top}" width="${n(minuteToX(rise) - left)}" height="${height}" fill="#e6e6e6"/>`);
+        if (set < 1440) parts.push(`<rect x="${n(minuteToX(set))}" y="${top}" width="${n(left + width - minuteToX(set))}" height="${height}" fill="#e6e6e6"/>`);
+    }
+
+    const step = Math.max(1, Math.ceil((scale.max - scale.min) / 5));
+    for (let value = Math.ceil(scale.min / step) * step; value <= scale.max; value += step) {
+        const y = n(valueToY(value));
+        parts.push(`<line x1="${left}" y1="${y}" x2="${left + width}" y2="${y}" stroke="${value === 0 ? '#808080' : '#d0d0d0'}"/>`);
+        parts.push(`<text x="${left - 3}" y="${y + 3}" font-size="8" text-anchor="end">${value}</text>`);
+    }
+    for (const hour of [6, 12, 18]) {
+        const x = n(minuteToX(hour * 60));
+        parts.push(`<line x1="${x}" y1="${top}" x2="${x}" y2="${top + height}" stroke="#d0d0d0"/>`);
+        parts.push(`<text x="${x}" y="${top + height + 12}" font-size="9" font-weight="bold" text-anchor="middle">${formatClockTime(`${String(hour).padStart(2, '0')}:00`, clock)}</text>`);
+    }
+    parts.push(`<rect x="${left}" y="${top}" width="${width}" height="${height}" fill="none" stroke="black"/>`);
+
+    const curve = points.map(p => `${n(minuteToX(p.minutes))},${n(valueToY(p.value))}`).join(' ');
+    parts.push(`<polyline points="${curve}" fill="none" stroke="black" stroke-width="1.5"/>`);
+
+    for (const e of events) {
+        const x = n(minuteToX(clockMinutesOfDay(e.time, day)));
+        const y = n(valueToY(e.height));
+        parts.push(`<circle cx="${x}" cy="${y}" r="2.5"/>`);
+        parts.push(`<text x="${x}" y="${e.type === 'high' ? y + 11 : y - 5}" font-size="8" font-weight="bold" text-anchor="middle">${e.height.toFixed(1)}</text>`);
+    }
+
+    const total = { width: left + width + 4, height: top + height + bottom };
+    return `<svg width="${total.width}" height="${total.height}" viewBox="0 0 ${total.width} ${total.height}" role="img" `
+        + `aria-label="Tide curve for ${escapeHtml(day)}">${parts.join('')}</svg>`;
+}
+
+// Vertical range for each graphed station over the whole site, so every day
+// shares the same scale as in the book.
+function graphScales(model) {
+    const scales = {};
+    for (const station of model.tides) {
+        if (station.series.length === 0) continue;
+        const v = p => ({ v: p.height });
+        scales[station.id] = tideGraphScale(station.series.map(v), station.events.map(v));
+    }
+    return scales;
+}
+
+function footer(model) {
+    const { units } = model;
+    const lines = [`Heights in ${unitName(units.height)} above ${units.datum}; speeds in ${unitName(units.speed)}, flood positive and ebb negative; `
+        + `times local (${model.region.timeZone}), ${units.clock}-hour clock.`];
+    if (model.currents.length > 0) lines.push(`Slack: current under ${formatKnots(DEFAULT_SLACK_THRESHOLD, units)} unless noted.`);
+    if (model.tides.some(s => s.reference)) lines.push('* derived from a reference station by NOAA time and height offsets.');
+    lines.push(`${model.credit}. Not for navigation.`);
+    return `<footer>${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}</footer>`;
+}
+
+function indexPage(model, months) {
+    const { region } = model;
+    const stationItem = station => `<li>${escapeHtml(station.reference ? `${station.name} *` : station.name)} (${escapeHtml(station.id)})</li>`;
+    const body = [
+        `<h1>${escapeHtml(region.title)}</h1>`,
+        `<p>${escapeHtml(`Tides and currents, ${model.startDate} to ${model.endDate}`)}</p>`,
+        '<h2>Months</h2>',
+        `<ul>${months.map(month => `<li>${link(monthFile(formatDay(month)), monthTitle(month))}</li>`).join('')}</ul>`,
+        '<div class="columns">',
+        `<section><h2>Current stations</h2><ul>${model.currents.map(stationItem).join('')}</ul></section>`,
+        `<section><h2>Tide stations</h2><ul>${model.tides.map(stationItem).join('')}</ul></section>`,
+        '</div>',
+        footer(model),
+    ];
+    return page(region.title, body.join('\n'));
+}
+
+// A month grid, Monday first like the book's calendars, with the moon's
+// principal phases and the day's highest high and lowest low water at the
+// calendar station.
+function monthPage(model, month, months, astronomy) {
+    const { region, startDate, endDate, units } = model;
+    const station = model.tides.find(s => !s.reference) || model.tides[0];
+    const index = months.findIndex(m => m.getTime() === month.getTime());
+    const neighbour = offset => months[index + offset] && monthFile(formatDay(months[index + offset]));
+    const lead = (month.getDay() + 6) % 7;
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+
+    const cells = Array.from({ length: lead }, () => '<td></td>');
+    for (let date = 1; date <= daysInMonth; date++) {
+        const day = formatDay(new Date(month.getFullYear(), month.getMonth(), date));
+        if (day < startDate || day > endDate) {
+            cells.push(`<td class="out">${date}</td>`);
+            continue;
+        }
+        const astro = astronomy.get(day);
+        const lines = [link(dayFile(day), String(date))];
+        if (astro.moonPhase) {
+            lines[0] += moonSvg(astro.moonIllumination, 6, region.astronomyLocation.latitude);
+            lines.push(escapeHtml(`${astro.moonPhase.name.split(' ')[0].toLowerCase()} ${formatClock(astro.moonPhase.time, region.timeZone, units.clock)}`));
+        }
+        const events = station ? station.events.filter(e => e.time.startsWith(day)) : [];
+        const highs = events.filter(e => e.type === 'high').map(e => e.height);
+        const lows = events.filter(e => e.type === 'low').map(e => e.height);
+        if (highs.length > 0) lines.push(`H ${Math.max(...highs).toFixed(1)}`);
+        if (lows.length > 0) {
+            const low = Math.min(...lows);
+            lines.push(low < 0 ? `<span class="minus">L ${low.toFixed(1)}</span>` : `L ${low.toFixed(1)}`);
+        }
+        cells.push(`<td>${lines.join('<br>')}</td>`);
+    }
+    while (cells.length % 7 !== 0) cells.push('<td></td>');
+    const rows = Array.from({ length: cells.length / 7 }, (_, row) => `<tr>${cells.slice(row * 7, row * 7 + 7).join('')}</tr>`);
+
+    const subtitle = station
+        ? `Moon phases, and the day's highest high and lowest low water at ${station.name} (${units.height}, ${units.datum})`
+        : 'Moon phases';
+    const body = [
+        `<nav>${link(neighbour(-1), '« previous month')}${link('index.html', region.title)}${link(neighbour(1), 'next month »')}</nav>`,
+        `<h1>${escapeHtml(monthTitle(month))}</h1>`,
+        `<p>${escapeHtml(subtitle)}</p>`,
+        `<table class="calendar"><thead><tr>${WEEKDAYS.map(day => `<th>${day}</th>`).join('')}</tr></thead>`,
+        `<tbody>${rows.join('\n')}</tbody></table>`,
+        footer(model),
+    ];
+    return page(`${monthTitle(month)} – ${region.title}`, body.join('\n'));
+}
+
+function currentSection(model, day) {
+    const { units } = model;
+    const clock = time => formatClockTime(time, units.clock);
+    const rows = [];
+    for (const station of model.currents) {
+        // The model's thresholds are already in the speed unit, rounded as bookModel rounds them.
+        const label = station.slackThreshold !== null
+            && station.slackThreshold !== Number(convertSpeed(DEFAULT_SLACK_THRESHOLD, 'kn', units.speed).toFixed(2))
+            ? `${station.name} (slack < ${station.slackThreshold} ${units.speed})`
+            : station.name;
+        const details = [];
+        if (station.depth !== null) details.push(`depth ${station.depth} ${units.height}`);
+        if (station.floodDirection !== null) details.push(`flood ${formatDirection(station.floodDirection, 'compass')}`);
+        if (station.ebbDirection !== null) details.push(`ebb ${formatDirection(station.ebbDirection, 'compass')}`);
+        rows.push(`<h3>${escapeHtml(label)}</h3>`);
+        if (details.length > 0) rows.push(`<p>${escapeHtml(details.join('   '))}</p>`);
+        const events = station.events.filter(e => e.time.startsWith(day));
+        if (events.length === 0) {
+            rows.push('<p><em>Data not available.</em></p>');
+            continue;
+        }
+        const cells = events.map(e => {
+            const window = e.type === 'slack' && station.slackWindows.find(w => w.start <= e.time && e.time <= w.end);
+            const what = window
+                ? `slack ${clock(window.start)}–${clock(window.end)}`
+                : (e.type === 'slack' ? 'slack' : `max ${e.type}`);
+            const speed = e.type === 'slack' ? '' : e.speed.toFixed(1);
+            return `<tr><td class="num">${speed}</td><td>${escapeHtml(what)}</td><td>${clock(e.time)}</td></tr>`;
+        });
+        rows.push(`<table><thead><tr><th>${escapeHtml(units.speed)}</th><th></th><th>time</th></tr></thead><tbody>${cells.join('')}</tbody></table>`);
+    }
+    return `<section><h2>Current predictions</h2>${rows.join('\n')}</section>`;
+}
+
+function tideSection(model, day, graphDay, scales) {
+    const { units } = model;
+    const next = formatDay(new Date(parseDayKey(day).getFullYear(), parseDayKey(day).getMonth(), parseDayKey(day).getDate() + 1));
+    const rows = [];
+    for (const station of model.tides) {
+        rows.push(`<h3>${escapeHtml(station.reference ? `${station.name} *` : station.name)}</h3>`);
+        const events = station.events.filter(e => e.time.startsWith(day));
+        const series = station.series.filter(p => p.time.startsWith(day) || p.time === `${next} 00:00`);
+        if (series.length > 1 && scales[station.id]) {
+            rows.push(`<p>${tideGraphSvg({ ...graphDay, series, events, scale: scales[station.id] })}</p>`);
+        }
+        if (events.length === 0) {
+            rows.push('<p><em>Data not available.</em></p>');
+            continue;
+        }
+        const cells = events.map(e => `<tr><td class="num${e.height < 0 ? ' minus' : ''}">${e.height.toFixed(2)}</td>`
+            + `<td>${e.type}</td><td>${formatClockTime(e.time, units.clock)}</td></tr>`);
+        rows.push(`<table><thead><tr><th>${units.height}</th><th></th><th>time</th></tr></thead><tbody>${cells.join('')}</tbody></table>`);
+    }
+    return `<section><h2>High and low tides</h2>${rows.join('\n')}</section>`;
+}
+
+function dayPage(model, day, previous, next, astro, scales) {
+    const { region, units } = model;
+    const clock = time => formatClock(time, region.timeZone, units.clock);
+    const date = parseDayKey(day);
+    const moonPhaseName = astro.moonPhase
+        ? `${astro.moonPhase.name} ${clock(astro.moonPhase.time)}`
+        : `${intermediatePhaseName(astro.moonIllumination)} ${Math.round(astro.moonIllumination.fraction * 100)}%`;
+    const notices = [];
+    if (astro.tidePeriod) notices.push(astro.tidePeriod === 'spring' ? 'Spring tides' : 'Neap tides');
+    if (astro.dst) {
+        notices.push(astro.dst.kind === 'begins'
+            ? `Daylight saving time begins ${formatClockTime(astro.dst.clock, units.clock)} — clocks forward 1 hour`
+            : `Daylight saving time ends ${formatClockTime(astro.dst.clock, units.clock)} — clocks back 1 hour`);
+    }
+    if (astro.season) notices.push(`${astro.season.name} ${clock(astro.season.time)}`);
+    const graphDay = { day, sunrise: astro.sunrise, sunset: astro.sunset, timeZone: region.timeZone, clock: units.clock };
+
+    const body = [
+        `<nav>${link(previous && dayFile(previous), '« previous day')}${link(monthFile(day), monthTitle(date))}${link(next && dayFile(next), 'next day »')}</nav>`,
+        `<h1>${escapeHtml(date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }))}</h1>`,
+        `<p class="astro">${moonSvg(astro.moonIllumination, 10, region.astronomyLocation.latitude)}`
+            + escapeHtml(`Sunrise ${clock(astro.sunrise)}, sunset ${clock(astro.sunset)}, twilight ${clock(astro.dawn)}–${clock(astro.dusk)}, `
+            + `day ${formatDuration(astro.dayLengthMinutes)}. Moonrise ${clock(astro.moonrise)}, moonset ${clock(astro.moonset)}. ${moonPhaseName}.`)
+            + '</p>',
+        ...notices.map(notice => `<p class="notice">${escapeHtml(notice)}</p>`),
+        '<div class="columns">',
+        currentSection(model, day),
+        tideSection(model, day, graphDay, scales),
+        '</div>',
+        footer(model),
+    ];
+    return page(`${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} – ${region.title}`, body.join('\n'));
+}
+
+/**
+ * Writes the book as a static site: an index, a calendar per month and a page
+ * per day with the same sun, moon, current and tide information as the PDF's
+ * daily pages, and an SVG tide graph for each graphed station. Pages link to
+ * each other relatively, so the directory can be served or opened as is.
+ * @param {object} model - From bookModel (see book_export.js).
+ * @param {string} outDir
+ * @returns {string[]} - The HTML files written.
+ */
+function writeSite(model, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const { region } = model;
+    const days = [];
+    for (let date = parseDayKey(model.startDate); formatDay(date) <= model.endDate; date.setDate(date.getDate() + 1)) {
+        days.push(formatDay(date));
+    }
+    const months = [];
+    for (let month = parseDayKey(`${model.startDate.slice(0, 7)}-01`); formatDay(month) <= model.endDate;
+        month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        months.push(month);
+    }
+    const astronomy = new Map(days.map(day => [day, dayAstronomy(parseDayKey(day), region.astronomyLocation, region.timeZone)]));
+    const scales = graphScales(model);
+
+    const files = [];
+    const write = (name, html) => {
+        const file = path.join(outDir, name);
+        fs.writeFileSync(file, html);
+        files.push(file);
+    };
+    fs.writeFileSync(path.join(outDir, 'style.css'), STYLE);
+    write('index.html', indexPage(model, months));
+    for (const month of months) write(monthFile(formatDay(month)), monthPage(model, month, months, astronomy));
+    days.forEach((day, index) => write(dayFile(day), dayPage(model, day, days[index - 1], days[index + 1], astronomy.get(day), scales)));
+    return files;
+}
+
+module.exports = {
+    writeSite,
+    tideGraphSvg
+};
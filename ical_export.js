@@ -0,0 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fetchBook, selectStations } = require('./generate_pdf.js');
+const { dateRangeFromCli, fetchFromCli, DATE_RANGE_CLI_OPTIONS, DATE_RANGE_USAGE, FETCH_CLI_OPTIONS, FETCH_USAGE } = require('./cli_options.js');
+const { loadRegion, stationFileName } = require('./region_config.js');
+const { DEFAULT_SLACK_THRESHOLD } = require('./fetch_data.js');
+const { sunTimes, formatClock } = require('./astronomy.js');
+const { principalPhases } = require('./moon_phases.js');
+const { formatZoned, formatDay, zoneOffsetMinutes, zoneTransitions, zoneAbbreviation } = require('./time_zone.js');
+const { resolveUnits, formatKnots, formatClockTime, unitsFromCli, UNIT_CLI_OPTIONS, UNIT_USAGE } = require('./units.js');
+
+const EVENT_TYPES = ['high', 'low', 'flood', 'ebb', 'slack', 'sun', 'moon'];
+// Sun and moon are all-day events most people only want in one calendar.
+const DEFAULT_EVENT_TYPES = ['high', 'low', 'flood', 'ebb', 'slack'];
+const DEFAULT_OUT_DIR = 'calendars';
+
+const PRODID = '-//Tide Book//Tide and Current Calendar//EN';
+// The right-hand side of every UID. UIDs are built from the station, the
+// event type, the day and the event's place among that day's events of the
+// type, never from its minute, so a re-import with revised predictions
+// updates events instead of adding new ones.
+const UID_DOMAIN = 'tide-book';
+
+// Escapes a TEXT value (RFC 5545 3.3.11).
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// Folds a content line to 75 octets, continuing with a space, without
+// splitting a UTF-8 character (RFC 5545 3.1).
+function foldLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+// "YYYY-MM-DD HH:MM" to a local DATE-TIME, "YYYY-MM-DD" to a DATE.
+const icsDate = day => day.replace(/-/g, '');
+const icsLocalTime = t => `${icsDate(t.slice(0, 10))}T${t.slice(11, 13)}${t.slice(14, 16)}00`;
+
+function icsUtcTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The VTIMEZONE component for a zone: every offset change from the year
+ * before `startDate` to the end of `endDate`'s year, or a single fixed
+ * offset for zones without daylight saving time.
+ * @param {string} timeZone
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {string[]} - Content lines.
+ */
+function timeZoneLines(timeZone, startDate, endDate) {
+    const from = new Date(Date.UTC(startDate.getFullYear() - 1, 0, 1));
+    const to = new Date(Date.UTC(endDate.getFullYear() + 1, 0, 1));
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const transitions = zoneTransitions(from, to, timeZone);
+    if (transitions.length === 0) {
+        const offset = formatOffset(zoneOffsetMinutes(from, timeZone));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`,
+            `TZNAME:${zoneAbbreviation(from, timeZone)}`, 'END:STANDARD');
+    }
+    for (const { time, offsetFrom, offsetTo } of transitions) {
+        // An observance starts at the wall time of the change on the old offset.
+        const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(`BEGIN:${kind}`, `DTSTART:${icsUtcTime(new Date(time.getTime() + offsetFrom * 60000)).slice(0, -1)}`,
+            `TZOFFSETFROM:${formatOffset(offsetFrom)}`, `TZOFFSETTO:${formatOffset(offsetTo)}`,
+            `TZNAME:${zoneAbbreviation(time, timeZone)}`, `END:${kind}`);
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+// Numbers events of each type within their day, for UIDs.
+function ordinals() {
+    const counts = new Map();
+    return (type, day) => {
+        const key = `${type} ${day}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+        return counts.get(key);
+    };
+}
+
+/**
+ * A tide station's high and low waters as calendar events.
+ * @param {object} station - Region tide station.
+ * @param {Array<object>} predictions - NOAA hilo records ({t, v, type}).
+ * @param {string[]} types - Event types to keep ("high", "low").
+ * @param {object} [units] - The predictions' units (see units.js; default feet above MLLW).
+ * @returns {Array<object>} - Events (see calendarText).
+ */
+function tideEvents(station, predictions, types, units = resolveUnits()) {
+    const next = ordinals();
+    const source = station.reference
+        ? `derived from NOAA station ${station.reference} by time and height offsets`
+        : `NOAA station ${station.id}`;
+    return predictions.flatMap(p => {
+        const type = p.type === 'H' ? 'high' : 'low';
+        const day = p.t.slice(0, 10);
+        if (!types.includes(type)) return [];
+        const uid = `${type}-${station.id}-${icsDate(day)}-${next(type, day)}@${UID_DOMAIN}`;
+        const height = parseFloat(p.v).toFixed(1);
+        return [{
+            uid,
+            start: p.t,
+            summary: `${station.name}: ${type} ${height} ${units.height}`,
+            description: `Predicted ${type} water at ${station.name} (${source}): ${height} ${units.height} above ${units.datum}.`,
+        }];
+    });
+}
+
+/**
+ * A current station's maximum floods and ebbs and its slacks as calendar
+ * events. A slack spans its slack window when the series found one.
+ * @param {object} station - Region current station.
+ * @param {Array<object>} records - NOAA max_slack records.
+ * @param {Array<object>} windows - The station's slack windows (see slackWindows).
+ * @param {string[]} types - Event types to keep ("flood", "ebb", "slack").
+ * @param {object} [units] - The records' speed unit and the clock for summaries (see units.js).
+ * @returns {Array<object>} - Events (see calendarText).
+ */
+function currentEvents(station, records, windows, types, units = resolveUnits()) {
+    const next = ordinals();
+    const threshold = formatKnots(station.slackThreshold ?? DEFAULT_SLACK_THRESHOLD, units);
+    const clock = time => formatClockTime(time, units.clock);
+    return records.flatMap(p => {
+        const type = p.Type;
+        const day = p.Time.slice(0, 10);
+        if (!types.includes(type)) return [];
+        const uid = `${type}-${station.id}-${icsDate(day)}-${next(type, day)}@${UID_DOMAIN}`;
+        if (type === 'slack') {
+            const window = windows.find(w => w.start <= p.Time && p.Time <= w.end);
+            return [{
+                uid,
+                start: window ? window.start : p.Time,
+                end: window && window.end > window.start ? window.end : undefined,
+                summary: `${station.name}: slack ${clock(p.Time)}`,
+                description: window
+                    ? `Slack water at ${station.name} (NOAA ${station.id}) at ${clock(p.Time)}; `
+                        + `the current runs under ${threshold} from ${clock(window.start)} to ${clock(window.end)}.`
+                    : `Slack water at ${station.name} (NOAA ${station.id}).`,
+            }];
+        }
+        const speed = Math.abs(parseFloat(p.Velocity_Major)).toFixed(1);
+        const direction = type === 'flood' ? p.meanFloodDir : p.meanEbbDir;
+        const setting = Number.isFinite(direction) ? `, setting ${Math.round(direction)}° true` : '';
+        return [{
+            uid,
+            start: p.Time,
+            summary: `${station.name}: max ${type} ${speed} ${units.speed}`,
+            description: `Maximum ${type} at ${station.name} (NOAA ${station.id}): ${speed} ${units.speed}${setting}.`,
+        }];
+    });
+}
+
+/**
+ * Sunrise and sunset at a station as one all-day event per day.
+ * @param {object} station - With latitude and longitude.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} timeZone
+ * @param {string} [clock] - "24" (default) or "12".
+ * @returns {Array<object>} - Events (see calendarText).
+ */
+function sunEvents(station, startDate, endDate, timeZone, clock = '24') {
+    const events = [];
+    for (let date = new Date(startDate); date <= endDate; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+        const day = formatDay(date);
+        const { sunrise, sunset } = sunTimes(date, station, timeZone);
+        const times = `sunrise ${formatClock(sunrise, timeZone, clock)}, sunset ${formatClock(sunset, timeZone, clock)}`;
+        events.push({
+            uid: `sun-${station.id}-${icsDate(day)}@${UID_DOMAIN}`,
+            start: day,
+            summary: `${station.name}: ${times}`,
+            description: `Sun at ${station.name}: ${times}.`,
+        });
+    }
+    return events;
+}
+
+/**
+ * The principal moon phases as all-day events on their local day, in a
+ * station's calendar.
+ * @param {{id: string}} station
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} timeZone
+ * @param {string} [clock] - "24" (default) or "12".
+ * @returns {Array<object>} - Events (see calendarText).
+ */
+function moonEvents(station, startDate, endDate, timeZone, clock = '24') {
+    const first = formatDay(startDate);
+    const last = formatDay(endDate);
+    const from = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - 1);
+    const to = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 2);
+    return principalPhases(from, to)
+        .map(phase => ({ phase, local: formatZoned(phase.time, timeZone) }))
+        .filter(({ local }) => local.slice(0, 10) >= first && local.slice(0, 10) <= last)
+        .map(({ phase, local }) => ({
+            uid: `moon-${station.id}-${icsDate(local.slice(0, 10))}@${UID_DOMAIN}`,
+            start: local.slice(0, 10),
+            summary: `${phase.name} ${formatClockTime(local, clock)}`,
+            description: `${phase.name} at ${formatClockTime(local, clock)} local time.`,
+        }));
+}
+
+/**
+ * Writes a calendar as iCalendar text. Timed events are in local time with
+ * the zone's VTIMEZONE; events whose `start` is a bare day are all-day. All
+ * events are transparent, so they never show as busy time.
+ * @param {object} calendar
+ * @param {string} calendar.name - Calendar name for clients that show one.
+ * @param {string} calendar.timeZone
+ * @param {Date} calendar.startDate
+ * @param {Date} calendar.endDate
+ * @param {Array<{uid: string, start: string, end?: string, summary: string, description: string}>} calendar.events -
+ *   Times as "YYYY-MM-DD HH:MM", days as "YYYY-MM-DD".
+ * @param {{name: string, latitude: number, longitude: number}} [calendar.location] - Where the events happen.
+ * @param {Date} [calendar.stamp] - DTSTAMP of every event (default now).
+ * @returns {string}
+ */
+function calendarText({ name, timeZone, startDate, endDate, events, location = null, stamp = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${timeZone}`,
+        ...timeZoneLines(timeZone, startDate, endDate),
+    ];
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${icsUtcTime(stamp)}`);
+        if (event.start.length === 10) {
+            const [year, month, day] = event.start.split('-').map(Number);
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(event.start)}`, `DTEND;VALUE=DATE:${icsDate(formatDay(new Date(year, month - 1, day + 1)))}`);
+        } else {
+            lines.push(`DTSTART;TZID=${timeZone}:${icsLocalTime(event.start)}`);
+            if (event.end) lines.push(`DTEND;TZID=${timeZone}:${icsLocalTime(event.end)}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`, `DESCRIPTION:${escapeText(event.description)}`);
+        if (location) {
+            lines.push(`LOCATION:${escapeText(location.name)}`, `GEO:${location.latitude.toFixed(4)};${location.longitude.toFixed(4)}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Writes one .ics file per station of the book: tide stations get their high
+ * and low waters, current stations their floods, ebbs and slacks, and each
+ * optionally the sun at the station and the moon phases.
+ * @param {object} book - From fetchBook.
+ * @param {object} [options]
+ * @param {string} [options.outDir] - Directory to write to (created if missing).
+ * @param {string[]} [options.types] - Event types (see EVENT_TYPES; default DEFAULT_EVENT_TYPES).
+ * @param {Date} [options.stamp] - DTSTAMP of every event (default now).
+ * @returns {Array<{file: string, station: string, events: number}>} - The files written.
+ */
+function writeCalendars(book, { outDir = DEFAULT_OUT_DIR, types = DEFAULT_EVENT_TYPES, stamp = new Date() } = {}) {
+    const { region, startDate, endDate, allTideData, allCurrentData, allSlackWindows, units } = book;
+    const { timeZone } = region;
+    const moon = station => (types.includes('moon') ? moonEvents(station, startDate, endDate, timeZone, units.clock) : []);
+    const sun = station => (types.includes('sun') ? sunEvents(station, startDate, endDate, timeZone, units.clock) : []);
+    const calendars = [
+        ...region.tideStations.map(station => ({
+            station,
+            kind: 'tides',
+            events: tideEvents(station, allTideData[station.name]?.predictions || [], types, units),
+        })),
+        ...region.currentStations.map(station => ({
+            station,
+            kind: 'currents',
+            events: currentEvents(station, allCurrentData[station.name]?.current_predictions?.cp || [], allSlackWindows[station.name] || [], types, units),
+        })),
+    ];
+    fs.mkdirSync(outDir, { recursive: true });
+    return calendars.map(({ station, kind, events }) => {
+        // All-day events sort ahead of the day's timed ones.
+        const all = [...events, ...sun(station), ...moon(station)].sort((a, b) => a.start.localeCompare(b.start));
+        const file = path.join(outDir, stationFileName(station, 'ics'));
+        fs.writeFileSync(file, calendarText({
+            name: `${station.name} ${kind}`, timeZone, startDate, endDate, events: all, location: station, stamp,
+        }));
+        return { file, station: station.name, events: all.length };
+    });
+}
+
+/**
+ * Fetches the book's data for a date range and writes its calendars.
+ * @param {object} [options]
+ * @param {Date} [options.startDate] - First day (defaults to Jan 1 of next year).
+ * @param {Date} [options.endDate] - Last day (defaults to Dec 31 of the start year).
+ * @param {object} [options.region] - Validated region (see region_config.js); defaults to Puget Sound.
+ * @param {string} [options.outDir] - Directory for the .ics files (default: calendars).
+ * @param {string[]} [options.types] - Event types (see EVENT_TYPES).
+ * @param {object} [options.fetch] - Cache, offline and concurrency settings (see fetch_data.js).
+ * @param {object} [options.units] - Units, datum and clock of the events' text (see units.js).
+ * @param {boolean} [options.strict] - Refuse to write calendars from incomplete data.
+ * @returns {Promise<Array<{file: string, station: string, events: number}>>}
+ */
+async function exportCalendars(options = {}) {
+    const startDate = options.startDate || new Date(new Date().getFullYear() + 1, 0, 1);
+    const endDate = options.endDate || new Date(startDate.getFullYear(), 11, 31);
+    if (endDate < startDate) throw new Error(`End date ${formatDay(endDate)} is before start date ${formatDay(startDate)}.`);
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const region = options.region || loadRegion();
+    // Calendars have no graphs, so skip the hourly tide series.
+    const { book } = await fetchBook({
+        region: { ...region, tideStations: region.tideStations.map(s => ({ ...s, graph: false })) },
+        startDate,
+        endDate,
+        fetch: options.fetch,
+        manifest: path.join(outDir, 'calendars.manifest.json'),
+        strict: Boolean(options.strict),
+        units: options.units,
+    });
+    return writeCalendars(book, { outDir, types: options.types });
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node ical_export.js [options]
+
+Writes an iCalendar (.ics) file per station with the events the book prints.
+Re-importing a newer export updates events instead of duplicating them.
+
+Options:
+  --region <name|file>        Region file, or the name of one in regions/ (default: puget_sound)
+${DATE_RANGE_USAGE}
+  --tide-station <name|id>    Tide station to export; repeat for several (default: all)
+  --current-station <name|id> Current station to export; repeat for several (default: all)
+  --types <types>             Comma-separated ${EVENT_TYPES.join(', ')}
+                              (default: ${DEFAULT_EVENT_TYPES.join(', ')})
+  --out-dir <dir>             Directory for the .ics files (default: ${DEFAULT_OUT_DIR})
+  --strict                    Refuse to write calendars if any request failed or any day is incomplete
+${FETCH_USAGE}
+${UNIT_USAGE}
+  -h, --help                  Show this help`;
+
+function parseCliOptions(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            region: { type: 'string' },
+            ...DATE_RANGE_CLI_OPTIONS,
+            'tide-station': { type: 'string', multiple: true },
+            'current-station': { type: 'string', multiple: true },
+            types: { type: 'string' },
+            'out-dir': { type: 'string' },
+            strict: { type: 'boolean' },
+            ...FETCH_CLI_OPTIONS,
+            ...UNIT_CLI_OPTIONS,
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) return null;
+
+    const options = { strict: Boolean(values.strict), units: unitsFromCli(values) };
+    Object.assign(options, dateRangeFromCli(values));
+    if (values.types !== undefined) {
+        options.types = values.types.split(',').map(type => type.trim());
+        for (const type of options.types) {
+            if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}". Known types: ${EVENT_TYPES.join(', ')}.`);
+        }
+    }
+    if (values['out-dir'] !== undefined) options.outDir = values['out-dir'];
+
+    options.fetch = fetchFromCli(values);
+
+    // Naming stations of one kind only exports those; the other kind is left out.
+    const region = loadRegion(values.region);
+    const tide = values['tide-station'];
+    const current = values['current-station'];
+    if (tide || current) {
+        region.tideStations = tide ? selectStations(tide, region.tideStations, 'tide') : [];
+        region.currentStations = current ? selectStations(current, region.currentStations, 'current') : [];
+    }
+    options.region = region;
+    return options;
+}
+
+async function main() {
+    const options = parseCliOptions(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    const written = await exportCalendars(options);
+    for (const { file, events } of written) console.log(`${file}: ${events} events`);
+}
+
+module.exports = {
+    exportCalendars,
+    writeCalendars,
+    calendarText,
+    timeZoneLines,
+    foldLine,
+    escapeText,
+    tideEvents,
+    currentEvents,
+    sunEvents,
+    moonEvents,
+    EVENT_TYPES,
+    DEFAULT_EVENT_TYPES
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
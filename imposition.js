@@ -0,0 +1,265 @@
+/*
+ * The renderers lay a book out as a list of pages, or null for a blank page.
+ * A page is an object:
+ *   draw          - Draws the page with its top-left corner at the origin.
+ *   bookmark      - Optional outline path, e.g. ["March 2025", "Friday, March 14"].
+ *   destinations  - Optional named destinations that links can jump to.
+ *   side          - Optional "left" or "right" when the page must face that way.
+ * This module puts them on paper: one PDF page per book page, or imposed two
+ * up on larger sheets that fold into signatures for binding.
+ */
+
+// Named sheet sizes in points, portrait.
+const SHEET_SIZES = {
+    letter: [612, 792],
+    legal: [612, 1008],
+    tabloid: [792, 1224],
+    a4: [595.28, 841.89],
+    a3: [841.89, 1190.55],
+    sra3: [907.09, 1275.59],
+};
+
+const BINDINGS = ['saddle', 'perfect'];
+const MARKS = ['crop', 'registration'];
+const DEFAULT_SIGNATURE_SHEETS = 4;
+
+// Beyond this a saddle-stitched book gets too thick to fold flat and its
+// inner pages creep out past the trim.
+const SADDLE_STITCH_MAX_PAGES = 64;
+
+// Crop marks start MARK_OFFSET outside the bleed and run MARK_LENGTH; SLUG is
+// all the room the marks and the sheet label need outside the bleed.
+const MARK_OFFSET = 3;
+const MARK_LENGTH = 12;
+const SLUG = MARK_OFFSET + MARK_LENGTH + 9;
+
+/**
+ * Parses a sheet size: a name from SHEET_SIZES or WIDTHxHEIGHT in points.
+ * @param {string} value
+ * @returns {[number, number]}
+ * @throws {Error}
+ */
+function parseSheetSize(value) {
+    const named = SHEET_SIZES[value.toLowerCase()];
+    if (named) return [...named];
+    const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i.exec(value);
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+        throw new Error(`Unknown sheet size "${value}". Use ${Object.keys(SHEET_SIZES).join(', ')} or WIDTHxHEIGHT in points.`);
+    }
+    return [Number(match[1]), Number(match[2])];
+}
+
+/**
+ * Checks a list of printer's marks.
+ * @param {string[]} marks
+ * @returns {string[]}
+ * @throws {Error} - On an unknown mark.
+ */
+function parseMarks(marks) {
+    for (const mark of marks) {
+        if (!MARKS.includes(mark)) throw new Error(`Unknown mark "${mark}". Known marks: ${MARKS.join(', ')}.`);
+    }
+    return marks;
+}
+
+/**
+ * Orders a book's pages onto folded sheets. Each sheet carries four pages,
+ * two on each side; the sheets of a signature nest inside one another and
+ * are folded together. A saddle-stitched book is a single signature, a
+ * perfect-bound one a stack of them. Page indexes past the end of the book
+ * are the blank pages that pad the last sheet.
+ * @param {number} pageCount
+ * @param {'saddle'|'perfect'} binding
+ * @param {number} [sheetsPerSignature] - For perfect binding.
+ * @returns {Array<Array<{front: [number, number], back: [number, number]}>>} -
+ *   Per signature, per sheet, the page indexes on each side, left to right.
+ */
+function signaturePlan(pageCount, binding, sheetsPerSignature = DEFAULT_SIGNATURE_SHEETS) {
+    const sheetCount = Math.ceil(pageCount / 4);
+    const perSignature = binding === 'saddle' ? sheetCount : sheetsPerSignature;
+    const signatures = [];
+    for (let firstSheet = 0; firstSheet < sheetCount; firstSheet += perSignature) {
+        const sheets = Math.min(perSignature, sheetCount - firstSheet);
+        const first = firstSheet * 4;
+        const last = first + sheets * 4 - 1;
+        signatures.push(Array.from({ length: sheets }, (_, s) => ({
+            front: [last - 2 * s, first + 2 * s],
+            back: [first + 2 * s + 1, last - 1 - 2 * s],
+        })));
+    }
+    return signatures;
+}
+
+/**
+ * The sheet an imposed book is printed on: the one asked for, turned to
+ * landscape if that is how the spread fits, or else just large enough.
+ * @param {{width: number, height: number}} page - The book's trim size.
+ * @param {object} print
+ * @param {[number, number]} [print.sheet]
+ * @param {number} [print.bleed]
+ * @param {string[]} [print.marks]
+ * @returns {[number, number]}
+ * @throws {Error} - When the spread does not fit the sheet.
+ */
+function imposedSheetSize(page, { sheet = null, bleed = 0, marks = MARKS }) {
+    const outside = bleed + (marks.length > 0 ? SLUG : 0);
+    const width = page.width * 2 + outside * 2;
+    const height = page.height + outside * 2;
+    if (!sheet) return [Math.ceil(width), Math.ceil(height)];
+    const [w, h] = sheet;
+    if (w >= width && h >= height) return [w, h];
+    if (h >= width && w >= height) return [h, w];
+    throw new Error(`A spread with its bleed and marks needs a ${Math.ceil(width)} x ${Math.ceil(height)} pt sheet; the sheet given is ${w} x ${h} pt.`);
+}
+
+/**
+ * Inserts a blank page before each page that would otherwise face the wrong
+ * way. The first page of a book is a right-hand page.
+ * @param {Array<object|null>} pages
+ * @returns {Array<object|null>}
+ */
+function alignPages(pages) {
+    const aligned = [];
+    for (const page of pages) {
+        const side = aligned.length % 2 === 0 ? 'right' : 'left';
+        if (page && page.side && page.side !== side) aligned.push(null);
+        aligned.push(page);
+    }
+    return aligned;
+}
+
+// Draws one book page at (x, y), moved toward its outside edge by the gutter,
+// and registers its destinations. Right-hand pages have odd page numbers,
+// i.e. even indexes.
+function placePage(doc, page, index, x, y, gutter) {
+    if (!page) return;
+    for (const name of page.destinations || []) doc.addNamedDestination(name);
+    doc.save();
+    doc.translate(x + (index % 2 === 0 ? gutter : -gutter), y);
+    page.draw();
+    doc.restore();
+}
+
+/**
+ * Outputs the pages one per PDF page, in book order, with an outline built
+ * from their bookmarks.
+ * @param {PDFDocument} doc - Sized to the book's pages, on its first page.
+ * @param {Array<object|null>} pages
+ * @param {object} [print]
+ * @param {number} [print.gutter] - How far each page's content moves toward its
+ *   outside edge, widening the inside margin by as much.
+ */
+function writeSequential(doc, pages, { gutter = 0 } = {}) {
+    // Outline items by their path, so pages can share parents such as a month.
+    const outline = new Map();
+    pages.forEach((page, index) => {
+        if (index > 0) doc.addPage();
+        let parent = doc.outline;
+        (page?.bookmark || []).forEach((title, depth) => {
+            const key = JSON.stringify(page.bookmark.slice(0, depth + 1));
+            if (!outline.has(key)) outline.set(key, parent.addItem(title));
+            parent = outline.get(key);
+        });
+        placePage(doc, page, index, 0, 0, gutter);
+    });
+}
+
+// Crop marks at the corners of the spread, dashed fold marks at the spine
+// and registration targets on all four sides.
+function drawMarks(doc, spread, bleed, marks) {
+    const { x, y, width, height } = spread;
+    const out = bleed + MARK_OFFSET;
+    doc.save();
+    doc.lineWidth(0.25).strokeColor('black');
+    if (marks.includes('crop')) {
+        for (const [cx, dx] of [[x, -1], [x + width, 1]]) {
+            for (const [cy, dy] of [[y, -1], [y + height, 1]]) {
+                doc.moveTo(cx + dx * out, cy).lineTo(cx + dx * (out + MARK_LENGTH), cy).stroke();
+                doc.moveTo(cx, cy + dy * out).lineTo(cx, cy + dy * (out + MARK_LENGTH)).stroke();
+            }
+        }
+        const spine = x + width / 2;
+        doc.dash(2, { space: 2 });
+        doc.moveTo(spine, y - out).lineTo(spine, y - out - MARK_LENGTH).stroke();
+        doc.moveTo(spine, y + height + out).lineTo(spine, y + height + out + MARK_LENGTH).stroke();
+        doc.undash();
+    }
+    if (marks.includes('registration')) {
+        const d = out + MARK_LENGTH / 2;
+        const targets = [
+            [x - d, y + height / 2], [x + width + d, y + height / 2],
+            [x + width / 4, y - d], [x + width * 3 / 4, y + height + d],
+        ];
+        for (const [cx, cy] of targets) {
+            doc.circle(cx, cy, MARK_LENGTH / 4).stroke();
+            doc.moveTo(cx - MARK_LENGTH / 2, cy).lineTo(cx + MARK_LENGTH / 2, cy).stroke();
+            doc.moveTo(cx, cy - MARK_LENGTH / 2).lineTo(cx, cy + MARK_LENGTH / 2).stroke();
+        }
+    }
+    doc.restore();
+}
+
+/**
+ * Outputs the pages imposed two up on folding sheets (see signaturePlan),
+ * each spread centered on its sheet. Pages bleed on the three edges that are
+ * trimmed; the fold has none. Imposed sheets get no outline, since their
+ * pages are out of order, but links still reach their destinations.
+ * @param {PDFDocument} doc - Sized to the sheet (see imposedSheetSize), on its first page.
+ * @param {Array<object|null>} pages
+ * @param {object} print
+ * @param {{width: number, height: number}} print.page - The book's trim size.
+ * @param {'saddle'|'perfect'} print.binding
+ * @param {number} [print.sheetsPerSignature]
+ * @param {number} [print.bleed]
+ * @param {string[]} [print.marks]
+ * @param {number} [print.gutter] - See writeSequential.
+ * @returns {{signatures: number, sheets: number, blanks: number}}
+ */
+function writeImposed(doc, pages, { page, binding, sheetsPerSignature, bleed = 0, marks = MARKS, gutter = 0 }) {
+    const plan = signaturePlan(pages.length, binding, sheetsPerSignature);
+    const spread = {
+        x: (doc.page.width - page.width * 2) / 2,
+        y: (doc.page.height - page.height) / 2,
+        width: page.width * 2,
+        height: page.height,
+    };
+    let sides = 0;
+    plan.forEach((sheets, signature) => sheets.forEach((sheet, sheetIndex) => {
+        for (const side of ['front', 'back']) {
+            if (sides++ > 0) doc.addPage();
+            sheet[side].forEach((index, slot) => {
+                const left = spread.x + slot * page.width;
+                doc.save();
+                doc.rect(slot === 0 ? left - bleed : left, spread.y - bleed, page.width + bleed, page.height + bleed * 2).clip();
+                placePage(doc, pages[index], index, left, spread.y, gutter);
+                doc.restore();
+            });
+            if (marks.length > 0) {
+                drawMarks(doc, spread, bleed, marks);
+                doc.fontSize(5).font('regular').fillColor('black')
+                   .text(`signature ${signature + 1}/${plan.length}  sheet ${sheetIndex + 1}/${sheets.length} ${side}  pages ${sheet[side].map(i => i + 1).join(', ')}`,
+                       spread.x + MARK_LENGTH, spread.y + spread.height + bleed + MARK_OFFSET + 2, { lineBreak: false });
+            }
+        }
+    }));
+    return {
+        signatures: plan.length,
+        sheets: sides / 2,
+        blanks: sides * 2 - pages.filter(Boolean).length,
+    };
+}
+
+module.exports = {
+    alignPages,
+    writeSequential,
+    writeImposed,
+    signaturePlan,
+    imposedSheetSize,
+    parseSheetSize,
+    parseMarks,
+    BINDINGS,
+    MARKS,
+    SHEET_SIZES,
+    DEFAULT_SIGNATURE_SHEETS,
+    SADDLE_STITCH_MAX_PAGES
+};
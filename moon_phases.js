@@ -1,12 +1,171 @@
-const moonPhases = {
-    // Paths are for a 100x100 viewbox, centered at (50,50).
-    // They will be scaled and translated to the correct position and size.
-    waxing_crescent: "M 50 0 A 50 50 0 0 1 50 100 A 30 50 0 0 0 50 0 Z",
-    first_quarter: "M 50 0 L 50 100 A 50 50 0 0 0 50 0 Z",
-    waxing_gibbous: "M 50 0 A 50 50 0 0 1 50 100 A -30 50 0 0 1 50 0 Z",
-    waning_gibbous: "M 50 0 A 50 50 0 0 0 50 100 A -30 50 0 0 0 50 0 Z",
-    last_quarter: "M 50 0 L 50 100 A 50 50 0 0 1 50 0 Z",
-    waning_crescent: "M 50 0 A 50 50 0 0 0 50 100 A 30 50 0 0 1 50 0 Z",
-};
+const DEG = Math.PI / 180;
+
+const PHASE_NAMES = ['New Moon', 'First Quarter', 'Full Moon', 'Last Quarter'];
+
+// Periodic terms of Meeus, "Astronomical Algorithms" (2nd ed.), ch. 49, as
+// [coefficient, power of E, multiples of M, M', F, Omega].
+const NEW_MOON_TERMS = [
+    [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+    [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+    [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+    [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+    [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+    [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+    [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+    [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+    [0.00002, 0, 0, 4, 0, 0],
+];
+const FULL_MOON_TERMS = [
+    [-0.40614, 0, 0, 1, 0, 0], [0.17302, 1, 1, 0, 0, 0], [0.01614, 0, 0, 2, 0, 0],
+    [0.01043, 0, 0, 0, 2, 0], [0.00734, 1, -1, 1, 0, 0], [-0.00515, 1, 1, 1, 0, 0],
+    [0.00209, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+    [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+    [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+    [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+    [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+    [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+    [0.00002, 0, 0, 4, 0, 0],
+];
+const QUARTER_TERMS = [
+    [-0.62801, 0, 0, 1, 0, 0], [0.17172, 1, 1, 0, 0, 0], [-0.01183, 1, 1, 1, 0, 0],
+    [0.00862, 0, 0, 2, 0, 0], [0.00804, 0, 0, 0, 2, 0], [0.00454, 1, -1, 1, 0, 0],
+    [0.00204, 2, 2, 0, 0, 0], [-0.00180, 0, 0, 1, -2, 0], [-0.00070, 0, 0, 1, 2, 0],
+    [-0.00040, 0, 0, 3, 0, 0], [-0.00034, 1, -1, 2, 0, 0], [0.00032, 1, 1, 0, 2, 0],
+    [0.00032, 1, 1, 0, -2, 0], [-0.00028, 2, 2, 1, 0, 0], [0.00027, 1, 1, 2, 0, 0],
+    [-0.00017, 0, 0, 0, 0, 1], [-0.00005, 0, -1, 1, -2, 0], [0.00004, 0, 0, 2, 2, 0],
+    [-0.00004, 0, 1, 1, 2, 0], [0.00004, 0, -2, 1, 0, 0], [0.00003, 0, 1, 1, -2, 0],
+    [0.00003, 0, 3, 0, 0, 0], [0.00002, 0, 0, 2, -2, 0], [0.00002, 0, -1, 1, 2, 0],
+    [-0.00002, 0, 1, 3, 0, 0],
+];
+// Planetary arguments A1..A14: [constant, rate per lunation, coefficient].
+const PLANETARY_TERMS = [
+    [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+    [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+    [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+    [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+    [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023],
+];
+
+/**
+ * The instant of one principal moon phase, accurate to about a minute.
+ * @param {number} k - Lunation number from the new moon of 2000 Jan 6; the
+ *   fraction selects the phase (.0 new, .25 first quarter, .5 full, .75 last quarter).
+ * @returns {Date}
+ */
+function phaseTime(k) {
+    const T = k / 1236.85;
+    let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+    const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+    const M = (2.5534 + 29.10535670 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * DEG;
+    const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * DEG;
+    const F = (160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * DEG;
+    const omega = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * DEG;
+
+    const quarter = Math.round((k - Math.floor(k)) * 4) % 4;
+    const terms = quarter === 0 ? NEW_MOON_TERMS : quarter === 2 ? FULL_MOON_TERMS : QUARTER_TERMS;
+    for (const [c, e, m, mp, f, o] of terms) {
+        jde += c * E ** e * Math.sin(m * M + mp * Mp + f * F + o * omega);
+    }
+    if (quarter === 1 || quarter === 3) {
+        const W = 0.00306 - 0.00038 * E * Math.cos(M) + 0.00026 * Math.cos(Mp) - 0.00002 * Math.cos(Mp - M)
+            + 0.00002 * Math.cos(Mp + M) + 0.00002 * Math.cos(2 * F);
+        jde += quarter === 1 ? W : -W;
+    }
+    const A1 = (299.77 + 0.107408 * k - 0.009173 * T ** 2) * DEG;
+    jde += PLANETARY_TERMS[0][2] * Math.sin(A1);
+    for (const [a, rate, c] of PLANETARY_TERMS.slice(1)) jde += c * Math.sin((a + rate * k) * DEG);
+
+    // JDE is Terrestrial Time; subtract Delta T (NASA's 2005-2050 polynomial) for UT.
+    const year = 2000 + k / 12.3685;
+    const deltaT = 62.92 + 0.32217 * (year - 2000) + 0.005589 * (year - 2000) ** 2;
+    return new Date((jde - 2440587.5) * 86400000 - deltaT * 1000);
+}
+
+/**
+ * Lists the new moons, quarters and full moons between two instants.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array<{name: string, time: Date}>} - In time order.
+ */
+function principalPhases(start, end) {
+    const lunations = date => (date.getTime() / 86400000 + 2440587.5 - 2451550.09766) / 29.530588861;
+    const phases = [];
+    for (let k = Math.floor(lunations(start)) - 1; k <= Math.ceil(lunations(end)) + 1; k++) {
+        for (let quarter = 0; quarter < 4; quarter++) {
+            const time = phaseTime(k + quarter / 4);
+            if (time >= start && time < end) phases.push({ name: PHASE_NAMES[quarter], time });
+        }
+    }
+    return phases.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Describes the moon between its principal phases, e.g. "Waxing Gibbous".
+ * @param {{fraction: number, phase: number}} illumination - From SunCalc.getMoonIllumination.
+ * @returns {string}
+ */
+function intermediatePhaseName(illumination) {
+    const waxing = illumination.phase < 0.5;
+    const shape = illumination.fraction < 0.5 ? 'Crescent' : 'Gibbous';
+    return `${waxing ? 'Waxing' : 'Waning'} ${shape}`;
+}
 
-module.exports = moonPhases;
+/**
+ * SVG path of the lit part of the moon: the lit half-disk, closed by the
+ * terminator, which is a half-ellipse whose width follows the illuminated
+ * fraction.
+ * @param {number} cx - Center x.
+ * @param {number} cy - Center y.
+ * @param {number} r - Radius.
+ * @param {number} fraction - Illuminated fraction, 0 to 1.
+ * @param {boolean} litOnRight - True for a waxing moon seen from the northern
+ *   hemisphere, or a waning one seen from the southern.
+ * @returns {string|null} - Null when nothing is lit.
+ */
+function litPath(cx, cy, r, fraction, litOnRight) {
+    if (fraction <= 0.005) return null;
+    // Terminator half-width; the ellipse bulges toward the dark side once past half.
+    const rx = Math.abs(1 - 2 * fraction) * r;
+    const gibbous = fraction > 0.5;
+    const limbSweep = litOnRight ? 1 : 0;
+    const terminatorSweep = gibbous === litOnRight ? 1 : 0;
+    const top = `${cx} ${cy - r}`;
+    const bottom = `${cx} ${cy + r}`;
+    // At exactly half lit the terminator is the straight vertical diameter.
+    const terminator = rx < 0.01 ? `L ${top}` : `A ${rx} ${r} 0 0 ${terminatorSweep} ${top}`;
+    return `M ${top} A ${r} ${r} 0 0 ${limbSweep} ${bottom} ${terminator} Z`;
+}
+
+/**
+ * Draws the moon as it appears that day: a dark disk with the lit part laid
+ * over it, its terminator following the illuminated fraction.
+ * @param {PDFDocument} doc - The PDF document instance.
+ * @param {number} x - The x-coordinate for the center of the icon.
+ * @param {number} y - The y-coordinate for the center of the icon.
+ * @param {{fraction: number, phase: number}} illumination - From SunCalc.getMoonIllumination.
+ * @param {number} radius - The radius of the moon icon.
+ * @param {number} [latitude] - Observer latitude; the moon appears mirrored south of the equator.
+ */
+function drawMoonIcon(doc, x, y, illumination, radius, latitude = 0) {
+    doc.save();
+
+    const light = '#E0E0E0';
+    const dark = '#201F24';
+
+    doc.circle(x, y, radius).fill(dark);
+
+    const waxing = illumination.phase < 0.5;
+    const path = litPath(x, y, radius, illumination.fraction, waxing === (latitude >= 0));
+    if (path) doc.path(path).fill(light);
+
+    doc.restore();
+}
+
+module.exports = {
+    principalPhases,
+    phaseTime,
+    intermediatePhaseName,
+    litPath,
+    drawMoonIcon,
+    PHASE_NAMES
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.noaa_cache');
+
+// Request parameters that determine the response. `application` and `format`
+// are left out on purpose: they do not change the predictions.
+const KEY_PARAMS = ['station', 'product', 'interval', 'datum', 'units', 'time_zone', 'bin', 'begin_date', 'end_date'];
+
+/**
+ * Thrown in offline mode when a request has no cached response.
+ */
+class CacheMissError extends Error {
+    constructor(params) {
+        const what = [params.product, params.interval].filter(Boolean).join('/');
+        const span = params.begin_date ? ` (${params.begin_date} to ${params.end_date})` : '';
+        super(`Offline: no cached ${what} data for station ${params.station}${span}. Run once online to fill the cache.`);
+        this.name = 'CacheMissError';
+        this.params = params;
+    }
+}
+
+// Picks the identifying parameters, in a fixed order, as strings.
+function keyParams(params) {
+    const picked = {};
+    for (const name of KEY_PARAMS) {
+        if (params[name] !== undefined) picked[name] = String(params[name]);
+    }
+    return picked;
+}
+
+/**
+ * Hashes the identifying request parameters into a cache key.
+ * @param {object} params - NOAA query parameters.
+ * @returns {string}
+ */
+function cacheKey(params) {
+    return crypto.createHash('sha1').update(JSON.stringify(keyParams(params))).digest('hex');
+}
+
+/**
+ * A directory of NOAA responses, one JSON file per request, grouped in a
+ * subdirectory per station so a station can be inspected or dropped on its own.
+ */
+class ResponseCache {
+    /**
+     * @param {string} [dir] - Cache directory (default: .noaa_cache next to this file).
+     */
+    constructor(dir = DEFAULT_CACHE_DIR) {
+        this.dir = dir;
+    }
+
+    fileFor(params) {
+        return path.join(this.dir, String(params.station), `${cacheKey(params)}.json`);
+    }
+
+    /**
+     * @param {object} params - NOAA query parameters.
+     * @returns {object|undefined} - The cached response data, if any.
+     */
+    get(params) {
+        let text;
+        try {
+            text = fs.readFileSync(this.fileFor(params), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+        try {
+            return JSON.parse(text).data;
+        } catch (error) {
+            // A truncated file is treated as a miss and overwritten on the next fetch.
+            return undefined;
+        }
+    }
+
+    /**
+     * Stores a successful response. Written to a temporary file first so an
+     * interrupted run never leaves a half-written entry behind.
+     * @param {object} params - NOAA query parameters.
+     * @param {object} data - The response data.
+     */
+    set(params, data) {
+        const file = this.fileFor(params);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const entry = { params: keyParams(params), fetchedAt: new Date().toISOString(), data };
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entry));
+        fs.renameSync(tmp, file);
+    }
+
+    /**
+     * Lists cached entries without their data.
+     * @param {object} [filter] - Optional `station`, `product`, `interval` and
+     *   `olderThanDays` to narrow the listing.
+     * @returns {Array<{file: string, params: object, fetchedAt: string, bytes: number}>}
+     */
+    entries(filter = {}) {
+        let stations;
+        try {
+            stations = fs.readdirSync(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        if (filter.station) stations = stations.filter(s => s === filter.station);
+        const cutoff = filter.olderThanDays !== undefined ? Date.now() - filter.olderThanDays * 86400000 : null;
+        const result = [];
+        for (const station of stations) {
+            const stationDir = path.join(this.dir, station);
+            for (const name of fs.readdirSync(stationDir)) {
+                if (!name.endsWith('.json')) continue;
+                const file = path.join(stationDir, name);
+                let entry;
+                try {
+                    entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    entry = { params: { station }, fetchedAt: null };
+                }
+                const { params, fetchedAt } = entry;
+                if (filter.product && params.product !== filter.product) continue;
+                if (filter.interval && params.interval !== filter.interval) continue;
+                if (cutoff !== null && fetchedAt && Date.parse(fetchedAt) > cutoff) continue;
+                result.push({ file, params, fetchedAt, bytes: fs.statSync(file).size });
+            }
+        }
+        return result.sort((a, b) =>
+            `${a.params.station}${a.params.product}${a.params.interval}${a.params.begin_date}`
+                .localeCompare(`${b.params.station}${b.params.product}${b.params.interval}${b.params.begin_date}`));
+    }
+
+    /**
+     * Deletes cached entries matching `filter` (see entries()); everything when
+     * no filter is given.
+     * @returns {number} - How many entries were removed.
+     */
+    clear(filter = {}) {
+        const doomed = this.entries(filter);
+        for (const { file } of doomed) fs.unlinkSync(file);
+        for (const station of new Set(doomed.map(e => path.dirname(e.file)))) {
+            if (fs.readdirSync(station).length === 0) fs.rmdirSync(station);
+        }
+        return doomed.length;
+    }
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node noaa_cache.js <list|stats|clear> [options]
+
+Commands:
+  list     Print one line per cached response
+  stats    Summarize the cache per station
+  clear    Delete cached responses (all of them unless filtered)
+
+Options:
+  --cache-dir <dir>         Cache directory (default: ${path.relative(process.cwd(), DEFAULT_CACHE_DIR) || '.'})
+  --station <id>            Only entries for this NOAA station ID
+  --product <name>          Only this product, e.g. predictions or currents_predictions
+  --interval <name>         Only this interval, e.g. hilo, h or max_slack
+  --older-than <days>       Only entries fetched more than this many days ago`;
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'cache-dir': { type: 'string' },
+            station: { type: 'string' },
+            product: { type: 'string' },
+            interval: { type: 'string' },
+            'older-than': { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    const command = positionals[0];
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    const cache = new ResponseCache(values['cache-dir'] ? path.resolve(values['cache-dir']) : DEFAULT_CACHE_DIR);
+    const filter = { station: values.station, product: values.product, interval: values.interval };
+    if (values['older-than'] !== undefined) {
+        filter.olderThanDays = Number(values['older-than']);
+        if (!(filter.olderThanDays >= 0)) throw new Error(`--older-than expects a number of days, got "${values['older-than']}".`);
+    }
+
+    if (command === 'list') {
+        for (const { params, fetchedAt, bytes } of cache.entries(filter)) {
+            const bin = params.bin ? ` bin ${params.bin}` : '';
+            const what = [params.product, params.interval].filter(Boolean).join('/');
+            // Metadata entries (such as a station's bin list) cover no date range.
+            const span = params.begin_date ? `${params.begin_date}-${params.end_date}` : '-';
+            console.log(`${params.station}${bin}  ${what}  ${span}  ${params.datum || '-'} ${params.units || '-'}  fetched ${fetchedAt || 'unknown'}  ${bytes} B`);
+        }
+    } else if (command === 'stats') {
+        const byStation = new Map();
+        for (const { params, bytes } of cache.entries(filter)) {
+            const stats = byStation.get(params.station) || { entries: 0, bytes: 0 };
+            stats.entries++;
+            stats.bytes += bytes;
+            byStation.set(params.station, stats);
+        }
+        let total = 0;
+        for (const [station, stats] of byStation) {
+            console.log(`${station}: ${stats.entries} responses, ${(stats.bytes / 1024).toFixed(1)} KiB`);
+            total += stats.entries;
+        }
+        console.log(`${total} cached responses for ${byStation.size} stations in ${cache.dir}`);
+    } else if (command === 'clear') {
+        console.log(`Removed ${cache.clear(filter)} cached responses.`);
+    } else {
+        throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    CacheMissError,
+    cacheKey,
+    DEFAULT_CACHE_DIR
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,195 @@
+const fs = require('fs');
+
+/**
+ * The fallbacks a day's page can take when a column does not fit, in the
+ * order they are tried by default. Each one changes the style every block is
+ * measured and drawn with; "continue" instead spills the blocks that do not
+ * fit onto continuation pages.
+ */
+const OVERFLOW_STEPS = {
+    tighten: {
+        label: 'tighter spacing',
+        apply: style => ({
+            ...style,
+            sizes: { ...style.sizes, lineSpacing: 0, stationSpacing: 1, graphBottomMargin: 1 },
+        }),
+    },
+    shrink: {
+        label: 'smaller data font',
+        apply: style => ({
+            ...style,
+            sizes: {
+                ...style.sizes,
+                data: style.sizes.data - 1,
+                stationName: style.sizes.stationName - 1,
+                stationDetail: style.sizes.stationDetail - 0.5,
+                tideLineHeight: style.sizes.tideLineHeight - 1,
+            },
+        }),
+    },
+    'drop-graphs': {
+        label: 'graphs dropped',
+        apply: style => ({ ...style, graphs: false }),
+    },
+    continue: {
+        label: 'continuation page',
+    },
+};
+
+const DEFAULT_OVERFLOW_POLICY = ['tighten', 'shrink', 'drop-graphs', 'continue'];
+
+/**
+ * Checks an overflow policy given as step names.
+ * @param {string[]} policy
+ * @returns {string[]}
+ * @throws {Error} - On an unknown or repeated step.
+ */
+function parseOverflowPolicy(policy) {
+    const seen = new Set();
+    for (const step of policy) {
+        if (!OVERFLOW_STEPS[step]) {
+            throw new Error(`Unknown overflow step "${step}". Known steps: ${Object.keys(OVERFLOW_STEPS).join(', ')}.`);
+        }
+        if (seen.has(step)) throw new Error(`Overflow step "${step}" is listed twice.`);
+        seen.add(step);
+    }
+    return policy;
+}
+
+/*
+ * A block is a function `(doc, y, style, draw) => height`: it lays itself out
+ * from `y` with the given style, draws only when `draw` is true, and returns
+ * the height it took either way. Measuring and drawing share one code path,
+ * so a measured block always draws to the measured height.
+ */
+
+/**
+ * @param {PDFDocument} doc
+ * @param {Array<Function>} blocks
+ * @param {object} style
+ * @returns {number} - Total height of the blocks, stacked.
+ */
+function measureBlocks(doc, blocks, style) {
+    return blocks.reduce((sum, block) => sum + block(doc, 0, style, false), 0);
+}
+
+// Splits a column's blocks into pages: `firstHeight` is the room on the day's
+// own page, `nextHeight` on each continuation page. A block never straddles
+// pages; one taller than a whole page gets a page of its own.
+function paginate(doc, blocks, style, firstHeight, nextHeight) {
+    const pages = [[]];
+    let room = firstHeight;
+    for (const block of blocks) {
+        const height = block(doc, 0, style, false);
+        const page = pages[pages.length - 1];
+        if (height > room && page.length > 0) {
+            pages.push([block]);
+            room = nextHeight - height;
+        } else {
+            page.push(block);
+            room -= height;
+        }
+    }
+    return pages;
+}
+
+/**
+ * Decides how a day's columns fit: applies the policy's fallbacks in order
+ * until every column fits on the page, spilling onto continuation pages if
+ * the policy allows it.
+ * @param {PDFDocument} doc - Used for measuring text only.
+ * @param {Array<Array<Function>>} columns - Each column's blocks, top to bottom.
+ * @param {object} style - Base style: `sizes` and `graphs`.
+ * @param {object} page
+ * @param {number} page.firstHeight - Room for the columns on the day's page.
+ * @param {number} page.nextHeight - Room on a continuation page.
+ * @param {string[]} [policy] - Overflow steps to try, in order.
+ * @returns {{style: object, fallbacks: string[], overflow: boolean, pages: Array<Array<Array<Function>>>}} -
+ *   The style to draw with, the steps taken, whether a column still runs off
+ *   the page, and the blocks per page and column.
+ */
+function layoutDay(doc, columns, style, page, policy = DEFAULT_OVERFLOW_POLICY) {
+    const fits = s => columns.every(blocks => measureBlocks(doc, blocks, s) <= page.firstHeight);
+    const fallbacks = [];
+    let current = style;
+    for (const step of policy) {
+        if (fits(current)) break;
+        if (step === 'continue') {
+            const split = columns.map(blocks => paginate(doc, blocks, current, page.firstHeight, page.nextHeight));
+            const pageCount = Math.max(...split.map(p => p.length));
+            const pages = [];
+            for (let i = 0; i < pageCount; i++) pages.push(split.map(p => p[i] || []));
+            fallbacks.push(step);
+            return { style: current, fallbacks, overflow: false, pages };
+        }
+        current = OVERFLOW_STEPS[step].apply(current);
+        fallbacks.push(step);
+    }
+    return { style: current, fallbacks, overflow: !fits(current), pages: [columns] };
+}
+
+/**
+ * Draws a column's blocks top to bottom.
+ * @param {PDFDocument} doc
+ * @param {Array<Function>} blocks
+ * @param {number} y - Top of the column.
+ * @param {object} style
+ * @returns {number} - The y after the last block.
+ */
+function drawBlocks(doc, blocks, y, style) {
+    for (const block of blocks) y += block(doc, y, style, true);
+    return y;
+}
+
+/**
+ * Collects the days whose pages needed a fallback, for the editors: a day
+ * that needs one usually means the station list is too long for the page.
+ */
+class LayoutReport {
+    constructor() {
+        this.days = [];
+    }
+
+    /**
+     * @param {string} day - YYYY-MM-DD.
+     * @param {object} result - From layoutDay.
+     */
+    record(day, result) {
+        if (result.fallbacks.length === 0 && !result.overflow) return;
+        this.days.push({ day, fallbacks: result.fallbacks, overflow: result.overflow, pages: result.pages.length });
+    }
+
+    /**
+     * @returns {string[]} - One line per adjusted day.
+     */
+    lines() {
+        return this.days.map(d => {
+            const steps = d.fallbacks.map(step => OVERFLOW_STEPS[step].label);
+            if (d.pages > 1) steps[steps.length - 1] = `${d.pages - 1} continuation page${d.pages > 2 ? 's' : ''}`;
+            if (d.overflow) steps.push('STILL OVERFLOWS');
+            return `${d.day}: ${steps.join(', ')}`;
+        });
+    }
+
+    toJSON() {
+        return { adjustedDays: this.days.length, days: this.days };
+    }
+
+    /**
+     * @param {string} file
+     */
+    write(file) {
+        fs.writeFileSync(file, `${JSON.stringify(this, null, 2)}\n`);
+    }
+}
+
+module.exports = {
+    layoutDay,
+    drawBlocks,
+    measureBlocks,
+    paginate,
+    parseOverflowPolicy,
+    LayoutReport,
+    OVERFLOW_STEPS,
+    DEFAULT_OVERFLOW_POLICY
+};
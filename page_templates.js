@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOverflowPolicy } = require('./page_layout.js');
+
+// Directory holding the bundled templates, e.g. templates/pocket.json.
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_TEMPLATE = 'pocket';
+
+const LAYOUTS = ['daily', 'weekly'];
+const TEMPLATE_KEYS = ['title', 'extends', 'layout', 'page', 'fonts', 'sizes', 'columnSplit', 'graphs', 'maxStations', 'overflow'];
+const PAGE_KEYS = ['width', 'height', 'margin'];
+const FONT_ROLES = ['regular', 'bold', 'italic'];
+const MAX_STATION_KEYS = ['tide', 'current'];
+
+// The sizes each layout reads, in points.
+const SIZE_KEYS = {
+    daily: [
+        'headerLg', 'headerSm', 'title', 'stationName', 'stationDetail', 'data', 'lineSpacing',
+        'stationSpacing', 'graphHeight', 'graphBottomMargin', 'tideLineHeight', 'moonIconRadius',
+    ],
+    weekly: ['headerLg', 'headerSm', 'title', 'stationName', 'data', 'lineSpacing'],
+};
+const ALL_SIZE_KEYS = [...new Set(Object.values(SIZE_KEYS).flat())];
+
+// The fonts every PDF reader has; anything else must be a font file to embed.
+const STANDARD_FONTS = [
+    'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+    'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+    'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+];
+const FONT_FILE_PATTERN = /\.(ttf|otf)$/i;
+
+/**
+ * Thrown when a template file cannot be read or does not describe a valid
+ * template. `problems` lists every issue found, not just the first.
+ */
+class TemplateConfigError extends Error {
+    constructor(source, problems) {
+        super(`Invalid page template ${source}:\n${problems.map(p => `    - ${p}`).join('\n')}`);
+        this.name = 'TemplateConfigError';
+        this.problems = problems;
+    }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Reports keys the schema does not know about, which are usually typos.
+function checkKeys(value, allowed, where, problems) {
+    for (const key of Object.keys(value)) {
+        if (!allowed.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+}
+
+function resolveTemplatePath(nameOrPath = DEFAULT_TEMPLATE) {
+    if (/[\\/]|\.json$/i.test(nameOrPath)) return path.resolve(nameOrPath);
+    return path.join(TEMPLATES_DIR, `${nameOrPath.replace(/-/g, '_')}.json`);
+}
+
+function readTemplateFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new TemplateConfigError(file, [`cannot read file (${error.code || error.message})`]);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new TemplateConfigError(file, [`not valid JSON: ${error.message}`]);
+    }
+}
+
+/**
+ * Checks a complete template (after any `extends` is merged in) and returns
+ * a normalized copy. Font files must already be absolute or relative to the
+ * working directory.
+ * @param {object} config
+ * @param {string} [source] - File name for error messages.
+ * @returns {object} - The validated template.
+ * @throws {TemplateConfigError}
+ */
+function validateTemplate(config, source = 'template') {
+    const problems = [];
+    if (!isObject(config)) throw new TemplateConfigError(source, ['the top level must be a JSON object']);
+
+    checkKeys(config, TEMPLATE_KEYS, 'template', problems);
+    if (typeof config.title !== 'string' || config.title.trim() === '') problems.push('missing "title"');
+    if (!LAYOUTS.includes(config.layout)) problems.push(`"layout" must be one of ${LAYOUTS.join(', ')}`);
+
+    if (!isObject(config.page)) {
+        problems.push('missing "page" (width, height, margin)');
+    } else {
+        checkKeys(config.page, PAGE_KEYS, 'page', problems);
+        for (const key of PAGE_KEYS) {
+            if (!isPositive(config.page[key])) problems.push(`page: "${key}" must be a positive number of points`);
+        }
+        if (PAGE_KEYS.every(key => isPositive(config.page[key])) && config.page.margin * 4 >= Math.min(config.page.width, config.page.height)) {
+            problems.push('page: "margin" leaves no room for the page content');
+        }
+    }
+
+    if (!isObject(config.fonts)) {
+        problems.push(`missing "fonts" (${FONT_ROLES.join(', ')})`);
+    } else {
+        checkKeys(config.fonts, FONT_ROLES, 'fonts', problems);
+        for (const role of FONT_ROLES) {
+            const font = config.fonts[role];
+            if (typeof font !== 'string') {
+                problems.push(`fonts: missing "${role}"`);
+            } else if (!STANDARD_FONTS.includes(font)) {
+                if (!FONT_FILE_PATTERN.test(font)) {
+                    problems.push(`fonts: "${role}" must be a standard PDF font (${STANDARD_FONTS.join(', ')}) or a .ttf or .otf file`);
+                } else if (!fs.existsSync(font)) {
+                    problems.push(`fonts: "${role}" font file ${font} does not exist`);
+                }
+            }
+        }
+    }
+
+    if (!isObject(config.sizes)) {
+        problems.push('missing "sizes"');
+    } else {
+        checkKeys(config.sizes, ALL_SIZE_KEYS, 'sizes', problems);
+        for (const key of SIZE_KEYS[config.layout] || []) {
+            const value = config.sizes[key];
+            // Spacing may be zero; everything else is a font size or a length.
+            const valid = /Spacing$/.test(key) ? typeof value === 'number' && value >= 0 : isPositive(value);
+            if (!valid) problems.push(`sizes: "${key}" must be a ${/Spacing$/.test(key) ? 'non-negative' : 'positive'} number of points`);
+        }
+    }
+
+    if (config.columnSplit !== undefined
+        && !(typeof config.columnSplit === 'number' && config.columnSplit >= 0.2 && config.columnSplit <= 0.8)) {
+        problems.push('"columnSplit" must be a fraction of the page width between 0.2 and 0.8');
+    }
+    if (config.graphs !== undefined && typeof config.graphs !== 'boolean') problems.push('"graphs" must be true or false');
+    if (config.maxStations !== undefined) {
+        if (!isObject(config.maxStations)) {
+            problems.push('"maxStations" must be an object (tide, current)');
+        } else {
+            checkKeys(config.maxStations, MAX_STATION_KEYS, 'maxStations', problems);
+            for (const [kind, limit] of Object.entries(config.maxStations)) {
+                if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+                    problems.push(`maxStations: "${kind}" must be a whole number or null`);
+                }
+            }
+        }
+    }
+    if (config.overflow !== undefined) {
+        try {
+            if (!Array.isArray(config.overflow)) throw new Error('"overflow" must be a list of step names');
+            parseOverflowPolicy(config.overflow);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    if (problems.length > 0) throw new TemplateConfigError(source, problems);
+
+    return {
+        title: config.title,
+        layout: config.layout,
+        page: { ...config.page },
+        fonts: { ...config.fonts },
+        sizes: { ...config.sizes },
+        columnSplit: config.columnSplit ?? 0.45,
+        graphs: config.graphs ?? true,
+        maxStations: { tide: null, current: null, ...config.maxStations },
+        overflow: config.overflow ? [...config.overflow] : null,
+    };
+}
+
+// Reads a template file and the chain of templates it extends, merging
+// `page`, `fonts`, `sizes` and `maxStations` field by field. Font files are
+// resolved against the directory of the file that names them.
+function readTemplateChain(file, seen = []) {
+    if (seen.includes(file)) {
+        throw new TemplateConfigError(file, [`"extends" loops back to itself via ${seen.join(' -> ')}`]);
+    }
+    const config = readTemplateFile(file);
+    if (!isObject(config)) throw new TemplateConfigError(file, ['the top level must be a JSON object']);
+    if (isObject(config.fonts)) {
+        const fonts = { ...config.fonts };
+        for (const [role, font] of Object.entries(fonts)) {
+            if (typeof font === 'string' && FONT_FILE_PATTERN.test(font)) fonts[role] = path.resolve(path.dirname(file), font);
+        }
+        config.fonts = fonts;
+    }
+    if (config.extends === undefined) return config;
+    if (typeof config.extends !== 'string') throw new TemplateConfigError(file, ['"extends" must be a template name or file']);
+
+    const parentFile = /[\\/]|\.json$/i.test(config.extends)
+        ? path.resolve(path.dirname(file), config.extends)
+        : resolveTemplatePath(config.extends);
+    const base = readTemplateChain(parentFile, [...seen, file]);
+    const { extends: _, ...own } = config;
+    const merged = { ...base, ...own };
+    for (const section of ['page', 'fonts', 'sizes', 'maxStations']) {
+        if (isObject(base[section]) && isObject(own[section])) merged[section] = { ...base[section], ...own[section] };
+    }
+    return merged;
+}
+
+/**
+ * Reads and validates a template file. A template can name another in
+ * `extends` and override only what it changes, e.g. just its fonts.
+ * @param {string} [nameOrPath] - A path or bundled template name (default: pocket).
+ * @returns {object} - The validated template.
+ * @throws {TemplateConfigError}
+ */
+function loadTemplate(nameOrPath) {
+    const file = resolveTemplatePath(nameOrPath);
+    return validateTemplate(readTemplateChain(file), file);
+}
+
+/**
+ * Names of the bundled templates, for help text and error messages.
+ * @returns {string[]}
+ */
+function bundledTemplates() {
+    return fs.readdirSync(TEMPLATES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, '').replace(/_/g, '-'))
+        .sort();
+}
+
+/**
+ * Registers the template's fonts under their role names ("regular", "bold",
+ * "italic"), which is how every drawing function selects a font, and makes
+ * the regular font current. Font files are embedded (subset) in the PDF.
+ * @param {PDFDocument} doc
+ * @param {object} template
+ */
+function registerTemplateFonts(doc, template) {
+    for (const role of FONT_ROLES) doc.registerFont(role, template.fonts[role]);
+    doc.font('regular');
+}
+
+module.exports = {
+    loadTemplate,
+    validateTemplate,
+    resolveTemplatePath,
+    bundledTemplates,
+    registerTemplateFonts,
+    TemplateConfigError,
+    DEFAULT_TEMPLATE,
+    STANDARD_FONTS
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TIME_ZONE } = require('./time_zone.js');
+
+// Directory holding the bundled region files, e.g. regions/puget_sound.json.
+const REGIONS_DIR = path.join(__dirname, 'regions');
+const DEFAULT_REGION = 'puget_sound';
+
+// NOAA tide stations have 7-digit IDs; current stations are a letter prefix
+// plus digits (e.g. "PUG1708", "cb0102").
+const TIDE_ID_PATTERN = /^\d{7}$/;
+const CURRENT_ID_PATTERN = /^[A-Za-z]{1,4}\d{3,5}$/;
+
+const REGION_KEYS = ['title', 'timeZone', 'astronomyLocation', 'tideStations', 'currentStations'];
+const LOCATION_KEYS = ['name', 'latitude', 'longitude'];
+const TIDE_STATION_KEYS = ['name', 'id', 'latitude', 'longitude', 'graph', 'reference', 'offsets'];
+const OFFSET_KEYS = ['highTime', 'lowTime', 'highHeight', 'lowHeight', 'heightType'];
+const HEIGHT_TYPES = ['ratio', 'offset'];
+const CURRENT_STATION_KEYS = ['name', 'id', 'latitude', 'longitude', 'bin', 'depth', 'graph', 'slackThreshold'];
+
+/**
+ * Thrown when a region file cannot be read or does not describe a valid
+ * region. `problems` lists every issue found, not just the first.
+ */
+class RegionConfigError extends Error {
+    constructor(source, problems) {
+        super(`Invalid region config ${source}:\n${problems.map(p => `    - ${p}`).join('\n')}`);
+        this.name = 'RegionConfigError';
+        this.problems = problems;
+    }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+function isTimeZone(value) {
+    if (!isNonEmptyString(value)) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Reports keys the schema does not know about, which are usually typos.
+function checkKeys(value, allowed, where, problems) {
+    for (const key of Object.keys(value)) {
+        if (!allowed.includes(key)) problems.push(`${where}: unknown field "${key}"`);
+    }
+}
+
+function checkCoordinates(value, where, problems) {
+    for (const [field, limit] of [['latitude', 90], ['longitude', 180]]) {
+        if (value[field] === undefined) {
+            problems.push(`${where}: missing "${field}"`);
+        } else if (typeof value[field] !== 'number' || Math.abs(value[field]) > limit) {
+            problems.push(`${where}: "${field}" must be a number between -${limit} and ${limit}`);
+        }
+    }
+}
+
+function checkStations(list, field, idPattern, allowedKeys, problems) {
+    if (!Array.isArray(list)) {
+        problems.push(`"${field}" must be an array of stations`);
+        return;
+    }
+    const seenNames = new Map();
+    const seenIds = new Map();
+    list.forEach((station, index) => {
+        let where = `${field}[${index}]`;
+        if (!isObject(station)) {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        if (isNonEmptyString(station.name)) where += ` ("${station.name}")`;
+        checkKeys(station, allowedKeys, where, problems);
+        if (!isNonEmptyString(station.name)) {
+            problems.push(`${where}: missing "name"`);
+        } else if (seenNames.has(station.name)) {
+            problems.push(`${where}: duplicate station name, already used by ${field}[${seenNames.get(station.name)}]`);
+        } else {
+            seenNames.set(station.name, index);
+        }
+        if (typeof station.id !== 'string') {
+            problems.push(`${where}: missing "id"`);
+        } else if (!idPattern.test(station.id)) {
+            problems.push(`${where}: "${station.id}" is not a valid NOAA station ID`);
+        } else {
+            // The same current station may appear once per bin (depth layer).
+            let key = station.id;
+            if (station.bin !== undefined) key += `/${station.bin}`;
+            else if (station.depth !== undefined) key += `/${station.depth}ft`;
+            if (seenIds.has(key)) {
+                problems.push(`${where}: duplicate station ${key}, already listed as ${field}[${seenIds.get(key)}]`);
+            } else {
+                seenIds.set(key, index);
+            }
+        }
+        checkCoordinates(station, where, problems);
+        if (station.graph !== undefined && typeof station.graph !== 'boolean') {
+            problems.push(`${where}: "graph" must be true or false`);
+        }
+        if (station.bin !== undefined && !(Number.isInteger(station.bin) && station.bin > 0)) {
+            problems.push(`${where}: "bin" must be a positive integer`);
+        }
+        if (station.depth !== undefined && !(typeof station.depth === 'number' && station.depth > 0)) {
+            problems.push(`${where}: "depth" must be a positive number of feet`);
+        }
+        if (station.bin !== undefined && station.depth !== undefined) {
+            problems.push(`${where}: give either "bin" or "depth", not both`);
+        }
+        if (station.slackThreshold !== undefined
+            && !(typeof station.slackThreshold === 'number' && station.slackThreshold > 0 && station.slackThreshold < 5)) {
+            problems.push(`${where}: "slackThreshold" must be a speed in knots between 0 and 5`);
+        }
+        if (allowedKeys.includes('reference') && (station.reference !== undefined || station.offsets !== undefined)) {
+            checkSubordinate(station, list, idPattern, where, problems);
+        }
+    });
+}
+
+// A subordinate station is predicted from a reference station's high and low
+// waters by NOAA's published time and height offsets.
+function checkSubordinate(station, list, idPattern, where, problems) {
+    if (typeof station.reference !== 'string' || !idPattern.test(station.reference)) {
+        problems.push(`${where}: "reference" must be the NOAA ID of the reference tide station`);
+    } else if (station.reference === station.id) {
+        problems.push(`${where}: a station cannot be its own reference`);
+    } else {
+        const reference = list.find(s => isObject(s) && s.id === station.reference);
+        if (reference && reference.reference !== undefined) {
+            problems.push(`${where}: reference ${station.reference} is itself a subordinate station`);
+        }
+    }
+    if (!isObject(station.offsets)) {
+        problems.push(`${where}: subordinate stations need "offsets" (highTime, lowTime, highHeight, lowHeight, heightType)`);
+        return;
+    }
+    const offsets = station.offsets;
+    checkKeys(offsets, OFFSET_KEYS, `${where} offsets`, problems);
+    for (const field of ['highTime', 'lowTime', 'highHeight', 'lowHeight']) {
+        if (typeof offsets[field] !== 'number' || !Number.isFinite(offsets[field])) {
+            problems.push(`${where}: offsets."${field}" must be a number`);
+        }
+    }
+    if (!HEIGHT_TYPES.includes(offsets.heightType)) {
+        problems.push(`${where}: offsets."heightType" must be "ratio" or "offset"`);
+    } else if (offsets.heightType === 'ratio' && (offsets.highHeight <= 0 || offsets.lowHeight <= 0)) {
+        problems.push(`${where}: height ratios must be greater than 0`);
+    }
+}
+
+/**
+ * Checks a parsed region object against the region schema and returns a
+ * normalized copy. A region looks like:
+ *
+ *   {
+ *     "title": "Puget Sound",
+ *     "timeZone": "America/Los_Angeles",
+ *     "astronomyLocation": { "name": "Seattle", "latitude": 47.6, "longitude": -122.3 },
+ *     "tideStations": [{ "name", "id", "latitude", "longitude", "graph"?, "reference"?, "offsets"? }],
+ *     "currentStations": [{ "name", "id", "latitude", "longitude", "bin"? | "depth"?, "graph"?, "slackThreshold"? }]
+ *   }
+ *
+ * Station lists are in display order; `graph` adds a day graph under the
+ * station (the tide curve, or the signed current velocity; a subordinate
+ * station's curve is interpolated between its high and low waters). A current
+ * station predicts for NOAA's default depth unless it names a `bin` or a
+ * `depth` in feet, which picks the nearest bin. Its `slackThreshold` is the
+ * speed in knots under which the current counts as slack when printing slack
+ * windows (default 0.5). `astronomyLocation` is where sunrise, sunset and the
+ * moon are computed for. `timeZone` is the zone NOAA's local (lst_ldt) times
+ * are in and the one the header is printed in; it defaults to Pacific time. A
+ * tide station with `reference` is a subordinate station: its events are
+ * derived from the reference station's using `offsets`, e.g.
+ *
+ *   "reference": "9447130",
+ *   "offsets": { "highTime": -6, "lowTime": 4, "highHeight": 0.97, "lowHeight": 0.95, "heightType": "ratio" }
+ *
+ * Times are minutes added to the reference event; heights are either ratios
+ * or feet added to the reference height.
+ * @param {object} config - The parsed JSON.
+ * @param {string} [source] - File name used in error messages.
+ * @returns {object} - The region with defaults filled in.
+ * @throws {RegionConfigError} - Listing every problem found.
+ */
+function validateRegion(config, source = 'region') {
+    const problems = [];
+    if (!isObject(config)) throw new RegionConfigError(source, ['the top level must be a JSON object']);
+
+    checkKeys(config, REGION_KEYS, 'region', problems);
+    if (!isNonEmptyString(config.title)) problems.push('missing "title"');
+    if (config.timeZone !== undefined && !isTimeZone(config.timeZone)) {
+        problems.push(`"timeZone" must be an IANA time zone such as "${DEFAULT_TIME_ZONE}"`);
+    }
+    if (!isObject(config.astronomyLocation)) {
+        problems.push('missing "astronomyLocation" (name, latitude, longitude)');
+    } else {
+        checkKeys(config.astronomyLocation, LOCATION_KEYS, 'astronomyLocation', problems);
+        if (!isNonEmptyString(config.astronomyLocation.name)) problems.push('astronomyLocation: missing "name"');
+        checkCoordinates(config.astronomyLocation, 'astronomyLocation', problems);
+    }
+    checkStations(config.tideStations, 'tideStations', TIDE_ID_PATTERN, TIDE_STATION_KEYS, problems);
+    checkStations(config.currentStations, 'currentStations', CURRENT_ID_PATTERN, CURRENT_STATION_KEYS, problems);
+    if (Array.isArray(config.tideStations) && Array.isArray(config.currentStations)
+        && config.tideStations.length + config.currentStations.length === 0) {
+        problems.push('the region lists no stations');
+    }
+    if (problems.length > 0) throw new RegionConfigError(source, problems);
+
+    return {
+        title: config.title,
+        timeZone: config.timeZone || DEFAULT_TIME_ZONE,
+        astronomyLocation: { ...config.astronomyLocation },
+        tideStations: config.tideStations.map(s => ({
+            ...s, graph: Boolean(s.graph), ...(s.offsets ? { offsets: { ...s.offsets } } : {}),
+        })),
+        currentStations: config.currentStations.map(s => ({ ...s, graph: Boolean(s.graph) })),
+    };
+}
+
+/**
+ * Resolves a region argument to a file: either a path to a JSON file or the
+ * name of a bundled region such as "san_juan_islands".
+ * @param {string} [nameOrPath]
+ * @returns {string}
+ */
+function resolveRegionPath(nameOrPath = DEFAULT_REGION) {
+    if (/[\\/]|\.json$/i.test(nameOrPath)) return path.resolve(nameOrPath);
+    return path.join(REGIONS_DIR, `${nameOrPath}.json`);
+}
+
+/**
+ * A file name for a station's export, e.g. "deception-pass-PUG1701.ics".
+ * @param {{name: string, id: string}} station
+ * @param {string} extension - Without the dot.
+ * @returns {string}
+ */
+function stationFileName(station, extension) {
+    return `${station.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${station.id}.${extension}`;
+}
+
+/**
+ * Reads and validates a region file.
+ * @param {string} [nameOrPath] - A path or bundled region name (default: Puget Sound).
+ * @returns {object} - The validated region.
+ * @throws {RegionConfigError}
+ */
+function loadRegion(nameOrPath) {
+    const file = resolveRegionPath(nameOrPath);
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new RegionConfigError(file, [`cannot read file (${error.code || error.message})`]);
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new RegionConfigError(file, [`not valid JSON: ${error.message}`]);
+    }
+    return validateRegion(config, file);
+}
+
+module.exports = {
+    loadRegion,
+    validateRegion,
+    resolveRegionPath,
+    stationFileName,
+    RegionConfigError,
+    DEFAULT_REGION
+};
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bookModel, csvField, writeJson } = require('../book_export.js');
+const { resolveUnits } = require('../units.js');
+
+// What fetchBook returns for a small region, in metres and metres per second.
+function book() {
+    return {
+        region: {
+            title: 'Test Sound',
+            timeZone: 'America/Los_Angeles',
+            astronomyLocation: { name: 'Seattle', latitude: 47.6, longitude: -122.3 },
+            tideStations: [
+                { name: 'Seattle', id: '9447130', latitude: 47.6026, longitude: -122.3393, graph: true },
+                { name: 'Port Madison', id: '9445639', latitude: 47.7, longitude: -122.5, reference: '9447130', graph: false },
+            ],
+            currentStations: [
+                { name: 'Deception Pass', id: 'PUG1701', latitude: 48.4, longitude: -122.6, slackThreshold: 0.3, graph: false },
+                { name: 'The Narrows', id: 'PUG1515', latitude: 47.3, longitude: -122.5, depth: 20, graph: false },
+            ],
+        },
+        startDate: new Date(2025, 5, 1),
+        endDate: new Date(2025, 5, 1),
+        source: 'harmonic',
+        units: resolveUnits({ height: 'm', speed: 'm/s' }),
+        allTideData: {
+            Seattle: { predictions: [{ t: '2025-06-01 03:12', v: '-0.366', type: 'L' }, { t: '2025-06-01 10:40', v: '3.383', type: 'H' }] },
+        },
+        allHourlyTideData: { Seattle: { predictions: [{ t: '2025-06-01 00:00', v: '1.200' }] } },
+        allCurrentData: {
+            'Deception Pass': {
+                current_predictions: {
+                    cp: [
+                        { Time: '2025-06-01 02:10', Type: 'slack', Velocity_Major: 0.04 },
+                        { Time: '2025-06-01 05:30', Type: 'flood', Velocity_Major: 3.1, meanFloodDir: 95, meanEbbDir: 275, Depth: '4.6' },
+                    ],
+                },
+            },
+        },
+        allSlackWindows: { 'Deception Pass': [{ start: '2025-06-01 01:55', end: '2025-06-01 02:25', minutes: 30, slack: '2025-06-01 02:10' }] },
+    };
+}
+
+test('the model holds every station in the book units', () => {
+    const model = bookModel(book());
+    assert.strictEqual(model.startDate, '2025-06-01');
+    assert.strictEqual(model.source, 'harmonic');
+    assert.strictEqual(model.credit, 'Tide predictions computed from NOAA harmonic constants');
+    assert.deepStrictEqual(model.units, { height: 'm', speed: 'm/s', datum: 'MLLW', clock: '24', time: 'lst_ldt' });
+
+    const [seattle, madison] = model.tides;
+    assert.deepStrictEqual(seattle.events, [
+        { time: '2025-06-01 03:12', type: 'low', height: -0.366 },
+        { time: '2025-06-01 10:40', type: 'high', height: 3.383 },
+    ]);
+    assert.deepStrictEqual(seattle.series, [{ time: '2025-06-01 00:00', height: 1.2 }]);
+    assert.strictEqual(seattle.reference, null);
+    // A station with no data still gets an entry.
+    assert.strictEqual(madison.reference, '9447130');
+    assert.deepStrictEqual(madison.events, []);
+
+    const [pass, narrows] = model.currents;
+    assert.deepStrictEqual(pass.events, [
+        { time: '2025-06-01 02:10', type: 'slack', speed: 0 },
+        { time: '2025-06-01 05:30', type: 'flood', speed: 3.1 },
+    ]);
+    assert.strictEqual(pass.depth, 4.6);
+    assert.strictEqual(pass.floodDirection, 95);
+    assert.strictEqual(pass.ebbDirection, 275);
+    // 0.3 kn, converted from the region file.
+    assert.strictEqual(pass.slackThreshold, 0.15);
+    assert.deepStrictEqual(pass.slackWindows, [{ start: '2025-06-01 01:55', end: '2025-06-01 02:25', minutes: 30 }]);
+    // 20 ft from the region file, as NOAA gave no depth.
+    assert.strictEqual(narrows.depth, 6.1);
+    assert.strictEqual(narrows.floodDirection, null);
+    assert.strictEqual(narrows.slackThreshold, null);
+});
+
+test('the model credits NOAA when the source is not given', () => {
+    const model = bookModel({ ...book(), source: undefined });
+    assert.strictEqual(model.source, 'noaa');
+    assert.match(model.credit, /NOAA CO-OPS/);
+});
+
+test('CSV fields are quoted only when they need it', () => {
+    assert.strictEqual(csvField('Seattle'), 'Seattle');
+    assert.strictEqual(csvField(-1.2), '-1.2');
+    assert.strictEqual(csvField(null), '');
+    assert.strictEqual(csvField(undefined), '');
+    assert.strictEqual(csvField('Tacoma, Commencement Bay'), '"Tacoma, Commencement Bay"');
+    assert.strictEqual(csvField('the "Narrows"'), '"the ""Narrows"""');
+    assert.strictEqual(csvField('two\r\nlines'), '"two\r\nlines"');
+    assert.strictEqual(csvField('one\nline'), '"one\nline"');
+});
+
+test('the JSON export writes the book and one file per station', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-json-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const model = bookModel(book());
+    const files = writeJson(model, path.join(dir, 'json'));
+    assert.deepStrictEqual(files.map(f => path.relative(dir, f)), [
+        path.join('json', 'book.json'),
+        path.join('json', 'seattle-9447130.json'),
+        path.join('json', 'port-madison-9445639.json'),
+        path.join('json', 'deception-pass-PUG1701.json'),
+        path.join('json', 'the-narrows-PUG1515.json'),
+    ]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(files[0], 'utf8')), model);
+
+    const station = JSON.parse(fs.readFileSync(files[3], 'utf8'));
+    assert.strictEqual(station.kind, 'current');
+    assert.deepStrictEqual(station.station, model.currents[0]);
+    assert.deepStrictEqual(station.units, model.units);
+    assert.strictEqual(station.startDate, '2025-06-01');
+    assert.strictEqual(station.tides, undefined);
+    assert.strictEqual(station.currents, undefined);
+});
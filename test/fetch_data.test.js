@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { slackWindows } = require('../fetch_data.js');
+
+// Half-hourly current predictions from midnight on 2025-06-01.
+function series(velocities) {
+    return velocities.map((v, i) => ({
+        Time: `2025-06-01 ${String(Math.floor(i / 2)).padStart(2, '0')}:${i % 2 ? '30' : '00'}`,
+        Velocity_Major: v,
+    }));
+}
+
+test('a reversal is one window with its slack where the velocity crosses zero', () => {
+    assert.deepStrictEqual(slackWindows(series([1.5, 0.9, 0.3, -0.3, -0.9, -1.5])), [
+        { start: '2025-06-01 00:50', end: '2025-06-01 01:40', minutes: 50, slack: '2025-06-01 01:15' },
+    ]);
+});
+
+test('a current that weakens without reversing has a window but no slack', () => {
+    assert.deepStrictEqual(slackWindows(series([1.5, 0.9, 0.3, 0.3, 0.9, 1.5])), [
+        { start: '2025-06-01 00:50', end: '2025-06-01 01:40', minutes: 50, slack: null },
+    ]);
+});
+
+test('windows at the ends of the series are cut off there', () => {
+    assert.deepStrictEqual(slackWindows(series([0.2, 0.8, 1.4, 0.8, 0.2])), [
+        { start: '2025-06-01 00:00', end: '2025-06-01 00:15', minutes: 15, slack: null },
+        { start: '2025-06-01 01:45', end: '2025-06-01 02:00', minutes: 15, slack: null },
+    ]);
+});
+
+test('the threshold is in the series speed unit', () => {
+    const windows = slackWindows(series([0.77, 0.46, 0.15, -0.15, -0.46, -0.77]), 0.26);
+    assert.strictEqual(windows.length, 1);
+    assert.strictEqual(windows[0].slack, '2025-06-01 01:15');
+});
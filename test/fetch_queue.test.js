@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FetchProgress } = require('../fetch_queue.js');
+
+const chunk = (station, extra = {}) => ({
+    label: 'tide data',
+    params: { station, begin_date: '20250101', end_date: '20250131' },
+    ...extra,
+});
+
+test('a station is counted done once, however many of its datasets finish', () => {
+    const lines = [];
+    const progress = new FetchProgress({ log: line => lines.push(line) });
+    progress.datasetStarted('9447130', 1);
+    progress.datasetFinished('9447130');
+    progress.datasetStarted('9447130', 1);
+    assert.strictEqual(progress.stationsDone.size, 0);
+    progress.datasetFinished('9447130');
+    progress.datasetStarted('9444900', 2);
+    progress.chunkFinished(chunk('9444900'));
+    assert.strictEqual(progress.stationsDone.size, 1);
+    assert.match(lines[0], /1\/2 stations/);
+});
+
+test('failed chunks are counted whether or not they came from the cache', () => {
+    const lines = [];
+    const progress = new FetchProgress({ log: line => lines.push(line) });
+    progress.datasetStarted('9447130', 3);
+    progress.chunkFinished(chunk('9447130', { cached: true, error: new Error('bad cache entry') }));
+    progress.chunkFinished(chunk('9447130', { error: new Error('HTTP 503') }));
+    progress.chunkFinished(chunk('9447130', { cached: true }));
+    assert.strictEqual(progress.chunksFailed, 2);
+    assert.strictEqual(progress.chunksCached, 2);
+    assert.match(lines[0], /2 failed.*FAILED: HTTP 503/);
+    assert.match(progress.summary(), /\(2 from cache, 2 failed\)/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { astronomicalArguments, nodalTerms, loadHarmonics, predictSeries, predictHiLo, compareHiLo } = require('../harmonics.js');
+const { deriveSubordinateEvents } = require('../fetch_data.js');
+
+// NOAA's published constants for Port Townsend (9444900), in feet.
+const FIXTURES = path.join(__dirname, 'fixtures', 'harmonics');
+const TIME_ZONE = 'America/Los_Angeles';
+
+const degrees = value => ((value % 360) + 360) % 360;
+
+test('astronomical arguments match Meeus', () => {
+    // At J2000.0 every argument is its constant term.
+    const j2000 = astronomicalArguments(new Date(Date.UTC(2000, 0, 1, 12)));
+    assert.strictEqual(j2000.T, 360);
+    assert.strictEqual(j2000.s, 218.3164477);
+    assert.strictEqual(j2000.N, 125.04452);
+    // Meeus examples 47.a (the moon's mean longitude, 1992 April 12) and
+    // 25.a (the sun's, 1992 October 13), within 0.001°.
+    assert.ok(Math.abs(degrees(astronomicalArguments(new Date(Date.UTC(1992, 3, 12))).s) - 134.290182) < 0.001);
+    assert.ok(Math.abs(degrees(astronomicalArguments(new Date(Date.UTC(1992, 9, 13))).h) - 201.80720) < 0.001);
+});
+
+test('node factors match Schureman at the extremes of the nodal cycle', () => {
+    // Schureman (1958), table 14, to within 0.002.
+    const expected = [
+        [0, { fM2: 0.963, fO1: 1.183, fK1: 1.113, fK2: 1.317 }],
+        [180, { fM2: 1.038, fO1: 0.806, fK1: 0.882, fK2: 0.748 }],
+    ];
+    for (const [N, factors] of expected) {
+        const nodal = nodalTerms(N);
+        for (const [name, value] of Object.entries(factors)) {
+            assert.ok(Math.abs(nodal[name] - value) < 0.002, `${name} at N = ${N}: ${nodal[name]}`);
+        }
+        // With the node at an equinox the corrections vanish.
+        for (const name of ['nu', 'xi', 'nuPrime', 'nu2Prime']) assert.ok(Math.abs(nodal[name]) < 1e-9, name);
+    }
+});
+
+test('predicted high and low waters match NOAA within 10 minutes and 0.15 ft', () => {
+    // NOAA predicts Anacortes (9448794) from Port Townsend by these offsets;
+    // the expected events are NOAA's Anacortes predictions for 2025-01-01.
+    const anacortes = { highTime: 22, lowTime: 33, highHeight: 0.96, lowHeight: 1, heightType: 'ratio' };
+    const noaa = [
+        { t: '2025-01-01 07:10', v: '9.28', type: 'H' },
+        { t: '2025-01-01 11:47', v: '7.67', type: 'L' },
+        { t: '2025-01-01 15:42', v: '7.934', type: 'H' },
+        { t: '2025-01-01 23:30', v: '-2.055', type: 'L' },
+    ];
+    const day = new Date(2025, 0, 1);
+    const predicted = predictHiLo(loadHarmonics('9444900', FIXTURES), day, day, { timeZone: TIME_ZONE });
+    assert.deepStrictEqual(predicted.map(event => event.type), ['H', 'L', 'H', 'L']);
+    const report = compareHiLo(deriveSubordinateEvents(predicted, anacortes), noaa);
+    assert.strictEqual(report.matched, 4);
+    assert.strictEqual(report.unmatched, 0);
+    assert.ok(report.maxMinutes <= 10, `${report.maxMinutes} min`);
+    assert.ok(report.maxHeight <= 0.15, `${report.maxHeight} ft`);
+});
+
+test('the series samples local clock time and agrees with the extremes', () => {
+    const station = loadHarmonics('9444900', FIXTURES);
+    const day = new Date(2025, 0, 1);
+    const series = predictSeries(station, day, day, { intervalMinutes: 60, timeZone: TIME_ZONE });
+    assert.strictEqual(series.length, 24);
+    assert.strictEqual(series[0].t, '2025-01-01 00:00');
+    assert.strictEqual(series[23].t, '2025-01-01 23:00');
+    // No hourly sample rises above the day's highest high water or below its lowest low.
+    const events = predictHiLo(station, day, day, { timeZone: TIME_ZONE }).map(event => parseFloat(event.v));
+    for (const sample of series) {
+        const v = parseFloat(sample.v);
+        assert.ok(v <= Math.max(...events) + 1e-3 && v >= Math.min(...events) - 1e-3, sample.t);
+    }
+    // The day clocks spring forward has 23 hours.
+    const springForward = new Date(2025, 2, 9);
+    assert.strictEqual(predictSeries(station, springForward, springForward, { timeZone: TIME_ZONE }).length, 23);
+});
+
+test('compareHiLo matches events of the same type within an hour', () => {
+    const reference = [
+        { t: '2025-01-01 06:00', v: '9.0', type: 'H' },
+        { t: '2025-01-01 12:00', v: '2.0', type: 'L' },
+        { t: '2025-01-01 18:00', v: '8.0', type: 'H' },
+    ];
+    const predicted = [
+        { t: '2025-01-01 06:04', v: '9.2', type: 'H' },
+        { t: '2025-01-01 11:58', v: '1.9', type: 'H' },
+        { t: '2025-01-01 12:10', v: '1.9', type: 'L' },
+    ];
+    const report = compareHiLo(predicted, reference);
+    assert.strictEqual(report.matched, 2);
+    assert.strictEqual(report.unmatched, 1);
+    assert.strictEqual(report.maxMinutes, 10);
+    assert.strictEqual(report.meanMinutes, 7);
+    assert.ok(Math.abs(report.maxHeight - 0.2) < 1e-9);
+});
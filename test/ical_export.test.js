@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { foldLine, escapeText, timeZoneLines, tideEvents } = require('../ical_export.js');
+
+const octets = line => Buffer.byteLength(line);
+
+test('lines fold at 75 octets, continuations at 74 after the space', () => {
+    assert.strictEqual(foldLine('x'.repeat(75)), 'x'.repeat(75));
+    const folded = foldLine('x'.repeat(75 + 74 + 10)).split('\r\n');
+    assert.deepStrictEqual(folded, ['x'.repeat(75), ` ${'x'.repeat(74)}`, ` ${'x'.repeat(10)}`]);
+});
+
+test('folding never splits a multi-octet character', () => {
+    // "é" is two octets and would end at octet 76, so it starts the next line.
+    const line = `${'x'.repeat(74)}é${'°'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+    assert.strictEqual(folded[0], 'x'.repeat(74));
+    assert.ok(folded[1].startsWith(' é'));
+    assert.ok(folded.every(part => octets(part) <= 75), folded.map(octets).join(','));
+    assert.strictEqual(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('text values escape backslashes, semicolons, commas and newlines', () => {
+    assert.strictEqual(escapeText('a\\b;c,d\ne'), 'a\\\\b\\;c\\,d\\ne');
+    assert.strictEqual(escapeText(1.5), '1.5');
+});
+
+// The VTIMEZONE lines as one object per observance.
+function observances(lines) {
+    const found = [];
+    for (const line of lines) {
+        const [name, value] = line.split(/:(.*)/);
+        if (name === 'BEGIN' && value !== 'VTIMEZONE') found.push({ kind: value });
+        else if (name !== 'END' && name !== 'BEGIN' && found.length > 0) found[found.length - 1][name] = value;
+    }
+    return found;
+}
+
+test('the VTIMEZONE lists every change from the year before to the end of the range', () => {
+    const lines = timeZoneLines('America/Los_Angeles', new Date(2025, 5, 1), new Date(2025, 11, 31));
+    assert.deepStrictEqual(lines.slice(0, 2), ['BEGIN:VTIMEZONE', 'TZID:America/Los_Angeles']);
+    assert.strictEqual(lines[lines.length - 1], 'END:VTIMEZONE');
+    const found = observances(lines);
+    assert.deepStrictEqual(found.map(o => `${o.kind} ${o.DTSTART}`), [
+        'DAYLIGHT 20240310T020000',
+        'STANDARD 20241103T020000',
+        'DAYLIGHT 20250309T020000',
+        'STANDARD 20251102T020000',
+    ]);
+    assert.deepStrictEqual(found[2], {
+        kind: 'DAYLIGHT', DTSTART: '20250309T020000', TZOFFSETFROM: '-0800', TZOFFSETTO: '-0700', TZNAME: 'PDT',
+    });
+    assert.deepStrictEqual(found[3], {
+        kind: 'STANDARD', DTSTART: '20251102T020000', TZOFFSETFROM: '-0700', TZOFFSETTO: '-0800', TZNAME: 'PST',
+    });
+});
+
+test('observances start at the wall time of the change on the old offset', () => {
+    // Sydney leaves daylight time at 03:00 AEDT, in April.
+    const found = observances(timeZoneLines('Australia/Sydney', new Date(2025, 0, 1), new Date(2025, 11, 31)));
+    assert.deepStrictEqual(found.slice(2).map(o => `${o.kind} ${o.DTSTART} ${o.TZOFFSETFROM} ${o.TZOFFSETTO}`), [
+        'STANDARD 20250406T030000 +1100 +1000',
+        'DAYLIGHT 20251005T020000 +1000 +1100',
+    ]);
+});
+
+test('a zone without daylight time gets one fixed standard observance', () => {
+    const found = observances(timeZoneLines('Asia/Tokyo', new Date(2025, 0, 1), new Date(2025, 11, 31)));
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0].kind, 'STANDARD');
+    assert.strictEqual(found[0].DTSTART, '19700101T000000');
+    assert.strictEqual(found[0].TZOFFSETFROM, '+0900');
+    assert.strictEqual(found[0].TZOFFSETTO, '+0900');
+});
+
+test('event UIDs survive revised predictions', () => {
+    const station = { name: 'Seattle', id: '9447130' };
+    const predictions = [
+        { t: '2025-06-01 03:12', v: '-1.2', type: 'L' },
+        { t: '2025-06-01 10:40', v: '11.1', type: 'H' },
+        { t: '2025-06-01 15:02', v: '4.9', type: 'L' },
+        { t: '2025-06-01 21:30', v: '12.4', type: 'H' },
+        { t: '2025-06-02 04:01', v: '-0.8', type: 'L' },
+    ];
+    const revised = predictions.map(p => ({
+        ...p,
+        t: `${p.t.slice(0, 14)}${String(Number(p.t.slice(14)) + 6).padStart(2, '0')}`,
+        v: (parseFloat(p.v) + 0.2).toFixed(1),
+    }));
+    const types = ['high', 'low'];
+    const before = tideEvents(station, predictions, types);
+    const after = tideEvents(station, revised, types);
+    assert.deepStrictEqual(after.map(e => e.uid), before.map(e => e.uid));
+    assert.notDeepStrictEqual(after.map(e => e.start), before.map(e => e.start));
+    assert.deepStrictEqual(before.map(e => e.uid), [
+        'low-9447130-20250601-1@tide-book',
+        'high-9447130-20250601-1@tide-book',
+        'low-9447130-20250601-2@tide-book',
+        'high-9447130-20250601-2@tide-book',
+        'low-9447130-20250602-1@tide-book',
+    ]);
+    // Leaving a type out does not renumber the others.
+    assert.deepStrictEqual(tideEvents(station, revised, ['low']).map(e => e.uid),
+        before.filter(e => e.uid.startsWith('low')).map(e => e.uid));
+});
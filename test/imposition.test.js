@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signaturePlan, alignPages, writeSequential, writeImposed } = require('../imposition.js');
+
+// Every page of the padded book exactly once, signature after signature.
+function assertCoversInOrder(plan, pageCount) {
+    const pages = plan.flatMap(sheets => sheets.flatMap(sheet => [...sheet.front, ...sheet.back]).sort((a, b) => a - b));
+    assert.deepStrictEqual(pages, Array.from({ length: Math.ceil(pageCount / 4) * 4 }, (_, i) => i));
+}
+
+test('a 4-page signature is one sheet, outer pages on the front', () => {
+    const plan = signaturePlan(4, 'saddle');
+    assert.deepStrictEqual(plan, [[{ front: [3, 0], back: [1, 2] }]]);
+    assert.deepStrictEqual(signaturePlan(8, 'perfect', 1), [
+        [{ front: [3, 0], back: [1, 2] }],
+        [{ front: [7, 4], back: [5, 6] }],
+    ]);
+});
+
+test('an 8-page signature nests its second sheet inside the first', () => {
+    const plan = signaturePlan(8, 'saddle');
+    assert.deepStrictEqual(plan, [[
+        { front: [7, 0], back: [1, 6] },
+        { front: [5, 2], back: [3, 4] },
+    ]]);
+    assert.deepStrictEqual(signaturePlan(16, 'perfect', 2)[1], [
+        { front: [15, 8], back: [9, 14] },
+        { front: [13, 10], back: [11, 12] },
+    ]);
+});
+
+test('a 16-page signature pairs pages that add up to 15', () => {
+    const [signature, ...rest] = signaturePlan(16, 'perfect', 4);
+    assert.strictEqual(rest.length, 0);
+    assert.deepStrictEqual(signature, [
+        { front: [15, 0], back: [1, 14] },
+        { front: [13, 2], back: [3, 12] },
+        { front: [11, 4], back: [5, 10] },
+        { front: [9, 6], back: [7, 8] },
+    ]);
+    assert.deepStrictEqual(signaturePlan(16, 'saddle'), [signature]);
+    assertCoversInOrder(signaturePlan(40, 'perfect', 4), 40);
+});
+
+test('the last sheet is padded with blank pages', () => {
+    const plan = signaturePlan(6, 'saddle');
+    assert.deepStrictEqual(plan, [[
+        { front: [7, 0], back: [1, 6] },
+        { front: [5, 2], back: [3, 4] },
+    ]]);
+    // Two sheets of the default four in the last signature.
+    const perfect = signaturePlan(22, 'perfect');
+    assert.deepStrictEqual(perfect.map(sheets => sheets.length), [4, 2]);
+    assertCoversInOrder(perfect, 22);
+});
+
+test('alignPages puts pages on the side they ask for', () => {
+    const left = { side: 'left' };
+    const right = { side: 'right' };
+    assert.deepStrictEqual(alignPages([right, left, left]), [right, left, null, left]);
+    assert.deepStrictEqual(alignPages([left, {}]), [null, left, {}]);
+});
+
+// Records where each page is drawn, as a PDFDocument would place it.
+function recordingDoc(width = 1000, height = 800) {
+    const drawn = [];
+    let origin = [0, 0];
+    const doc = {
+        page: { width, height },
+        outline: { addItem: () => doc.outline },
+        addPage: () => doc,
+        addNamedDestination: () => doc,
+        save: () => doc,
+        restore: () => doc,
+        rect: () => doc,
+        clip: () => doc,
+        translate: (x, y) => {
+            origin = [x, y];
+            return doc;
+        },
+    };
+    const page = name => ({ draw: () => drawn.push({ name, x: origin[0], y: origin[1] }) });
+    return { doc, drawn, page };
+}
+
+test('the gutter moves right-hand pages right and left-hand pages left', () => {
+    const { doc, drawn, page } = recordingDoc();
+    writeSequential(doc, [page('p1'), page('p2'), null, page('p4')], { gutter: 9 });
+    assert.deepStrictEqual(drawn, [
+        { name: 'p1', x: 9, y: 0 },
+        { name: 'p2', x: -9, y: 0 },
+        { name: 'p4', x: -9, y: 0 },
+    ]);
+});
+
+test('imposed pages keep their outside-edge gutter on either half of the sheet', () => {
+    const { doc, drawn, page } = recordingDoc(1000, 800);
+    const pages = ['p1', 'p2', 'p3', 'p4'].map(page);
+    const result = writeImposed(doc, pages, { page: { width: 400, height: 600 }, binding: 'saddle', marks: [], gutter: 9 });
+    assert.deepStrictEqual(result, { signatures: 1, sheets: 1, blanks: 0 });
+    // Front: page 4 (a left-hand page) on the left, page 1 on the right;
+    // back: page 2 (left-hand) on the left, page 3 on the right.
+    assert.deepStrictEqual(drawn, [
+        { name: 'p4', x: 100 - 9, y: 100 },
+        { name: 'p1', x: 500 + 9, y: 100 },
+        { name: 'p2', x: 100 - 9, y: 100 },
+        { name: 'p3', x: 500 + 9, y: 100 },
+    ]);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { layoutDay, drawBlocks, paginate, LayoutReport } = require('../page_layout.js');
+
+const STYLE = {
+    sizes: { data: 8, stationName: 9, stationDetail: 7, tideLineHeight: 10, lineSpacing: 2, stationSpacing: 4, graphBottomMargin: 4 },
+    graphs: true,
+};
+
+// A stand-in for the PDF document: blocks only note where they were drawn.
+function stubDoc() {
+    return { drawn: [] };
+}
+
+// A block whose height comes from the style the way a station's table does:
+// 4 lines take 52 pt, 41 tightened and 37 tightened and shrunk.
+function table(label, lines = 4) {
+    const block = (doc, y, style, draw) => {
+        if (draw) doc.drawn.push({ label, y });
+        return lines * (style.sizes.tideLineHeight + style.sizes.lineSpacing) + style.sizes.stationSpacing;
+    };
+    return Object.assign(block, { label });
+}
+
+// A graph block: 64 pt, 61 tightened, nothing once graphs are dropped.
+function graph(label) {
+    const block = (doc, y, style, draw) => {
+        if (!style.graphs) return 0;
+        if (draw) doc.drawn.push({ label, y });
+        return 60 + style.sizes.graphBottomMargin;
+    };
+    return Object.assign(block, { label });
+}
+
+function fixed(label, height) {
+    return Object.assign((doc, y, style, draw) => {
+        if (draw) doc.drawn.push({ label, y });
+        return height;
+    }, { label });
+}
+
+const labels = pages => pages.map(columns => columns.map(blocks => blocks.map(b => b.label)));
+
+// One column of 168 pt: 143 tightened, 135 shrunk and 74 without the graph.
+const column = () => [table('a'), table('b'), graph('g')];
+
+test('a day that fits takes no step', () => {
+    const result = layoutDay(stubDoc(), [column()], STYLE, { firstHeight: 170, nextHeight: 200 });
+    assert.deepStrictEqual(result.fallbacks, []);
+    assert.strictEqual(result.overflow, false);
+    assert.strictEqual(result.style, STYLE);
+    assert.deepStrictEqual(labels(result.pages), [[['a', 'b', 'g']]]);
+});
+
+test('steps are applied in order until the column fits', () => {
+    const page = firstHeight => ({ firstHeight, nextHeight: 200 });
+    assert.deepStrictEqual(layoutDay(stubDoc(), [column()], STYLE, page(150)).fallbacks, ['tighten']);
+    assert.strictEqual(layoutDay(stubDoc(), [column()], STYLE, page(150)).style.sizes.lineSpacing, 0);
+
+    const shrunk = layoutDay(stubDoc(), [column()], STYLE, page(140));
+    assert.deepStrictEqual(shrunk.fallbacks, ['tighten', 'shrink']);
+    assert.strictEqual(shrunk.style.sizes.data, 7);
+
+    const dropped = layoutDay(stubDoc(), [column()], STYLE, page(100));
+    assert.deepStrictEqual(dropped.fallbacks, ['tighten', 'shrink', 'drop-graphs']);
+    assert.strictEqual(dropped.style.graphs, false);
+    assert.strictEqual(dropped.overflow, false);
+    assert.strictEqual(dropped.pages.length, 1);
+});
+
+test('the policy decides which steps may be taken', () => {
+    const result = layoutDay(stubDoc(), [column()], STYLE, { firstHeight: 140, nextHeight: 200 }, ['drop-graphs']);
+    assert.deepStrictEqual(result.fallbacks, ['drop-graphs']);
+    assert.strictEqual(result.style.sizes.lineSpacing, 2);
+
+    const none = layoutDay(stubDoc(), [column()], STYLE, { firstHeight: 140, nextHeight: 200 }, []);
+    assert.deepStrictEqual(none.fallbacks, []);
+    assert.strictEqual(none.overflow, true);
+
+    const tightened = layoutDay(stubDoc(), [column()], STYLE, { firstHeight: 100, nextHeight: 200 }, ['tighten']);
+    assert.deepStrictEqual(tightened.fallbacks, ['tighten']);
+    assert.strictEqual(tightened.overflow, true);
+});
+
+test('continue spills the blocks that do not fit onto continuation pages', () => {
+    const result = layoutDay(stubDoc(), [column(), [table('x'), table('y'), table('z')]], STYLE, { firstHeight: 60, nextHeight: 80 });
+    assert.deepStrictEqual(result.fallbacks, ['tighten', 'shrink', 'drop-graphs', 'continue']);
+    assert.strictEqual(result.overflow, false);
+    // The graph is dropped, so it takes no room after "b"; the shorter column
+    // gets an empty column on the last page.
+    assert.deepStrictEqual(labels(result.pages), [
+        [['a'], ['x']],
+        [['b', 'g'], ['y', 'z']],
+    ]);
+
+    const early = layoutDay(stubDoc(), [column()], STYLE, { firstHeight: 60, nextHeight: 200 }, ['continue']);
+    assert.deepStrictEqual(early.fallbacks, ['continue']);
+    assert.strictEqual(early.style, STYLE);
+    assert.deepStrictEqual(labels(early.pages), [[['a']], [['b', 'g']]]);
+});
+
+test('pages break before the block that does not fit, never inside one', () => {
+    const blocks = [fixed('a', 30), fixed('b', 30), fixed('c', 50), fixed('tall', 200), fixed('d', 10)];
+    assert.deepStrictEqual(paginate(stubDoc(), blocks, STYLE, 70, 100).map(p => p.map(b => b.label)),
+        [['a', 'b'], ['c'], ['tall'], ['d']]);
+    // A block taller than the first page still starts there.
+    assert.deepStrictEqual(paginate(stubDoc(), [fixed('tall', 90), fixed('a', 30)], STYLE, 70, 100).map(p => p.map(b => b.label)),
+        [['tall'], ['a']]);
+});
+
+test('blocks are drawn at the heights they were measured at', () => {
+    const doc = stubDoc();
+    const end = drawBlocks(doc, column(), 20, STYLE);
+    assert.deepStrictEqual(doc.drawn, [{ label: 'a', y: 20 }, { label: 'b', y: 72 }, { label: 'g', y: 124 }]);
+    assert.strictEqual(end, 188);
+});
+
+test('the layout report lists only the days that needed a step', () => {
+    const report = new LayoutReport();
+    const page = firstHeight => ({ firstHeight, nextHeight: 60 });
+    report.record('2025-06-01', layoutDay(stubDoc(), [column()], STYLE, page(170)));
+    report.record('2025-06-02', layoutDay(stubDoc(), [column()], STYLE, page(140)));
+    report.record('2025-06-03', layoutDay(stubDoc(), [[table('a'), table('b'), table('c')]], STYLE, page(40)));
+    report.record('2025-06-04', layoutDay(stubDoc(), [column()], STYLE, page(140), ['tighten']));
+    assert.deepStrictEqual(report.lines(), [
+        '2025-06-02: tighter spacing, smaller data font',
+        '2025-06-03: tighter spacing, smaller data font, graphs dropped, 2 continuation pages',
+        '2025-06-04: tighter spacing, STILL OVERFLOWS',
+    ]);
+    assert.deepStrictEqual(report.toJSON(), {
+        adjustedDays: 3,
+        days: [
+            { day: '2025-06-02', fallbacks: ['tighten', 'shrink'], overflow: false, pages: 1 },
+            { day: '2025-06-03', fallbacks: ['tighten', 'shrink', 'drop-graphs', 'continue'], overflow: false, pages: 3 },
+            { day: '2025-06-04', fallbacks: ['tighten'], overflow: true, pages: 1 },
+        ],
+    });
+});
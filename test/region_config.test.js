@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRegion, validateRegion, RegionConfigError } = require('../region_config.js');
+
+const region = currentStation => ({
+    title: 'Test',
+    astronomyLocation: { name: 'Seattle', latitude: 47.6, longitude: -122.3 },
+    tideStations: [{ name: 'Seattle', id: '9447130', latitude: 47.6026, longitude: -122.3393 }],
+    currentStations: [currentStation],
+});
+
+test('current velocity graphs are enabled per station', () => {
+    const graphed = validateRegion(region({ name: 'Deception Pass', id: 'PUG1701', latitude: 48.4062, longitude: -122.643, graph: true }));
+    assert.strictEqual(graphed.currentStations[0].graph, true);
+    const plain = validateRegion(region({ name: 'Deception Pass', id: 'PUG1701', latitude: 48.4062, longitude: -122.643 }));
+    assert.strictEqual(plain.currentStations[0].graph, false);
+    assert.throws(() => validateRegion(region({ name: 'Deception Pass', id: 'PUG1701', latitude: 48.4062, longitude: -122.643, graph: 'yes' })),
+        error => error instanceof RegionConfigError && /"graph" must be true or false/.test(error.message));
+});
+
+test('the bundled regions graph no current stations by default', () => {
+    for (const name of ['puget_sound', 'san_juan_islands']) {
+        assert.deepStrictEqual(loadRegion(name).currentStations.filter(s => s.graph).map(s => s.name), [], name);
+    }
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { minusTides, monthlyExtremes, kingTides, daylightTest } = require('../tide_extremes.js');
+
+const SEATTLE = { latitude: 47.6026, longitude: -122.3393 };
+const ZONE = 'America/Los_Angeles';
+
+const record = (t, type, v) => ({ t, type, v: v.toFixed(3) });
+
+// Two months of hilo records, in the L H L H order NOAA returns.
+const predictions = [
+    record('2025-06-01 03:12', 'L', -1.2),
+    record('2025-06-01 10:40', 'H', 11.1),
+    record('2025-06-01 15:02', 'L', 4.9),
+    record('2025-06-01 21:30', 'H', 12.4),
+    record('2025-06-15 04:01', 'L', 0.3),
+    record('2025-06-15 11:20', 'H', 10.2),
+    record('2025-07-01 13:05', 'L', -0.4),
+    record('2025-07-01 20:15', 'H', 11.8),
+];
+
+test('minus tides are the lows below the datum, or below a given height', () => {
+    assert.deepStrictEqual(minusTides(predictions), [
+        { t: '2025-06-01 03:12', type: 'L', height: -1.2 },
+        { t: '2025-07-01 13:05', type: 'L', height: -0.4 },
+    ]);
+    assert.deepStrictEqual(minusTides(predictions, { below: 1 }).map(e => e.t),
+        ['2025-06-01 03:12', '2025-06-15 04:01', '2025-07-01 13:05']);
+    assert.deepStrictEqual(minusTides(predictions, { filter: daylightTest(SEATTLE, ZONE) }).map(e => e.t),
+        ['2025-07-01 13:05']);
+});
+
+test('monthly extremes pick the lowest low and highest high of each month', () => {
+    assert.deepStrictEqual(monthlyExtremes(predictions), [
+        {
+            month: '2025-06',
+            lowest: { t: '2025-06-01 03:12', type: 'L', height: -1.2 },
+            highest: { t: '2025-06-01 21:30', type: 'H', height: 12.4 },
+        },
+        {
+            month: '2025-07',
+            lowest: { t: '2025-07-01 13:05', type: 'L', height: -0.4 },
+            highest: { t: '2025-07-01 20:15', type: 'H', height: 11.8 },
+        },
+    ]);
+    const daylight = monthlyExtremes(predictions, { filter: daylightTest(SEATTLE, ZONE) });
+    assert.strictEqual(daylight[0].lowest.t, '2025-06-01 15:02');
+    assert.strictEqual(daylight[0].highest.t, '2025-06-01 10:40');
+});
+
+test('the king tide threshold is the height ranked at the fraction of all highs', () => {
+    // 100 highs of 1..100 ft: the top 2% are the two highest.
+    const highs = Array.from({ length: 100 }, (_, i) =>
+        record(`2025-01-${String(1 + Math.floor(i / 4)).padStart(2, '0')} ${String(i % 4 * 6).padStart(2, '0')}:00`, 'H', i + 1));
+    const kings = kingTides(highs);
+    assert.strictEqual(kings.threshold, 99);
+    assert.deepStrictEqual(kings.events.map(e => e.height), [99, 100]);
+    // Fewer highs than one fraction still rank the highest one.
+    assert.strictEqual(kingTides(predictions).threshold, 12.4);
+    assert.strictEqual(kingTides(predictions, { fraction: 0.75 }).threshold, 11.1);
+    assert.deepStrictEqual(kingTides([record('2025-01-01 03:00', 'L', -1)]), { threshold: null, events: [] });
+});
+
+test('the king tide filter does not change the threshold', () => {
+    // The 12.4 ft high at 21:30 on Jun 1 comes after sunset.
+    const daylight = kingTides(predictions, { fraction: 0.75, filter: daylightTest(SEATTLE, ZONE) });
+    assert.strictEqual(daylight.threshold, 11.1);
+    assert.deepStrictEqual(daylight.events.map(e => e.t), ['2025-06-01 10:40', '2025-07-01 20:15']);
+    const night = kingTides(predictions, { fraction: 0.75, filter: e => e.t.endsWith('03:00') });
+    assert.strictEqual(night.threshold, 11.1);
+    assert.deepStrictEqual(night.events, []);
+});
+
+test('daylight runs from sunrise to sunset in the station zone', () => {
+    const isDaylight = daylightTest(SEATTLE, ZONE);
+    assert.strictEqual(isDaylight({ t: '2025-06-21 05:00' }), false);
+    assert.strictEqual(isDaylight({ t: '2025-06-21 05:30' }), true);
+    assert.strictEqual(isDaylight({ t: '2025-06-21 21:00' }), true);
+    assert.strictEqual(isDaylight({ t: '2025-06-21 21:30' }), false);
+    assert.strictEqual(isDaylight({ t: '2025-12-21 07:30' }), false);
+    assert.strictEqual(isDaylight({ t: '2025-12-21 16:00' }), true);
+    // No sunrise in a polar night, so nothing is in daylight.
+    const polar = daylightTest({ latitude: 78.2, longitude: 15.6 }, 'Europe/Oslo');
+    assert.strictEqual(polar({ t: '2025-12-21 12:00' }), false);
+});
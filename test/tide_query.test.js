@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cosineInterpolate, tideHeightAt, currentVelocityAt, parseQueryTime, SERIES_MAX_GAP_MINUTES } = require('../tide_query.js');
+
+const TIME_ZONE = 'America/Los_Angeles';
+
+test('cosine interpolation is halfway at the midpoint and level at the turns', () => {
+    const high = { minutes: 0, value: 10 };
+    const low = { minutes: 360, value: 2 };
+    assert.strictEqual(cosineInterpolate(high, low, 180), 6);
+    assert.strictEqual(cosineInterpolate(high, low, 0), 10);
+    assert.strictEqual(cosineInterpolate(high, low, 360), 2);
+    // A quarter of the way the tide has fallen less than a quarter of its range.
+    assert.ok(cosineInterpolate(high, low, 90) > 8);
+});
+
+test('tideHeightAt interpolates between high and low waters', () => {
+    const events = [
+        { t: '2025-06-01 03:00', v: '10.000', type: 'H' },
+        { t: '2025-06-01 09:00', v: '2.000', type: 'L' },
+    ];
+    const estimate = tideHeightAt('2025-06-01 06:00', events);
+    assert.strictEqual(estimate.method, 'cosine');
+    assert.strictEqual(estimate.trend, 'falling');
+    assert.ok(Math.abs(estimate.height - 6) < 1e-9);
+    assert.strictEqual(tideHeightAt('2025-06-01 10:00', events), null);
+});
+
+test('current velocity follows a quarter sine wave from slack to maximum', () => {
+    const events = [
+        { Time: '2025-06-01 00:00', Type: 'slack', Velocity_Major: 0 },
+        { Time: '2025-06-01 03:00', Type: 'flood', Velocity_Major: 2 },
+        { Time: '2025-06-01 06:00', Type: 'slack', Velocity_Major: 0 },
+    ];
+    // A third of the way to the maximum is sin(30°), half its speed.
+    const rising = currentVelocityAt('2025-06-01 01:00', events);
+    assert.strictEqual(rising.method, 'cosine');
+    assert.ok(Math.abs(rising.velocity - 1) < 1e-9);
+    assert.ok(Math.abs(currentVelocityAt('2025-06-01 05:00', events).velocity - 1) < 1e-9);
+    assert.strictEqual(currentVelocityAt('2025-06-01 03:00', events).velocity, 2);
+});
+
+test('a series gap longer than SERIES_MAX_GAP_MINUTES is not bridged', () => {
+    assert.ok(SERIES_MAX_GAP_MINUTES < 180);
+    const currents = [
+        { Time: '2025-06-01 00:00', Velocity_Major: 1 },
+        { Time: '2025-06-01 03:00', Velocity_Major: 3 },
+    ];
+    assert.strictEqual(currentVelocityAt('2025-06-01 01:00', [], currents), null);
+    const tides = [
+        { t: '2025-06-01 00:00', v: '1.0' },
+        { t: '2025-06-01 01:00', v: '3.0' },
+        { t: '2025-06-01 04:00', v: '5.0' },
+    ];
+    assert.deepStrictEqual(tideHeightAt('2025-06-01 00:30', [], tides), { height: 2, method: 'series', trend: null });
+    assert.strictEqual(tideHeightAt('2025-06-01 02:30', [], tides), null);
+    // High and low waters either side still give an estimate.
+    const events = [
+        { t: '2025-06-01 00:00', v: '1.0', type: 'L' },
+        { t: '2025-06-01 06:00', v: '9.0', type: 'H' },
+    ];
+    assert.strictEqual(tideHeightAt('2025-06-01 02:30', events, tides).method, 'cosine');
+});
+
+test('"tomorrow" rolls over into the next year', () => {
+    // 20:00 on Dec 31 in Seattle.
+    const now = new Date('2026-01-01T04:00:00Z');
+    assert.strictEqual(parseQueryTime('tomorrow 06:15', TIME_ZONE, now), '2026-01-01 06:15');
+    assert.strictEqual(parseQueryTime('06:15', TIME_ZONE, now), '2025-12-31 06:15');
+    assert.strictEqual(parseQueryTime('now', TIME_ZONE, now), '2025-12-31 20:00');
+});
+
+test('clock times skipped when daylight saving time begins are rejected', () => {
+    assert.throws(() => parseQueryTime('2026-03-08 02:30', TIME_ZONE), /does not exist/);
+    assert.strictEqual(parseQueryTime('2026-03-08 03:00', TIME_ZONE), '2026-03-08 03:00');
+    // The hour repeated when it ends does exist.
+    assert.strictEqual(parseQueryTime('2026-11-01 01:30', TIME_ZONE), '2026-11-01 01:30');
+});
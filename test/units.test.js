@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveUnits, unitsFromCli, formatClockTime, convertSpeed, UnitsError, DEFAULT_UNITS } = require('../units.js');
+
+test('resolveUnits fills in the defaults and normalizes aliases', () => {
+    assert.deepStrictEqual(resolveUnits(), DEFAULT_UNITS);
+    assert.deepStrictEqual(resolveUnits({ height: 'Meters', speed: 'knots', datum: 'navd', clock: '12h' }),
+        { height: 'm', speed: 'kn', datum: 'NAVD88', clock: '12' });
+    assert.strictEqual(resolveUnits({ speed: 'cm/s' }).speed, 'cm/s');
+    assert.ok(Object.isFrozen(resolveUnits()));
+});
+
+test('resolveUnits rejects unknown units, datums and clocks', () => {
+    assert.throws(() => resolveUnits({ height: 'fathoms' }), UnitsError);
+    assert.throws(() => resolveUnits({ speed: 'mph' }), /Unknown speed unit "mph"/);
+    assert.throws(() => resolveUnits({ datum: 'XYZ' }), /Unknown datum/);
+    assert.throws(() => resolveUnits({ clock: 10 }), /24 or 12/);
+});
+
+test('unitsFromCli applies --metric, which an explicit --speed-unit overrides', () => {
+    assert.deepStrictEqual(unitsFromCli({}), DEFAULT_UNITS);
+    assert.deepStrictEqual(unitsFromCli({ metric: true }), { ...DEFAULT_UNITS, height: 'm', speed: 'm/s' });
+    assert.strictEqual(unitsFromCli({ metric: true, 'speed-unit': 'kn' }).speed, 'kn');
+    assert.strictEqual(unitsFromCli({ 'speed-unit': 'cm/s', clock: '12' }).clock, '12');
+    assert.throws(() => unitsFromCli({ metric: true, 'height-unit': 'ft' }), /--metric cannot be combined/);
+});
+
+test('formatClockTime keeps the 24-hour clock and converts to the 12-hour one', () => {
+    assert.strictEqual(formatClockTime('2025-06-01 13:05'), '13:05');
+    assert.strictEqual(formatClockTime('13:05', '12'), '1:05 PM');
+    assert.strictEqual(formatClockTime('2025-06-01 00:30', '12'), '12:30 AM');
+    assert.strictEqual(formatClockTime('12:00', '12'), '12:00 PM');
+    assert.strictEqual(formatClockTime('--:--', '12'), '--:--');
+});
+
+test('convertSpeed converts between knots, meters and centimeters per second', () => {
+    assert.strictEqual(convertSpeed(1.5, 'kn', 'kn'), 1.5);
+    assert.ok(Math.abs(convertSpeed(1, 'kn', 'm/s') - 1852 / 3600) < 1e-12);
+    assert.ok(Math.abs(convertSpeed(100, 'cm/s', 'm/s') - 1) < 1e-12);
+    assert.ok(Math.abs(convertSpeed(convertSpeed(2.5, 'kn', 'cm/s'), 'cm/s', 'kn') - 2.5) < 1e-12);
+});
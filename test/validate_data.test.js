@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSeries, FetchManifest } = require('../validate_data.js');
+
+const pad = n => String(n).padStart(2, '0');
+
+// A six-minute series from 00:00 to 23:54 of each day, as {t, v} records.
+function series(days) {
+    const records = [];
+    for (const day of days) {
+        for (let minute = 0; minute < 1440; minute += 6) {
+            records.push({ t: `${day} ${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`, v: '1.000' });
+        }
+    }
+    return records;
+}
+
+// The same series with the hour DST ends on `day` run through `passes` times.
+function withRepeatedHour(records, day, passes = 2) {
+    const last = records.findIndex(r => r.t === `${day} 01:54`);
+    const hour = records.filter(r => r.t.startsWith(`${day} 01:`));
+    return [...records.slice(0, last + 1), ...Array(passes - 1).fill(hour).flat(), ...records.slice(last + 1)];
+}
+
+const tides = [
+    { t: '2025-06-01 04:39', v: '0.155', type: 'L' },
+    { t: '2025-06-01 11:20', v: '9.870', type: 'H' },
+    { t: '2025-06-01 16:50', v: '6.020', type: 'L' },
+    { t: '2025-06-01 22:31', v: '11.900', type: 'H' },
+];
+const june1 = new Date(2025, 5, 1);
+const rules = issues => issues.map(issue => issue.rule);
+
+test('a complete series has no issues', () => {
+    assert.deepStrictEqual(validateSeries(tides, 'tide', june1, june1), []);
+    assert.deepStrictEqual(validateSeries(series(['2025-06-01', '2025-06-02']), 'hourly', june1, new Date(2025, 5, 2)), []);
+});
+
+test('duplicated and out-of-order events are reported', () => {
+    assert.deepStrictEqual(rules(validateSeries([...tides.slice(0, 2), tides[1], ...tides.slice(2)], 'tide', june1, june1)), ['duplicate']);
+    const swapped = [tides[0], tides[2], tides[1], tides[3]];
+    assert.ok(rules(validateSeries(swapped, 'tide', june1, june1)).includes('out-of-order'));
+});
+
+test('gaps, partial days and missing days are reported', () => {
+    const gap = validateSeries([tides[0], tides[3]], 'tide', june1, june1);
+    assert.deepStrictEqual(rules(gap), ['gap']);
+    assert.match(gap[0].message, /no events for 17\.9 h/);
+    const partial = validateSeries([tides[0]], 'tide', june1, june1);
+    assert.deepStrictEqual(partial, [{ rule: 'partial-day', day: '2025-06-01', message: '2025-06-01: only 1 events' }]);
+    const missing = validateSeries(tides, 'tide', june1, new Date(2025, 5, 2));
+    assert.deepStrictEqual(missing, [{ rule: 'missing-day', day: '2025-06-02', message: '2025-06-02: no events' }]);
+});
+
+test('bad values, types and timestamps are reported', () => {
+    const bad = [
+        { ...tides[0], v: 'NaN' },
+        { ...tides[1], type: 'X' },
+        tides[2],
+        { ...tides[3], t: '2025-06-01T22:31' },
+    ];
+    assert.deepStrictEqual(rules(validateSeries(bad, 'tide', june1, june1)), ['nan-value', 'unexpected-type', 'bad-timestamp']);
+});
+
+test('the hour repeated when DST ends is neither a duplicate nor out of order', () => {
+    const night = new Date(2025, 10, 2);
+    const records = withRepeatedHour(series(['2025-11-02']), '2025-11-02');
+    assert.deepStrictEqual(validateSeries(records, 'hourly', night, night), []);
+    const currents = records.map(r => ({ Time: r.t, Velocity_Major: 0.5 }));
+    assert.deepStrictEqual(validateSeries(currents, 'currentSeries', night, night), []);
+    // A third pass is a duplicate.
+    const thrice = withRepeatedHour(series(['2025-11-02']), '2025-11-02', 3);
+    assert.deepStrictEqual(rules(validateSeries(thrice, 'hourly', night, night)),
+        Array(10).fill('duplicate'));
+});
+
+test('the 01:00 hour of any other night is checked', () => {
+    const records = withRepeatedHour(series(['2025-06-01']), '2025-06-01');
+    const issues = rules(validateSeries(records, 'hourly', june1, june1));
+    assert.deepStrictEqual(issues, Array(10).fill('duplicate'));
+    // In another zone the repeated hour falls on another night.
+    const london = withRepeatedHour(series(['2025-10-26']), '2025-10-26');
+    const sunday = new Date(2025, 9, 26);
+    assert.strictEqual(validateSeries(london, 'hourly', sunday, sunday, 'America/Los_Angeles').length, 10);
+    assert.deepStrictEqual(validateSeries(london, 'hourly', sunday, sunday, 'Europe/London'), []);
+});
+
+test('FetchManifest is complete only without failed chunks or issues', () => {
+    const manifest = new FetchManifest({ timeZone: 'America/Los_Angeles' });
+    const params = { station: '9447130', begin_date: '20250601', end_date: '20250601' };
+    manifest.recordChunk({ label: 'tide data', params, status: 'ok', events: 4 });
+    manifest.validate({ name: 'Seattle', id: '9447130' }, 'tide', tides, june1, june1);
+    assert.strictEqual(manifest.complete, true);
+    assert.deepStrictEqual(manifest.problems(), []);
+
+    manifest.validate({ name: 'Seattle', id: '9447130' }, 'tide', tides.slice(0, 1), june1, june1);
+    manifest.recordChunk({ label: 'tide data', params, status: 'failed', events: 0, error: new Error('timeout') });
+    assert.strictEqual(manifest.complete, false);
+    assert.strictEqual(manifest.issueCount, 1);
+    assert.deepStrictEqual(manifest.problems(), [
+        'tide data 9447130 20250601-20250601: request failed (timeout)',
+        'tide "Seattle": 2025-06-01: only 1 events',
+    ]);
+    assert.strictEqual(manifest.toJSON().summary.failed, 1);
+});
@@ -0,0 +1,263 @@
+const { parseArgs } = require('util');
+const { fetchTideData, fetchSubordinateTideData, checkDatum } = require('./fetch_data.js');
+const { loadRegion } = require('./region_config.js');
+const { sunTimes } = require('./astronomy.js');
+const { zonedTime, formatDay } = require('./time_zone.js');
+const { dateRangeFromCli, fetchFromCli, DATE_RANGE_CLI_OPTIONS, DATE_RANGE_USAGE, FETCH_CLI_OPTIONS, FETCH_USAGE } = require('./cli_options.js');
+const { formatClockTime, unitsSummary, unitsFromCli, UNIT_CLI_OPTIONS, UNIT_USAGE } = require('./units.js');
+
+// King tides are the high waters in this top fraction of a station's highs.
+// Ranked over a year that is the dozen or so highest tides, which come with
+// the perigean spring tides.
+const KING_TIDE_FRACTION = 0.02;
+
+const KINDS = ['minus', 'monthly', 'king'];
+
+// Splits a NOAA "YYYY-MM-DD HH:MM" clock time into numbers.
+function clockParts(t) {
+    const [year, month, day, hour, minute] = t.split(/[- :]/).map(Number);
+    return { year, month, day, hour, minute };
+}
+
+// A NOAA hilo record as an event with a numeric height.
+function toEvent(record) {
+    return { t: record.t, type: record.type, height: parseFloat(record.v) };
+}
+
+/**
+ * Makes a test for whether a tide event falls between sunrise and sunset at
+ * a location. Sun times are worked out once per day.
+ * @param {{latitude: number, longitude: number}} location - Usually the station's own.
+ * @param {string} timeZone - The zone the event times are in.
+ * @returns {function(object): boolean} - Takes an event or NOAA record with `t`.
+ */
+function daylightTest(location, timeZone) {
+    const days = new Map();
+    return event => {
+        const { year, month, day, hour, minute } = clockParts(event.t);
+        const key = event.t.slice(0, 10);
+        if (!days.has(key)) days.set(key, sunTimes(new Date(year, month - 1, day), location, timeZone));
+        const { sunrise, sunset } = days.get(key);
+        // Comparisons with the invalid Dates of a polar day or night are false.
+        const time = zonedTime(year, month, day, hour, minute, timeZone);
+        return time >= sunrise && time <= sunset;
+    };
+}
+
+/**
+ * Finds the low waters below a height, by default the minus tides: lows
+ * below the datum of the predictions, normally mean lower low water.
+ * @param {Array<object>} predictions - NOAA hilo records ({t, v, type}).
+ * @param {object} [options]
+ * @param {number} [options.below] - Height in the predictions' unit (default 0).
+ * @param {function(object): boolean} [options.filter] - E.g. a daylightTest.
+ * @returns {Array<{t: string, type: string, height: number}>} - In time order.
+ */
+function minusTides(predictions, { below = 0, filter = null } = {}) {
+    return predictions
+        .filter(p => p.type === 'L' && parseFloat(p.v) < below && (!filter || filter(p)))
+        .map(toEvent);
+}
+
+/**
+ * Finds the lowest low and highest high water of each calendar month.
+ * @param {Array<object>} predictions - NOAA hilo records ({t, v, type}).
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.filter] - E.g. a daylightTest.
+ * @returns {Array<{month: string, lowest: object|null, highest: object|null}>} -
+ *   One entry per month ("YYYY-MM") with any events, in order.
+ */
+function monthlyExtremes(predictions, { filter = null } = {}) {
+    const months = new Map();
+    for (const p of predictions) {
+        if (filter && !filter(p)) continue;
+        const month = p.t.slice(0, 7);
+        if (!months.has(month)) months.set(month, { month, lowest: null, highest: null });
+        const entry = months.get(month);
+        const event = toEvent(p);
+        if (p.type === 'L' && (!entry.lowest || event.height < entry.lowest.height)) entry.lowest = event;
+        if (p.type === 'H' && (!entry.highest || event.height > entry.highest.height)) entry.highest = event;
+    }
+    return [...months.values()];
+}
+
+/**
+ * Finds the king tides: the high waters in the top `fraction` of all the
+ * highs given, so pass a year of predictions for the usual meaning. The
+ * filter only picks which of them are returned, not how they rank.
+ * @param {Array<object>} predictions - NOAA hilo records ({t, v, type}).
+ * @param {object} [options]
+ * @param {number} [options.fraction] - Default KING_TIDE_FRACTION.
+ * @param {function(object): boolean} [options.filter] - E.g. a daylightTest.
+ * @returns {{threshold: number|null, events: Array<object>}} - The lowest
+ *   height that counts, and the king tides in time order.
+ */
+function kingTides(predictions, { fraction = KING_TIDE_FRACTION, filter = null } = {}) {
+    const highs = predictions.filter(p => p.type === 'H').map(toEvent);
+    if (highs.length === 0) return { threshold: null, events: [] };
+    const ranked = highs.map(e => e.height).sort((a, b) => b - a);
+    const threshold = ranked[Math.max(1, Math.ceil(highs.length * fraction)) - 1];
+    return { threshold, events: highs.filter(e => e.height >= threshold && (!filter || filter(e))) };
+}
+
+/**
+ * Formats an event for tables, e.g. "Sat, Mar 29 07:12  -1.2".
+ * @param {{t: string, height: number}} event
+ * @param {object} [options]
+ * @param {boolean} [options.year] - Include the year.
+ * @param {string} [options.clock] - "24" (default) or "12" (see units.js).
+ * @returns {string}
+ */
+function formatEvent(event, { year = false, clock = '24' } = {}) {
+    const parts = clockParts(event.t);
+    const day = new Date(parts.year, parts.month - 1, parts.day)
+        .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', ...(year ? { year: 'numeric' } : {}) });
+    return `${day} ${formatClockTime(event.t, clock)}  ${event.height.toFixed(1)}`;
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node tide_extremes.js --station <name|id> [options]
+
+Lists a tide station's minus tides, the lowest and highest tide of each month
+and its king tides. Times are local (lst_ldt).
+
+Options:
+  --station <name|id>         Tide station of the region (required)
+  --region <name|file>        Region file, or the name of one in regions/ (default: puget_sound)
+${DATE_RANGE_USAGE}
+  --only <kinds>              Comma-separated ${KINDS.join(', ')} (default: all)
+  --below <height>            List lows below this height as minus tides (default: 0)
+  --king-fraction <f>         Fraction of the year's high waters that are king tides (default: ${KING_TIDE_FRACTION})
+  --daylight                  Only tides between sunrise and sunset at the station
+  --json                      Print JSON instead of text
+${FETCH_USAGE}
+${UNIT_USAGE}
+  -h, --help                  Show this help`;
+
+function parseCliOptions(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            station: { type: 'string' },
+            region: { type: 'string' },
+            ...DATE_RANGE_CLI_OPTIONS,
+            only: { type: 'string' },
+            below: { type: 'string' },
+            'king-fraction': { type: 'string' },
+            daylight: { type: 'boolean' },
+            json: { type: 'boolean' },
+            ...FETCH_CLI_OPTIONS,
+            ...UNIT_CLI_OPTIONS,
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) return null;
+    if (values.station === undefined) throw new Error(`--station is required.\n\n${USAGE}`);
+
+    const region = loadRegion(values.region);
+    const wanted = values.station.toLowerCase();
+    const station = region.tideStations.find(s => s.name.toLowerCase() === wanted || s.id === values.station);
+    if (!station) {
+        throw new Error(`No tide station "${values.station}" in ${region.title}. Known stations: ${region.tideStations.map(s => s.name).join(', ')}.`);
+    }
+
+    const range = dateRangeFromCli(values);
+    const startDate = range.startDate || new Date(new Date().getFullYear() + 1, 0, 1);
+    const endDate = range.endDate || new Date(startDate.getFullYear(), 11, 31);
+
+    const kinds = values.only === undefined ? KINDS : values.only.split(',').map(kind => kind.trim());
+    for (const kind of kinds) {
+        if (!KINDS.includes(kind)) throw new Error(`Unknown kind "${kind}" for --only. Known kinds: ${KINDS.join(', ')}.`);
+    }
+    const below = values.below === undefined ? 0 : Number(values.below);
+    if (!Number.isFinite(below)) throw new Error(`--below expects a height, got "${values.below}".`);
+    const fraction = values['king-fraction'] === undefined ? KING_TIDE_FRACTION : Number(values['king-fraction']);
+    if (!(fraction > 0 && fraction <= 1)) throw new Error(`--king-fraction expects a fraction between 0 and 1, got "${values['king-fraction']}".`);
+
+    const units = unitsFromCli(values);
+    const fetch = { ...fetchFromCli(values), timeZone: region.timeZone, units };
+
+    return { region, station, startDate, endDate, kinds, below, fraction, daylight: Boolean(values.daylight), json: Boolean(values.json), units, fetch };
+}
+
+async function main() {
+    const options = parseCliOptions(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    const { region, station, startDate, endDate, kinds, below, fraction, daylight, units } = options;
+
+    // King tides rank against whole years, so fetch the years the range is in.
+    const yearStart = new Date(startDate.getFullYear(), 0, 1);
+    const yearEnd = new Date(endDate.getFullYear(), 11, 31);
+    await checkDatum({ ...region, tideStations: [station] }, options.fetch);
+    const data = station.reference
+        ? await fetchSubordinateTideData(station, yearStart, yearEnd, options.fetch)
+        : await fetchTideData(station.id, yearStart, yearEnd, options.fetch);
+    const year = data.predictions || [];
+    const first = `${formatDay(startDate)} 00:00`;
+    const last = `${formatDay(endDate)} 23:59`;
+    const inRange = p => p.t >= first && p.t <= last;
+    const predictions = year.filter(inRange);
+    const isDaylight = daylightTest(station, region.timeZone);
+    const filter = daylight ? isDaylight : null;
+
+    const result = {
+        station: { name: station.name, id: station.id, reference: station.reference },
+        startDate: formatDay(startDate),
+        endDate: formatDay(endDate),
+        units: { height: units.height, datum: units.datum },
+        daylight,
+    };
+    if (kinds.includes('minus')) result.minusTides = { below, events: minusTides(predictions, { below, filter }) };
+    if (kinds.includes('monthly')) result.monthly = monthlyExtremes(predictions, { filter });
+    if (kinds.includes('king')) {
+        const kings = kingTides(year, { fraction, filter });
+        result.kingTides = { fraction, threshold: kings.threshold, events: kings.events.filter(inRange) };
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    const line = event => `  ${formatEvent(event, { year: true, clock: units.clock })} ${units.height}`;
+    console.log(`${station.name} (${station.id}), ${result.startDate} to ${result.endDate}${daylight ? ', daylight only' : ''}`);
+    console.log(unitsSummary(units, { speed: false }));
+    if (result.minusTides) {
+        const { events } = result.minusTides;
+        console.log(`\nMINUS TIDES (lows below ${below.toFixed(1)} ${units.height}): ${events.length}`);
+        events.forEach(event => console.log(line(event)));
+    }
+    if (result.monthly) {
+        console.log('\nLOWEST AND HIGHEST TIDE OF EACH MONTH');
+        for (const { month, lowest, highest } of result.monthly) {
+            const format = event => (event ? formatEvent(event, { clock: units.clock }) : '-');
+            console.log(`  ${month}  low ${format(lowest)}   high ${format(highest)}`);
+        }
+    }
+    if (result.kingTides) {
+        const { threshold, events } = result.kingTides;
+        const range = threshold === null ? 'no high waters' : `${threshold.toFixed(1)} ${units.height} and above`;
+        // Rounded, so that 0.07 prints as 7% rather than 7.000000000000001%.
+        console.log(`\nKING TIDES (top ${Number((fraction * 100).toFixed(4))}% of the year's high waters, ${range}): ${events.length}`);
+        events.forEach(event => console.log(line(event)));
+    }
+}
+
+module.exports = {
+    minusTides,
+    monthlyExtremes,
+    kingTides,
+    daylightTest,
+    formatEvent,
+    KING_TIDE_FRACTION
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
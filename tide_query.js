@@ -0,0 +1,447 @@
+const { parseArgs } = require('util');
+const {
+    fetchTideData, fetchHourlyTideData, fetchSubordinateTideData, fetchCurrentData, fetchCurrentSeries,
+    currentBinForDepth, checkDatum, clockToMinutes, minutesToClock, DEFAULT_SLACK_THRESHOLD,
+} = require('./fetch_data.js');
+const { fetchFromCli, FETCH_CLI_OPTIONS, FETCH_USAGE } = require('./cli_options.js');
+const { loadRegion } = require('./region_config.js');
+const { formatZoned, zonedTime } = require('./time_zone.js');
+const { resolveUnits, convertSpeed, formatClockTime, unitsSummary, unitsFromCli, UNIT_CLI_OPTIONS, UNIT_USAGE } = require('./units.js');
+
+// Samples of a predicted series further apart than this are a gap (a failed
+// chunk, or the end of the data), which the estimate does not bridge.
+const SERIES_MAX_GAP_MINUTES = 120;
+
+// Tides turn about four times a day, currents (slacks and maxima) about eight.
+const EVENTS_PER_DAY = { tide: 4, current: 8 };
+
+// --- Interpolation ---
+
+// NOAA records as {minutes, value, type} points in time order. Clock time
+// repeats an hour when DST ends; only the first pass is kept.
+function toPoints(records, timeKey, valueOf, typeKey = null) {
+    const points = [];
+    for (const record of records) {
+        const minutes = clockToMinutes(record[timeKey]);
+        const value = valueOf(record);
+        if (!Number.isFinite(minutes) || !Number.isFinite(value)) continue;
+        if (points.length > 0 && minutes <= points[points.length - 1].minutes) continue;
+        points.push({ minutes, value, type: typeKey ? record[typeKey] : null });
+    }
+    return points;
+}
+
+// Index of the first of the two points either side of `minutes`, or -1 when
+// it is outside them. `from` lets a caller walking forward resume its search.
+function bracketIndex(points, minutes, from = 0) {
+    for (let i = Math.max(0, from); i + 1 < points.length; i++) {
+        if (points[i + 1].minutes < minutes) continue;
+        return points[i].minutes <= minutes ? i : -1;
+    }
+    return -1;
+}
+
+/**
+ * Standard cosine interpolation between two successive turning points, such
+ * as a high and the following low water: the curve follows half a cosine wave
+ * from one to the other, level at both.
+ * @param {{minutes: number, value: number}} a - The earlier turning point.
+ * @param {{minutes: number, value: number}} b - The later one.
+ * @param {number} minutes - A time between them, on the same clock.
+ * @returns {number}
+ */
+function cosineInterpolate(a, b, minutes) {
+    if (b.minutes === a.minutes) return a.value;
+    const fraction = (minutes - a.minutes) / (b.minutes - a.minutes);
+    return a.value + (b.value - a.value) * (1 - Math.cos(Math.PI * fraction)) / 2;
+}
+
+// Straight-line estimate from a predicted series, or null where it has no
+// samples close enough on both sides.
+function seriesValueAt(points, minutes) {
+    const i = bracketIndex(points, minutes);
+    if (i < 0) return null;
+    const [a, b] = [points[i], points[i + 1]];
+    if (a.minutes === minutes) return a.value;
+    if (b.minutes - a.minutes > SERIES_MAX_GAP_MINUTES) return null;
+    return a.value + (b.value - a.value) * (minutes - a.minutes) / (b.minutes - a.minutes);
+}
+
+/**
+ * Estimates the height of the tide at a clock time. Where a predicted series
+ * (hourly or six-minute) is given and covers the time, the height is read off
+ * it; otherwise it is interpolated between the high and low waters either
+ * side by cosine interpolation.
+ * @param {string} time - Local clock time, "YYYY-MM-DD HH:MM".
+ * @param {Array<{t: string, v: string, type: string}>} events - NOAA hilo records in time order.
+ * @param {Array<{t: string, v: string}>} [series] - NOAA series records in time order.
+ * @returns {{height: number, method: string, trend: string|null}|null} - `method`
+ *   is "series" or "cosine"; `trend` is "rising" or "falling" when the next
+ *   event is known. Null when neither covers the time.
+ */
+function tideHeightAt(time, events, series = null) {
+    const minutes = clockToMinutes(time);
+    const turns = toPoints(events, 't', p => parseFloat(p.v), 'type');
+    const i = bracketIndex(turns, minutes);
+    const trend = i < 0 ? null : (turns[i + 1].type === 'H' ? 'rising' : 'falling');
+    const fromSeries = series ? seriesValueAt(toPoints(series, 't', p => parseFloat(p.v)), minutes) : null;
+    if (fromSeries !== null) return { height: fromSeries, method: 'series', trend };
+    if (i < 0) return null;
+    return { height: cosineInterpolate(turns[i], turns[i + 1], minutes), method: 'cosine', trend };
+}
+
+/**
+ * Estimates the signed velocity of a tidal current at a clock time (flood
+ * positive, ebb negative). Where a predicted series covers the time it is
+ * read off it; otherwise it is interpolated between the slacks and maxima
+ * either side: a quarter sine wave from a slack up to a maximum and back down
+ * to the next slack, as in the speed-at-a-time table of NOAA's current
+ * tables, and cosine interpolation between two maxima with no slack between.
+ * @param {string} time - Local clock time, "YYYY-MM-DD HH:MM".
+ * @param {Array<{Time: string, Type: string, Velocity_Major: number}>} events - NOAA
+ *   max_slack records in time order.
+ * @param {Array<{Time: string, Velocity_Major: number}>} [series] - A NOAA velocity series in time order.
+ * @returns {{velocity: number, method: string}|null} - `method` is "series" or
+ *   "cosine"; null when neither covers the time.
+ */
+function currentVelocityAt(time, events, series = null) {
+    const minutes = clockToMinutes(time);
+    const fromSeries = series ? seriesValueAt(toPoints(series, 'Time', p => parseFloat(p.Velocity_Major)), minutes) : null;
+    if (fromSeries !== null) return { velocity: fromSeries, method: 'series' };
+
+    const turns = toPoints(events, 'Time', p => (p.Type === 'slack' ? 0 : parseFloat(p.Velocity_Major)), 'Type');
+    const i = bracketIndex(turns, minutes);
+    if (i < 0) return null;
+    const [a, b] = [turns[i], turns[i + 1]];
+    const quarter = b.minutes === a.minutes ? 0 : (Math.PI / 2) * (minutes - a.minutes) / (b.minutes - a.minutes);
+    let velocity;
+    if (a.type === 'slack' && b.type === 'slack') velocity = 0;
+    else if (a.type === 'slack') velocity = b.value * Math.sin(quarter);
+    else if (b.type === 'slack') velocity = a.value * Math.cos(quarter);
+    else velocity = cosineInterpolate(a, b, minutes);
+    return { velocity, method: 'cosine' };
+}
+
+/**
+ * Builds a tide series from high and low waters by cosine interpolation, in
+ * the shape of NOAA's: for graphing stations NOAA publishes no series for,
+ * such as subordinate stations. Samples fall every `intervalMinutes` of clock
+ * time from the first day's midnight to the midnight after the last day,
+ * wherever events lie on both sides, so pass the events of a day either side
+ * for full days.
+ * @param {Array<{t: string, v: string, type: string}>} events - NOAA hilo records in time order.
+ * @param {Date} startDate - First day.
+ * @param {Date} endDate - Last day.
+ * @param {number} [intervalMinutes] - Default 60.
+ * @returns {Array<{t: string, v: string}>}
+ */
+function tideSeriesFromEvents(events, startDate, endDate, intervalMinutes = 60) {
+    const turns = toPoints(events, 't', p => parseFloat(p.v));
+    const first = Date.UTC(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()) / 60000;
+    const last = Date.UTC(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1) / 60000;
+    const series = [];
+    let i = 0;
+    for (let minutes = first; minutes <= last; minutes += intervalMinutes) {
+        const found = bracketIndex(turns, minutes, i);
+        if (found < 0) continue;
+        i = found;
+        series.push({ t: minutesToClock(minutes), v: cosineInterpolate(turns[i], turns[i + 1], minutes).toFixed(3) });
+    }
+    return series;
+}
+
+/**
+ * The first `count` records at or after a clock time.
+ * @param {Array<object>} records - NOAA records in time order.
+ * @param {string} time - Local clock time, "YYYY-MM-DD HH:MM".
+ * @param {number} count
+ * @param {string} [timeKey] - "t" for tides (default), "Time" for currents.
+ * @returns {Array<object>}
+ */
+function nextEvents(records, time, count, timeKey = 't') {
+    return records.filter(r => r[timeKey] >= time).slice(0, count);
+}
+
+// --- Queries ---
+
+// Host-local Dates for the days to fetch around a query: the day before
+// `at`, so the events either side are known, to enough days after it for
+// `next` events and the estimate.
+function queryRange(at, next, perDay) {
+    const [year, month, day] = at.slice(0, 10).split('-').map(Number);
+    return {
+        startDate: new Date(year, month - 1, day - 1),
+        endDate: new Date(year, month - 1, day + 1 + Math.ceil(next / perDay)),
+    };
+}
+
+/**
+ * Fetches a tide station's predictions around a time and estimates the
+ * height then (see tideHeightAt). NOAA's hourly series is used where it has
+ * one, that is for all but subordinate stations, unless `cosine` is set.
+ * @param {object} station - A tide station of a validated region (see region_config.js).
+ * @param {object} query
+ * @param {string} query.at - Local clock time, "YYYY-MM-DD HH:MM".
+ * @param {number} [query.next] - How many of the following high and low waters to list (default 0).
+ * @param {boolean} [query.cosine] - Always interpolate between high and low waters.
+ * @param {object} [options] - Cache, source, time zone and unit settings (see fetch_data.js).
+ * @returns {Promise<object>} - {kind: "tide", station, units, at, height, method, trend, events}.
+ */
+async function queryTide(station, { at, next = 0, cosine = false }, options = {}) {
+    const { startDate, endDate } = queryRange(at, next, EVENTS_PER_DAY.tide);
+    const [tides, hourly] = await Promise.all([
+        station.reference
+            ? fetchSubordinateTideData(station, startDate, endDate, options)
+            : fetchTideData(station.id, startDate, endDate, options),
+        station.reference || cosine ? null : fetchHourlyTideData(station.id, startDate, endDate, options),
+    ]);
+    const events = tides.predictions || [];
+    const estimate = tideHeightAt(at, events, hourly && hourly.predictions);
+    if (!estimate) throw new Error(`No tide predictions around ${at} at ${station.name}.`);
+    return {
+        kind: 'tide',
+        station: { name: station.name, id: station.id, reference: station.reference ?? null },
+        units: resolveUnits(options.units),
+        at,
+        // Rounded to NOAA's precision.
+        height: Number(estimate.height.toFixed(3)),
+        method: estimate.method,
+        trend: estimate.trend,
+        events: nextEvents(events, at, next)
+            .map(p => ({ time: p.t, type: p.type === 'H' ? 'high' : 'low', height: parseFloat(p.v) })),
+    };
+}
+
+/**
+ * Fetches a current station's predictions around a time and estimates the
+ * current then (see currentVelocityAt), from NOAA's 30-minute series unless
+ * `cosine` is set. The current is "slack" while its speed is under the
+ * station's slack threshold.
+ * @param {object} station - A current station of a validated region (see region_config.js).
+ * @param {object} query
+ * @param {string} query.at - Local clock time, "YYYY-MM-DD HH:MM".
+ * @param {number} [query.next] - How many of the following slacks and maxima to list (default 0).
+ * @param {boolean} [query.cosine] - Always interpolate between slacks and maxima.
+ * @param {object} [options] - Cache, time zone and unit settings (see fetch_data.js).
+ * @returns {Promise<object>} - {kind: "current", station, units, at, velocity, speed,
+ *   direction, method, events}, with `direction` "flood", "ebb" or "slack".
+ */
+async function queryCurrent(station, { at, next = 0, cosine = false }, options = {}) {
+    const { startDate, endDate } = queryRange(at, next, EVENTS_PER_DAY.current);
+    const units = resolveUnits(options.units);
+    // A station configured by depth is predicted for the nearest bin, as in the book.
+    const bin = station.depth !== undefined ? (await currentBinForDepth(station.id, station.depth, options)).bin : station.bin;
+    const settings = { ...options, bin };
+    const [currents, series] = await Promise.all([
+        fetchCurrentData(station.id, startDate, endDate, settings),
+        cosine ? null : fetchCurrentSeries(station.id, startDate, endDate, settings),
+    ]);
+    const events = currents.current_predictions?.cp || [];
+    const estimate = currentVelocityAt(at, events, series && series.current_predictions.cp);
+    if (!estimate) throw new Error(`No current predictions around ${at} at ${station.name}.`);
+    const threshold = convertSpeed(station.slackThreshold ?? DEFAULT_SLACK_THRESHOLD, 'kn', units.speed);
+    const velocity = Number(estimate.velocity.toFixed(3));
+    const speed = Math.abs(velocity);
+    return {
+        kind: 'current',
+        station: { name: station.name, id: station.id },
+        units,
+        at,
+        velocity,
+        speed,
+        direction: speed < threshold ? 'slack' : (velocity > 0 ? 'flood' : 'ebb'),
+        method: estimate.method,
+        events: nextEvents(events, at, next, 'Time')
+            .map(p => ({ time: p.Time, type: p.Type, velocity: p.Type === 'slack' ? 0 : parseFloat(p.Velocity_Major) })),
+    };
+}
+
+// --- Command-Line Interface ---
+
+const USAGE = `Usage: node tide_query.js --station <name|id> [options]
+
+Tells the tide height or current at a station at a time, and the high and
+low waters, or slacks and maximum currents, that follow. Heights between
+high and low waters come from NOAA's hourly predictions where the station
+has them and are otherwise estimated by cosine interpolation. Times are
+local to the region (lst_ldt).
+
+Options:
+  --station <name|id>         Tide or current station of the region (required); repeat for several
+  --region <name|file>        Region file, or the name of one in regions/ (default: puget_sound)
+  --at <time>                 "yyyy-mm-dd hh:mm", "hh:mm" today, "tomorrow hh:mm" or "now" (default: now)
+  --next <n>                  How many of the following events to list (default: 4)
+  --cosine                    Interpolate between events even where NOAA has a predicted series
+  --json                      Print JSON instead of a table
+${FETCH_USAGE}
+${UNIT_USAGE}
+  -h, --help                  Show this help`;
+
+/**
+ * Reads a query time as a local clock time, "YYYY-MM-DD HH:MM".
+ * @param {string} value - "yyyy-mm-dd hh:mm" (or with a "T"), "hh:mm" for
+ *   today, "today hh:mm", "tomorrow hh:mm" or "now".
+ * @param {string} timeZone - The region's zone, which "now" and "today" are in.
+ * @param {Date} [now]
+ * @returns {string}
+ * @throws {Error} - For a malformed time, or one the DST change skips.
+ */
+function parseQueryTime(value, timeZone, now = new Date()) {
+    const today = formatZoned(now, timeZone);
+    const text = value.trim().toLowerCase();
+    if (text === 'now') return today;
+
+    let match = /^(?:(today|tomorrow)\s+)?(\d{1,2}):(\d{2})$/.exec(text);
+    let day = today.slice(0, 10);
+    let hour;
+    let minute;
+    if (match) {
+        if (match[1] === 'tomorrow') {
+            const [year, month, date] = day.split('-').map(Number);
+            day = minutesToClock(Date.UTC(year, month - 1, date + 1) / 60000).slice(0, 10);
+        }
+        [hour, minute] = [Number(match[2]), Number(match[3])];
+    } else {
+        match = /^(\d{4})-(\d{2})-(\d{2})[ t](\d{1,2}):(\d{2})$/.exec(text);
+        const valid = match && minutesToClock(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / 60000)
+            .startsWith(`${match[1]}-${match[2]}-${match[3]}`);
+        if (!valid) throw new Error(`--at expects "yyyy-mm-dd hh:mm", "hh:mm", "tomorrow hh:mm" or "now", got "${value}".`);
+        day = `${match[1]}-${match[2]}-${match[3]}`;
+        [hour, minute] = [Number(match[4]), Number(match[5])];
+    }
+    if (hour > 23 || minute > 59) throw new Error(`--at expects a time from 00:00 to 23:59, got "${value}".`);
+    const time = `${day} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    // zonedTime resolves a clock time that the DST change skips to an hour later.
+    const [year, month, date] = day.split('-').map(Number);
+    if (formatZoned(zonedTime(year, month, date, hour, minute, timeZone), timeZone) !== time) {
+        throw new Error(`--at ${time} does not exist in ${timeZone}: the clocks skip it when daylight saving time begins.`);
+    }
+    return time;
+}
+
+function parseCliOptions(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            station: { type: 'string', multiple: true },
+            region: { type: 'string' },
+            at: { type: 'string' },
+            next: { type: 'string' },
+            cosine: { type: 'boolean' },
+            json: { type: 'boolean' },
+            ...FETCH_CLI_OPTIONS,
+            ...UNIT_CLI_OPTIONS,
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) return null;
+    if (values.station === undefined) throw new Error(`--station is required.\n\n${USAGE}`);
+
+    const region = loadRegion(values.region);
+    const stations = values.station.map(wanted => {
+        const matches = s => s.name.toLowerCase() === wanted.toLowerCase() || s.id === wanted;
+        const tide = region.tideStations.find(matches);
+        if (tide) return { kind: 'tide', station: tide };
+        const current = region.currentStations.find(matches);
+        if (current) return { kind: 'current', station: current };
+        const known = [...region.tideStations, ...region.currentStations].map(s => s.name);
+        throw new Error(`No tide or current station "${wanted}" in ${region.title}. Known stations: ${known.join('; ')}.`);
+    });
+
+    const at = parseQueryTime(values.at ?? 'now', region.timeZone);
+    const next = values.next === undefined ? 4 : Number(values.next);
+    if (!Number.isInteger(next) || next < 0) throw new Error(`--next expects a whole number of events, got "${values.next}".`);
+
+    const units = unitsFromCli(values);
+    const fetch = { ...fetchFromCli(values), timeZone: region.timeZone, units };
+
+    return { region, stations, at, next, cosine: Boolean(values.cosine), json: Boolean(values.json), units, fetch };
+}
+
+// "Sat, Mar 8 15:30" for a local clock time.
+function formatWhen(time, clock) {
+    const [year, month, day] = time.slice(0, 10).split('-').map(Number);
+    const date = new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return `${date} ${formatClockTime(time, clock)}`;
+}
+
+const METHODS = {
+    series: 'read off the predicted series',
+    cosine: 'cosine interpolation between events',
+};
+
+// The table printed for one query result.
+function resultLines(result) {
+    const { units } = result;
+    const name = `${result.station.name}${result.station.reference ? ' *' : ''} (${result.station.id})`;
+    const when = formatWhen(result.at, units.clock);
+    const lines = [];
+    if (result.kind === 'tide') {
+        const trend = result.trend ? `, ${result.trend}` : '';
+        lines.push(`${name}: tide at ${when}: ${result.height.toFixed(2)} ${units.height}${trend} (${METHODS[result.method]})`);
+        for (const e of result.events) {
+            lines.push(`  ${formatWhen(e.time, units.clock).padEnd(20)} ${e.type.padEnd(10)} ${e.height.toFixed(2).padStart(6)} ${units.height}`);
+        }
+    } else {
+        lines.push(`${name}: current at ${when}: ${result.direction} ${result.speed.toFixed(1)} ${units.speed} (${METHODS[result.method]})`);
+        for (const e of result.events) {
+            const type = e.type === 'slack' ? 'slack' : `max ${e.type}`;
+            const speed = e.type === 'slack' ? '' : `${Math.abs(e.velocity).toFixed(1).padStart(6)} ${units.speed}`;
+            lines.push(`  ${formatWhen(e.time, units.clock).padEnd(20)} ${type.padEnd(10)} ${speed}`.trimEnd());
+        }
+    }
+    return lines;
+}
+
+/**
+ * Runs the query command.
+ * @param {string[]} [args] - Command-line arguments (default: the process's).
+ */
+async function main(args = process.argv.slice(2)) {
+    const options = parseCliOptions(args);
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    const { region, stations, at, next, cosine, units } = options;
+    const tideStations = stations.filter(s => s.kind === 'tide').map(s => s.station);
+    if (tideStations.length > 0) await checkDatum({ ...region, tideStations }, options.fetch);
+
+    const results = [];
+    for (const { kind, station } of stations) {
+        const query = { at, next, cosine };
+        results.push(kind === 'tide'
+            ? await queryTide(station, query, options.fetch)
+            : await queryCurrent(station, query, options.fetch));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+    console.log(unitsSummary(units, { speed: results.some(r => r.kind === 'current') }));
+    for (const result of results) console.log(`\n${resultLines(result).join('\n')}`);
+    if (results.some(r => r.station.reference)) {
+        console.log('\n* derived from a reference station by NOAA time and height offsets.');
+    }
+}
+
+module.exports = {
+    cosineInterpolate,
+    tideHeightAt,
+    currentVelocityAt,
+    tideSeriesFromEvents,
+    nextEvents,
+    queryTide,
+    queryCurrent,
+    parseQueryTime,
+    main,
+    SERIES_MAX_GAP_MINUTES
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
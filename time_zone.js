@@ -0,0 +1,162 @@
+// NOAA's lst_ldt times for our stations are Pacific local time.
+const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+
+const formatters = new Map();
+
+// Intl formatters are slow to build, so keep one per zone.
+function partsFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Splits an instant into wall-clock fields in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone name, e.g. "America/Los_Angeles".
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function zonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (e.g. -420 for PDT).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function zoneOffsetMinutes(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts a wall-clock time in a zone to the instant it denotes. Times that
+ * do not exist (skipped by a DST change) resolve to the instant one hour
+ * later on the clock; repeated times resolve to the first occurrence.
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function zonedTime(year, month, day, hour = 0, minute = 0, timeZone = DEFAULT_TIME_ZONE) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const wanted = formatZoned(new Date(asUtc), 'UTC');
+    // A zone has at most two offsets around any wall time: the ones a day before and after.
+    const before = asUtc - zoneOffsetMinutes(new Date(asUtc - 86400000), timeZone) * 60000;
+    const after = asUtc - zoneOffsetMinutes(new Date(asUtc + 86400000), timeZone) * 60000;
+    const matches = [before, after].filter(t => formatZoned(new Date(t), timeZone) === wanted);
+    return new Date(matches.length > 0 ? Math.min(...matches) : before);
+}
+
+/**
+ * Formats an instant as NOAA-style local time, "YYYY-MM-DD HH:MM".
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function formatZoned(date, timeZone = DEFAULT_TIME_ZONE) {
+    const p = zonedParts(date, timeZone);
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * The instant a calendar day starts in a zone. Calendar days are passed as
+ * host-local Dates (as generatePdf builds them), so only their year, month
+ * and day are used.
+ * @param {Date} day
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function startOfZonedDay(day, timeZone = DEFAULT_TIME_ZONE) {
+    return zonedTime(day.getFullYear(), day.getMonth() + 1, day.getDate(), 0, 0, timeZone);
+}
+
+/**
+ * Formats a calendar day, passed as a host-local Date, as "YYYY-MM-DD": the
+ * key that NOAA times start with.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The host-local Date at midnight of a "YYYY-MM-DD" day.
+ * @param {string} day
+ * @returns {Date}
+ */
+function parseDayKey(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date);
+}
+
+/**
+ * The changes of a zone's UTC offset between two instants, each found to the
+ * minute: the first instant on the new offset.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [timeZone]
+ * @returns {Array<{time: Date, offsetFrom: number, offsetTo: number}>} - Offsets in minutes.
+ */
+function zoneTransitions(start, end, timeZone = DEFAULT_TIME_ZONE) {
+    const transitions = [];
+    let offset = zoneOffsetMinutes(start, timeZone);
+    // No zone changes its offset twice in a day, so step by days and bisect.
+    for (let t = start.getTime(); t < end.getTime(); t += 86400000) {
+        const next = Math.min(t + 86400000, end.getTime());
+        const nextOffset = zoneOffsetMinutes(new Date(next), timeZone);
+        if (nextOffset === offset) continue;
+        let before = t;
+        let after = next;
+        while (after - before > 60000) {
+            const middle = before + Math.floor((after - before) / 120000) * 60000;
+            if (zoneOffsetMinutes(new Date(middle), timeZone) === offset) before = middle;
+            else after = middle;
+        }
+        transitions.push({ time: new Date(after), offsetFrom: offset, offsetTo: nextOffset });
+        offset = nextOffset;
+    }
+    return transitions;
+}
+
+/**
+ * The zone's abbreviation at an instant, e.g. "PST" or "PDT" ("GMT+1" where
+ * the zone has none in English).
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function zoneAbbreviation(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(date);
+    return parts.find(part => part.type === 'timeZoneName').value;
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    zonedParts,
+    zoneOffsetMinutes,
+    zonedTime,
+    formatZoned,
+    startOfZonedDay,
+    formatDay,
+    parseDayKey,
+    zoneTransitions,
+    zoneAbbreviation
+};
@@ -0,0 +1,240 @@
+// The book's units, datum and clock: which NOAA request parameters they need,
+// how values are converted into them and how they are printed.
+
+const HEIGHT_UNITS = {
+    ft: { name: 'feet', noaaUnits: 'english', meters: 0.3048 },
+    m: { name: 'meters', noaaUnits: 'metric', meters: 1 },
+};
+
+// NOAA gives current speeds in knots for english units and cm/s for metric.
+const SPEED_UNITS = {
+    kn: { name: 'knots', metersPerSecond: 1852 / 3600 },
+    'm/s': { name: 'meters per second', metersPerSecond: 1 },
+    'cm/s': { name: 'centimeters per second', metersPerSecond: 0.01 },
+};
+const NOAA_SPEED_UNITS = { english: 'kn', metric: 'cm/s' };
+
+// Datums NOAA predicts on where a station has them, with the datagetter's
+// name for each where it differs.
+const DATUMS = {
+    MLLW: { name: 'mean lower low water' },
+    MLW: { name: 'mean low water' },
+    MTL: { name: 'mean tide level' },
+    MSL: { name: 'mean sea level' },
+    MHW: { name: 'mean high water' },
+    MHHW: { name: 'mean higher high water' },
+    NAVD88: { name: 'the North American Vertical Datum of 1988', noaa: 'NAVD' },
+    STND: { name: 'station datum' },
+};
+
+const CLOCKS = ['24', '12'];
+
+const DEFAULT_UNITS = Object.freeze({ height: 'ft', speed: 'kn', datum: 'MLLW', clock: '24' });
+
+// Names accepted on the command line and in options for each setting.
+const HEIGHT_ALIASES = { ft: 'ft', feet: 'ft', foot: 'ft', m: 'm', meters: 'm', metres: 'm', meter: 'm', metre: 'm' };
+const SPEED_ALIASES = { kn: 'kn', kt: 'kn', knots: 'kn', 'm/s': 'm/s', mps: 'm/s', 'cm/s': 'cm/s' };
+
+/**
+ * Thrown for a unit, datum or clock setting the book cannot use.
+ */
+class UnitsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnitsError';
+    }
+}
+
+/**
+ * Validates unit settings and fills in the defaults: heights in feet above
+ * MLLW, speeds in knots and a 24-hour clock.
+ * @param {object} [settings]
+ * @param {string} [settings.height] - "ft" or "m" (or "feet", "meters").
+ * @param {string} [settings.speed] - "kn", "m/s" or "cm/s" (or "knots").
+ * @param {string} [settings.datum] - One of DATUMS; "NAVD" is taken for NAVD88.
+ * @param {string|number} [settings.clock] - 24 or 12.
+ * @returns {{height: string, speed: string, datum: string, clock: string}}
+ * @throws {UnitsError}
+ */
+function resolveUnits(settings = {}) {
+    const pick = (value, aliases, what) => {
+        if (value === undefined) return undefined;
+        const key = aliases[String(value).toLowerCase()];
+        if (!key) throw new UnitsError(`Unknown ${what} "${value}". Use ${[...new Set(Object.values(aliases))].join(' or ')}.`);
+        return key;
+    };
+    const height = pick(settings.height, HEIGHT_ALIASES, 'height unit') || DEFAULT_UNITS.height;
+    const speed = pick(settings.speed, SPEED_ALIASES, 'speed unit') || DEFAULT_UNITS.speed;
+
+    let datum = DEFAULT_UNITS.datum;
+    if (settings.datum !== undefined) {
+        const upper = String(settings.datum).toUpperCase();
+        datum = upper === 'NAVD' ? 'NAVD88' : upper;
+        if (!DATUMS[datum]) throw new UnitsError(`Unknown datum "${settings.datum}". Known datums: ${Object.keys(DATUMS).join(', ')}.`);
+    }
+
+    const clock = settings.clock === undefined ? DEFAULT_UNITS.clock : String(settings.clock).replace(/h$/i, '');
+    if (!CLOCKS.includes(clock)) throw new UnitsError(`The clock must be 24 or 12 (hours), got "${settings.clock}".`);
+    return Object.freeze({ height, speed, datum, clock });
+}
+
+/**
+ * The NOAA request parameters for a height product in these units.
+ * @param {object} units - From resolveUnits.
+ * @returns {{datum: string, units: string}}
+ */
+function heightParams(units) {
+    return { datum: DATUMS[units.datum].noaa || units.datum, units: HEIGHT_UNITS[units.height].noaaUnits };
+}
+
+/**
+ * The NOAA units parameter for current products in these units. Currents
+ * follow the height unit so that bin depths print in it; speeds are converted
+ * after fetching (see noaaSpeedUnit).
+ * @param {object} units - From resolveUnits.
+ * @returns {string} - "english" or "metric".
+ */
+function currentUnitsParam(units) {
+    return HEIGHT_UNITS[units.height].noaaUnits;
+}
+
+/**
+ * The unit NOAA gives current speeds in for a units parameter.
+ * @param {string} noaaUnits - "english" or "metric".
+ * @returns {string} - "kn" or "cm/s".
+ */
+function noaaSpeedUnit(noaaUnits) {
+    return NOAA_SPEED_UNITS[noaaUnits];
+}
+
+/**
+ * @param {number} value
+ * @param {string} from - "ft" or "m".
+ * @param {string} to - "ft" or "m".
+ * @returns {number}
+ */
+function convertHeight(value, from, to) {
+    return from === to ? value : value * HEIGHT_UNITS[from].meters / HEIGHT_UNITS[to].meters;
+}
+
+/**
+ * @param {number} value
+ * @param {string} from - "kn", "m/s" or "cm/s".
+ * @param {string} to - "kn", "m/s" or "cm/s".
+ * @returns {number}
+ */
+function convertSpeed(value, from, to) {
+    return from === to ? value : value * SPEED_UNITS[from].metersPerSecond / SPEED_UNITS[to].metersPerSecond;
+}
+
+/**
+ * Formats a speed that is configured in knots, such as a slack threshold, in
+ * the book's speed unit: "0.5 kn" or "0.26 m/s".
+ * @param {number} knots
+ * @param {object} units - From resolveUnits.
+ * @returns {string}
+ */
+function formatKnots(knots, units) {
+    return `${Number(convertSpeed(knots, 'kn', units.speed).toFixed(2))} ${units.speed}`;
+}
+
+/**
+ * Formats a NOAA "HH:MM" clock time, or the time part of "YYYY-MM-DD HH:MM",
+ * on the book's clock: "13:05" stays as is on the 24-hour clock and becomes
+ * "1:05 PM" on the 12-hour one. Placeholders such as "--:--" pass through.
+ * @param {string} time
+ * @param {string} [clock] - "24" (default) or "12".
+ * @returns {string}
+ */
+function formatClockTime(time, clock = '24') {
+    const hhmm = time.length > 5 ? time.slice(11, 16) : time;
+    const match = /^(\d{2}):(\d{2})$/.exec(hhmm);
+    if (clock !== '12' || !match) return hhmm;
+    const hour = Number(match[1]);
+    return `${hour % 12 || 12}:${match[2]} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * One line naming the settings, printed on the pages so a reader knows what
+ * the numbers mean, e.g. "Heights in feet above MLLW · speeds in knots · 24-hour clock".
+ * @param {object} units - From resolveUnits.
+ * @param {object} [include]
+ * @param {boolean} [include.speed] - Mention current speeds (default true).
+ * @returns {string}
+ */
+function unitsSummary(units, { speed = true } = {}) {
+    const parts = [`Heights in ${HEIGHT_UNITS[units.height].name} above ${units.datum}`];
+    if (speed) parts.push(`speeds in ${SPEED_UNITS[units.speed].name}`);
+    parts.push(`${units.clock}-hour clock`);
+    return parts.join(' · ');
+}
+
+/**
+ * @param {string} datum - One of DATUMS.
+ * @returns {string} - Its name in words, e.g. "mean lower low water".
+ */
+function datumName(datum) {
+    return DATUMS[datum].name;
+}
+
+/**
+ * @param {string} unit - A height or speed unit, e.g. "ft" or "m/s".
+ * @returns {string} - Its name in words, e.g. "feet".
+ */
+function unitName(unit) {
+    return (HEIGHT_UNITS[unit] || SPEED_UNITS[unit]).name;
+}
+
+// --- Command-Line Options ---
+
+// parseArgs options shared by every command that fetches or prints predictions.
+const UNIT_CLI_OPTIONS = {
+    'height-unit': { type: 'string' },
+    'speed-unit': { type: 'string' },
+    metric: { type: 'boolean' },
+    datum: { type: 'string' },
+    clock: { type: 'string' },
+};
+
+const UNIT_USAGE = `  --height-unit <ft|m>        Tide heights and depths in feet (default) or meters
+  --speed-unit <kn|m/s|cm/s>  Current speeds in knots (default), meters or centimeters per second
+  --metric                    Meters and meters per second; --speed-unit kn keeps knots
+  --datum <datum>             Height datum: ${Object.keys(DATUMS).join(', ')} (default: MLLW),
+                              where the stations have it
+  --clock <24|12>             24-hour (default) or 12-hour times`;
+
+/**
+ * Unit settings from parsed command-line values (see UNIT_CLI_OPTIONS).
+ * @param {object} values - From parseArgs.
+ * @returns {object} - From resolveUnits.
+ * @throws {UnitsError}
+ */
+function unitsFromCli(values) {
+    if (values.metric && values['height-unit'] !== undefined) throw new UnitsError('--metric cannot be combined with --height-unit.');
+    return resolveUnits({
+        height: values.metric ? 'm' : values['height-unit'],
+        speed: values['speed-unit'] ?? (values.metric ? 'm/s' : undefined),
+        datum: values.datum,
+        clock: values.clock,
+    });
+}
+
+module.exports = {
+    resolveUnits,
+    heightParams,
+    currentUnitsParam,
+    noaaSpeedUnit,
+    convertHeight,
+    convertSpeed,
+    formatKnots,
+    formatClockTime,
+    unitsSummary,
+    datumName,
+    unitName,
+    unitsFromCli,
+    UnitsError,
+    UNIT_CLI_OPTIONS,
+    UNIT_USAGE,
+    DEFAULT_UNITS,
+    DATUMS
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TIME_ZONE, formatZoned, startOfZonedDay, zoneTransitions } = require('./time_zone.js');
+
+// Shape of NOAA lst_ldt timestamps, e.g. "2025-01-01 07:10".
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/;
+
+/**
+ * Per-dataset rules. `minPerDay` and `maxGapHours` catch days that have only
+ * some of their events: a normal day never has fewer events or a longer quiet
+ * spell than this. Gaps are measured in clock time, so the DST changes add or
+ * remove an hour; the limits leave room for that.
+ */
+const RULES = {
+    tide: {
+        time: 't', value: 'v', type: 'type', types: ['H', 'L'],
+        minPerDay: 2, maxGapHours: 14, alternates: true,
+    },
+    hourly: {
+        time: 't', value: 'v', type: null, types: null,
+        minPerDay: 23, maxGapHours: 2, alternates: false, dstRepeat: true,
+    },
+    current: {
+        time: 'Time', value: 'Velocity_Major', type: 'Type', types: ['slack', 'flood', 'ebb'],
+        minPerDay: 4, maxGapHours: 10, alternates: false,
+    },
+    currentSeries: {
+        time: 'Time', value: 'Velocity_Major', type: null, types: null,
+        minPerDay: 23, maxGapHours: 2, alternates: false, dstRepeat: true,
+    },
+};
+
+/**
+ * Thrown in strict mode when the fetched data is not provably complete.
+ */
+class DataIntegrityError extends Error {
+    constructor(summary) {
+        super(`Refusing to render an incomplete book: ${summary}`);
+        this.name = 'DataIntegrityError';
+    }
+}
+
+// Clock minutes for a "YYYY-MM-DD HH:MM" string, or NaN if malformed.
+function clockMinutes(timestamp) {
+    const match = TIMESTAMP_PATTERN.exec(timestamp);
+    if (!match) return NaN;
+    const [, y, mo, d, h, mi] = match.map(Number);
+    return Date.UTC(y, mo - 1, d, h, mi) / 60000;
+}
+
+// The clock-minute spans a zone repeats when its offset falls back, such as
+// 01:00-02:00 on the night DST ends, within the local days of the range.
+function repeatedClockSpans(startDate, endDate, timeZone) {
+    const afterEnd = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+    return zoneTransitions(startOfZonedDay(startDate, timeZone), startOfZonedDay(afterEnd, timeZone), timeZone)
+        .filter(t => t.offsetTo < t.offsetFrom)
+        .map(t => {
+            const from = clockMinutes(formatZoned(t.time, timeZone));
+            return { from, to: from + t.offsetFrom - t.offsetTo };
+        });
+}
+
+// Lists every day in the inclusive range as YYYY-MM-DD strings.
+function daysInRange(startDate, endDate) {
+    const days = [];
+    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+        days.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`);
+    }
+    return days;
+}
+
+/**
+ * Checks one station's merged series against the rules for its dataset:
+ * malformed or NaN values, unexpected event types, duplicated events (usually
+ * at chunk boundaries), out-of-order timestamps, missing days and partial days.
+ * @param {Array<object>} records - The merged NOAA records, in fetch order.
+ * @param {string} dataset - "tide", "hourly", "current" or "currentSeries".
+ * @param {Date} startDate - First day the series must cover.
+ * @param {Date} endDate - Last day the series must cover.
+ * @param {string} [timeZone] - Zone of the local times, whose DST changes the checks allow for.
+ * @returns {Array<{rule: string, day: string|null, message: string}>} - Problems found.
+ */
+function validateSeries(records, dataset, startDate, endDate, timeZone = DEFAULT_TIME_ZONE) {
+    const rules = RULES[dataset];
+    if (!rules) throw new Error(`Unknown dataset "${dataset}".`);
+    const issues = [];
+    const add = (rule, day, message) => issues.push({ rule, day, message });
+    const perDay = new Map(daysInRange(startDate, endDate).map(day => [day, 0]));
+
+    const repeatedSpans = rules.dstRepeat ? repeatedClockSpans(startDate, endDate, timeZone) : [];
+    let previous = null;
+    const seen = new Set();
+    const repeated = new Set();
+    for (const record of records) {
+        const time = record[rules.time];
+        const minutes = clockMinutes(time);
+        const day = typeof time === 'string' ? time.slice(0, 10) : null;
+        if (Number.isNaN(minutes)) {
+            add('bad-timestamp', null, `malformed timestamp ${JSON.stringify(time)}`);
+            continue;
+        }
+        if (!Number.isFinite(parseFloat(record[rules.value]))) {
+            add('nan-value', day, `${time}: value ${JSON.stringify(record[rules.value])} is not a number`);
+        }
+        if (rules.types && !rules.types.includes(record[rules.type])) {
+            add('unexpected-type', day, `${time}: unexpected type ${JSON.stringify(record[rules.type])}`);
+        }
+        const key = rules.type ? `${time}|${record[rules.type]}` : time;
+        // Fixed-interval series pass through the hour the clocks repeat when
+        // DST ends twice, which is neither a duplicate nor out of order.
+        const span = repeatedSpans.find(r => minutes >= r.from && minutes < r.to);
+        if (seen.has(key)) {
+            if (!span || repeated.has(key)) {
+                add('duplicate', day, `${time}: duplicated event`);
+                continue;
+            }
+            repeated.add(key);
+        }
+        seen.add(key);
+        if (previous) {
+            if (minutes < previous.minutes && !(span && previous.minutes < span.to)) {
+                add('out-of-order', day, `${time} comes after ${previous.time}`);
+            } else if (minutes - previous.minutes > rules.maxGapHours * 60) {
+                add('gap', day, `no events for ${((minutes - previous.minutes) / 60).toFixed(1)} h between ${previous.time} and ${time}`);
+            }
+            if (rules.alternates && record[rules.type] === previous.type) {
+                add('no-alternation', day, `two ${record[rules.type]} events in a row at ${previous.time} and ${time}`);
+            }
+        }
+        if (perDay.has(day)) perDay.set(day, perDay.get(day) + 1);
+        if (!previous || minutes >= previous.minutes) previous = { minutes, time, type: record[rules.type] };
+    }
+
+    for (const [day, count] of perDay) {
+        if (count === 0) add('missing-day', day, `${day}: no events`);
+        else if (count < rules.minPerDay) add('partial-day', day, `${day}: only ${count} events`);
+    }
+    return issues;
+}
+
+/**
+ * Collects one entry per fetched chunk, plus the validation results, and
+ * writes them out as a JSON manifest. fetch_data.js calls recordChunk() for
+ * every chunk when a manifest is passed in the fetch options.
+ */
+class FetchManifest {
+    /**
+     * @param {object} info - Run details copied into the manifest (range, region, ...);
+     *   `timeZone` is the zone the series are validated in (default Pacific time).
+     */
+    constructor(info = {}) {
+        this.info = info;
+        this.chunks = [];
+        this.datasets = [];
+    }
+
+    /**
+     * @param {object} chunk
+     * @param {string} chunk.label - Product name, e.g. "tide data".
+     * @param {object} chunk.params - The request parameters.
+     * @param {'ok'|'cached'|'computed'|'failed'} chunk.status - "computed" spans come
+     *   from the local harmonic engine rather than NOAA.
+     * @param {number} chunk.events - Records the chunk contributed.
+     * @param {string} [chunk.firstEvent] - Timestamp of the first record.
+     * @param {string} [chunk.lastEvent] - Timestamp of the last record.
+     * @param {Error} [chunk.error]
+     */
+    recordChunk({ label, params, status, events, firstEvent, lastEvent, error }) {
+        this.chunks.push({
+            station: params.station,
+            label,
+            product: params.product,
+            interval: params.interval,
+            datum: params.datum || null,
+            units: params.units || null,
+            begin: params.begin_date,
+            end: params.end_date,
+            status,
+            events,
+            firstEvent: firstEvent || null,
+            lastEvent: lastEvent || null,
+            error: error ? error.message : null,
+        });
+    }
+
+    /**
+     * Validates a station's merged series and records the result.
+     * @param {object} station - Region station entry (name and id).
+     * @param {string} dataset - "tide", "hourly", "current" or "currentSeries".
+     * @param {Array<object>} records - The merged records.
+     * @param {Date} startDate
+     * @param {Date} endDate
+     * @returns {Array<object>} - The issues found.
+     */
+    validate(station, dataset, records, startDate, endDate) {
+        const issues = validateSeries(records, dataset, startDate, endDate, this.info.timeZone);
+        this.datasets.push({ station: station.name, id: station.id, dataset, events: records.length, issues });
+        return issues;
+    }
+
+    get failedChunks() {
+        return this.chunks.filter(c => c.status === 'failed');
+    }
+
+    get issueCount() {
+        return this.datasets.reduce((sum, d) => sum + d.issues.length, 0);
+    }
+
+    /**
+     * True when every chunk arrived and every series passed validation.
+     */
+    get complete() {
+        return this.failedChunks.length === 0 && this.issueCount === 0;
+    }
+
+    /**
+     * @returns {string[]} - One human-readable line per problem, for the console.
+     */
+    problems() {
+        const lines = this.failedChunks.map(c =>
+            `${c.label} ${c.station} ${c.begin}-${c.end}: request failed (${c.error})`);
+        for (const d of this.datasets) {
+            for (const issue of d.issues) lines.push(`${d.dataset} "${d.station}": ${issue.message}`);
+        }
+        return lines;
+    }
+
+    toJSON() {
+        const byStatus = status => this.chunks.filter(c => c.status === status).length;
+        return {
+            ...this.info,
+            generatedAt: new Date().toISOString(),
+            complete: this.complete,
+            summary: {
+                chunks: this.chunks.length,
+                fetched: byStatus('ok'),
+                cached: byStatus('cached'),
+                computed: byStatus('computed'),
+                failed: byStatus('failed'),
+                issues: this.issueCount,
+            },
+            chunks: [...this.chunks].sort((a, b) =>
+                `${a.station}|${a.label}|${a.begin}`.localeCompare(`${b.station}|${b.label}|${b.begin}`)),
+            datasets: this.datasets,
+        };
+    }
+
+    /**
+     * @param {string} file - Where to write the manifest (its directory is created if missing).
+     */
+    write(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(this, null, 2)}\n`);
+    }
+}
+
+module.exports = {
+    validateSeries,
+    FetchManifest,
+    DataIntegrityError,
+    RULES
+};
@@ -0,0 +1,169 @@
+const { dayAstronomy, formatClock } = require('./astronomy.js');
+const { formatDay } = require('./time_zone.js');
+const { dayDestination, monthTitle } = require('./book_matter.js');
+const { formatClockTime, unitsSummary } = require('./units.js');
+
+// A spread puts Monday to Thursday on the left page and Friday to Sunday on
+// the right, whose fourth slot is left for notes.
+const SLOTS_PER_PAGE = 4;
+const LEFT_PAGE_DAYS = 4;
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// The Monday on or before `date`, at local midnight.
+function mondayOf(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+/**
+ * Names a week's dates for the page header, e.g. "JANUARY 13 – 19, 2025" or
+ * "DECEMBER 29, 2025 – JANUARY 4, 2026".
+ * @param {Date} monday
+ * @param {Date} sunday
+ * @returns {string}
+ */
+function weekRange(monday, sunday) {
+    const month = date => date.toLocaleDateString('en-US', { month: 'long' }).toUpperCase();
+    if (monday.getFullYear() !== sunday.getFullYear()) {
+        return `${month(monday)} ${monday.getDate()}, ${monday.getFullYear()} – ${month(sunday)} ${sunday.getDate()}, ${sunday.getFullYear()}`;
+    }
+    const end = monday.getMonth() === sunday.getMonth() ? sunday.getDate() : `${month(sunday)} ${sunday.getDate()}`;
+    return `${month(monday)} ${monday.getDate()} – ${end}, ${sunday.getFullYear()}`;
+}
+
+// One day's slot: the date, the sun and moon, the day's notices and a row of
+// high and low waters per key station.
+function drawDaySlot(doc, book, template, date, y, height) {
+    const { region, startDate, endDate, allTideData, units } = book;
+    const { width: pageWidth, margin } = template.page;
+    const { sizes } = template;
+    const width = pageWidth - margin * 2;
+    const label = `${WEEKDAYS[date.getDay()]} ${date.getDate()}`;
+
+    if (date < startDate || date > endDate) {
+        doc.fontSize(sizes.title).font('bold').fillColor('#9a9a9a').text(label, margin, y + 2, { lineBreak: false });
+        doc.fillColor('black');
+        return;
+    }
+
+    const astro = dayAstronomy(date, region.astronomyLocation, region.timeZone);
+    const clock = time => formatClock(time, region.timeZone, units.clock);
+    doc.fontSize(sizes.title).font('bold').fillColor('black').text(label, margin, y + 2, { lineBreak: false });
+    doc.fontSize(sizes.headerSm).font('regular')
+       .text(`SUNRISE ${clock(astro.sunrise)}  SUNSET ${clock(astro.sunset)}  MOONRISE ${clock(astro.moonrise)}  MOONSET ${clock(astro.moonset)}`,
+           margin, y + 2, { width, align: 'right', lineBreak: false });
+
+    const notices = [];
+    if (astro.moonPhase) notices.push(`${astro.moonPhase.name.toUpperCase()} ${clock(astro.moonPhase.time)}`);
+    if (astro.tidePeriod) notices.push(`${astro.tidePeriod === 'spring' ? 'SPRING' : 'NEAP'} TIDES`);
+    if (astro.dst) notices.push(`DST ${astro.dst.kind === 'begins' ? 'BEGINS' : 'ENDS'} ${formatClockTime(astro.dst.clock, units.clock)}`);
+    if (astro.season) notices.push(`${astro.season.name.toUpperCase()} ${clock(astro.season.time)}`);
+    let rowY = y + 2 + sizes.title + 1;
+    if (notices.length > 0) {
+        doc.fontSize(sizes.headerSm).font('bold').text(notices.join('   '), margin, rowY, { width, align: 'right', lineBreak: false });
+    }
+    rowY += sizes.headerSm + sizes.lineSpacing + 2;
+
+    const day = formatDay(date);
+    const nameWidth = width * 0.3;
+    const rowHeight = Math.max(sizes.stationName, sizes.data) + sizes.lineSpacing;
+    for (const station of region.tideStations) {
+        if (rowY + rowHeight > y + height) break;
+        const events = (allTideData[station.name]?.predictions || []).filter(p => p.t.startsWith(day));
+        doc.fontSize(sizes.stationName).font('bold')
+           .text(station.reference ? `${station.name} *` : station.name, margin, rowY,
+               { width: nameWidth - 4, height: sizes.stationName, ellipsis: true, lineBreak: false });
+        if (events.length === 0) {
+            doc.fontSize(sizes.data).font('italic').text('Data not available.', margin + nameWidth, rowY, { lineBreak: false });
+        }
+        // Four cells fit a normal day; a rare fifth event narrows them.
+        const cellWidth = (width - nameWidth) / Math.max(4, events.length);
+        events.forEach((p, index) => {
+            doc.fontSize(sizes.data).font('regular')
+               .text(`${formatClockTime(p.t, units.clock)}  ${parseFloat(p.v).toFixed(1)} ${p.type}`, margin + nameWidth + index * cellWidth, rowY,
+                   { width: cellWidth, lineBreak: false });
+        });
+        rowY += rowHeight;
+    }
+}
+
+// The spread's last slot: ruled lines for notes, then the book's units and,
+// when the table has subordinate stations, their footnote.
+function drawNotesSlot(doc, book, template, y, height) {
+    const { width: pageWidth, margin } = template.page;
+    const { sizes } = template;
+    doc.fontSize(sizes.title).font('bold').fillColor('black').text('NOTES', margin, y + 2, { lineBreak: false });
+    const footnotes = [unitsSummary(book.units, { speed: false })];
+    if (book.region.tideStations.some(s => s.reference)) footnotes.push('* derived from a reference station by NOAA time and height offsets');
+    const bottom = y + height - footnotes.length * (sizes.data + 2);
+    const ruleSpacing = sizes.data * 2;
+    doc.lineWidth(0.5).strokeColor('#c8c8c8');
+    for (let ruleY = y + 2 + sizes.title + ruleSpacing; ruleY < bottom; ruleY += ruleSpacing) {
+        doc.moveTo(margin, ruleY).lineTo(pageWidth - margin, ruleY).stroke();
+    }
+    doc.strokeColor('black');
+    footnotes.forEach((line, index) => {
+        doc.fontSize(sizes.data).font('italic').text(line, margin, bottom + index * (sizes.data + 2), { lineBreak: false });
+    });
+}
+
+/**
+ * Lays the book out as weekly two-page spreads: a tide table for the region's
+ * first few stations (the template's `maxStations`) under each day's sun and
+ * moon times. Weeks run Monday to Sunday; days outside the book's range are
+ * left blank. Each spread starts on a left-hand page.
+ * @param {PDFDocument} doc - With the template fonts registered.
+ * @param {object} book - The fetched data (see generatePdf).
+ * @param {object} template - A weekly template (see page_templates.js).
+ * @returns {Array<object>} - The pages, in book order (see imposition.js).
+ */
+function weeklySpreadPages(doc, book, template) {
+    const { region, startDate, endDate } = book;
+    const { width: pageWidth, height: pageHeight, margin } = template.page;
+    const { sizes } = template;
+    const slotsTop = margin + sizes.headerLg + 6;
+    const slotHeight = (pageHeight - margin - slotsTop) / SLOTS_PER_PAGE;
+
+    const drawPage = (days, left) => {
+        // Headers sit on the outer edges: the week on the left, the region on the right.
+        doc.fontSize(sizes.headerLg).font('bold').fillColor('black')
+           .text(left ? weekRange(days[0], days[6]) : region.title.toUpperCase(), margin, margin,
+               { width: pageWidth - margin * 2, align: left ? 'left' : 'right', lineBreak: false });
+        doc.lineWidth(1).moveTo(margin, slotsTop - 3).lineTo(pageWidth - margin, slotsTop - 3).stroke();
+
+        const pageDays = left ? days.slice(0, LEFT_PAGE_DAYS) : days.slice(LEFT_PAGE_DAYS);
+        for (let slot = 0; slot < SLOTS_PER_PAGE; slot++) {
+            const y = slotsTop + slot * slotHeight;
+            if (slot > 0) {
+                doc.lineWidth(0.5).strokeColor('#808080').moveTo(margin, y).lineTo(pageWidth - margin, y).stroke();
+                doc.strokeColor('black');
+            }
+            if (slot < pageDays.length) drawDaySlot(doc, book, template, pageDays[slot], y, slotHeight);
+            else drawNotesSlot(doc, book, template, y, slotHeight);
+        }
+    };
+
+    const pages = [];
+    for (let monday = mondayOf(startDate); monday <= endDate; monday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7)) {
+        const days = Array.from({ length: 7 }, (_, i) => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i));
+        const inBook = days.filter(day => day >= startDate && day <= endDate);
+        // Calendar links land on the page that holds the day.
+        const destinations = left => inBook
+            .filter(day => (day.getDay() + 6) % 7 < LEFT_PAGE_DAYS === left)
+            .map(day => dayDestination(formatDay(day)));
+        pages.push({
+            side: 'left',
+            bookmark: [monthTitle(inBook[0]), `Week of ${monday.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`],
+            destinations: destinations(true),
+            draw: () => drawPage(days, true),
+        }, {
+            destinations: destinations(false),
+            draw: () => drawPage(days, false),
+        });
+    }
+    return pages;
+}
+
+module.exports = {
+    weeklySpreadPages
+};